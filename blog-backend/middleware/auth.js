@@ -1,20 +1,50 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
-// Generate JWT token
-export const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
+// Generate a short-lived JWT access token for a session (see utils/sessions.js)
+export const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
+// Challenge tokens prove the password step of a two-factor login. They are
+// signed with a different key so they can never pass as access tokens.
+const CHALLENGE_SECRET = `${JWT_SECRET}:2fa-challenge`;
+
+export const generateChallengeToken = (userId) => {
+  return jwt.sign({ userId }, CHALLENGE_SECRET, { expiresIn: '5m' });
+};
+
+export const verifyChallengeToken = (token) => {
+  return jwt.verify(token, CHALLENGE_SECRET);
+};
+
 // Verify JWT token
 export const verifyToken = (token) => {
   return jwt.verify(token, JWT_SECRET);
 };
 
+// How often authenticated requests bump a session's lastSeenAt
+const LAST_SEEN_RESOLUTION_MS = 5 * 60 * 1000;
+
+// Access tokens name their session (sid); revoking the session invalidates them
+// straight away. Tokens issued before sessions existed carry no sid.
+const isSessionActive = async (sessionId) => {
+  if (!sessionId) return true;
+
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt lastSeenAt');
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return false;
+
+  if (Date.now() - session.lastSeenAt >= LAST_SEEN_RESOLUTION_MS) {
+    await Session.updateOne({ _id: session._id }, { $set: { lastSeenAt: new Date() } });
+  }
+  return true;
+};
+
 // Middleware to authenticate token (required)
 export const authenticateToken = async (req, res, next) => {
   try {
@@ -32,7 +62,16 @@ export const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ message: 'Invalid token or user not found' });
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return res.status(401).json({ message: 'Password was changed. Please log in again.' });
+    }
+
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: 'Session has been revoked. Please log in again.' });
+    }
+
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -61,7 +100,7 @@ export const optionalAuth = async (req, res, next) => {
     const decoded = verifyToken(token);
     const user = await User.findById(decoded.userId).select('-password');
 
-    if (user && user.isActive) {
+    if (user && user.isActive && !user.changedPasswordAfter(decoded.iat) && await isSessionActive(decoded.sid)) {
       req.user = user;
     } else {
       req.user = null;
@@ -83,6 +122,20 @@ export const requireAdmin = (req, res, next) => {
   next();
 };
 
+// Middleware to block accounts that haven't confirmed their email address
+export const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'Authentication required' });
+  }
+  if (!req.user.emailVerified) {
+    return res.status(403).json({
+      message: 'Please verify your email address first. Check your inbox for the link we sent you.',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+  next();
+};
+
 // Middleware to check if user owns the resource or is admin
 export const requireOwnershipOrAdmin = (resourceUserField = 'author') => {
   return (req, res, next) => {
@@ -0,0 +1,127 @@
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+
+// Set RATE_LIMIT_ENABLED=false to switch off limits and login lockouts (e.g. for load tests)
+const isEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+const secondsUntil = (date) => Math.max(1, Math.ceil((date - Date.now()) / 1000));
+
+const formatWait = (seconds) => {
+  if (seconds < 60) return `${seconds} ${seconds === 1 ? 'second' : 'seconds'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+};
+
+export const sendTooManyRequests = (res, retryAfter, message, code = 'RATE_LIMITED') => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    message: `${message}. Try again in ${formatWait(retryAfter)}.`,
+    retryAfter,
+    code
+  });
+};
+
+// Who a limit applies to. Returning nothing skips the limit for that request.
+export const byIp = (req) => req.ip;
+
+export const byUser = (req) => req.user?._id?.toString();
+
+export const byEmail = (req) => {
+  const email = req.body?.email;
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+};
+
+// Allow `max` requests per `windowMs` for each subject `key` picks out.
+// `name` namespaces the counters, so limiters with the same name share them.
+// If the store is unreachable requests are let through rather than failing.
+export const rateLimit = ({ name, windowMs, max, key = byIp, message = 'Too many requests' }) => {
+  return async (req, res, next) => {
+    if (!isEnabled()) return next();
+
+    const subject = key(req);
+    if (!subject) return next();
+
+    let hit;
+    try {
+      hit = await getRateLimitStore().increment(`${name}:${subject}`, windowMs);
+    } catch (error) {
+      console.error('Rate limit store error:', error);
+      return next();
+    }
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - hit.count)));
+    res.set('RateLimit-Reset', String(secondsUntil(hit.resetAt)));
+
+    if (hit.count > max) {
+      return sendTooManyRequests(res, secondsUntil(hit.resetAt), message);
+    }
+
+    next();
+  };
+};
+
+// Password and 2FA code checks for signed-in users, so a stolen access token
+// can't be used to guess the password or an authenticator code
+export const limitCredentialChecks = rateLimit({
+  name: 'credential-check',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  key: byUser,
+  message: 'Too many attempts'
+});
+
+// Progressive lockout after failed logins. Once an account (or an IP address,
+// for attempts spread across many accounts) reaches its threshold of recent
+// failures, each further failure locks it for twice as long as the last.
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+const LOGIN_LOCKOUT_BASE_MS = 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+const loginSubjects = (req, email) => [
+  { key: `account:${email.toLowerCase()}`, threshold: 5 },
+  { key: `ip:${req.ip}`, threshold: 20 }
+];
+
+// Seconds until a login for this email from this request may be tried again; 0 if not locked
+export const checkLoginLockout = async (req, email) => {
+  if (!isEnabled()) return 0;
+
+  const store = getRateLimitStore();
+  let retryAfter = 0;
+  for (const { key } of loginSubjects(req, email)) {
+    const lock = await store.get(`login-lock:${key}`);
+    if (lock) retryAfter = Math.max(retryAfter, secondsUntil(lock.resetAt));
+  }
+  return retryAfter;
+};
+
+// Count a failed password or 2FA code; returns the lockout in seconds if this failure started one
+export const recordLoginFailure = async (req, email) => {
+  if (!isEnabled()) return 0;
+
+  const store = getRateLimitStore();
+  let retryAfter = 0;
+  for (const { key, threshold } of loginSubjects(req, email)) {
+    const { count } = await store.increment(`login-fail:${key}`, LOGIN_FAILURE_WINDOW_MS);
+    if (count < threshold) continue;
+
+    const lockMs = Math.min(LOGIN_LOCKOUT_BASE_MS * 2 ** (count - threshold), LOGIN_LOCKOUT_MAX_MS);
+    const lock = await store.increment(`login-lock:${key}`, lockMs);
+    retryAfter = Math.max(retryAfter, secondsUntil(lock.resetAt));
+  }
+  return retryAfter;
+};
+
+// A successful login clears the account's failures. The IP count is left to
+// expire so signing in to one account can't reset attempts against others.
+export const clearLoginFailures = async (email) => {
+  if (!isEnabled()) return;
+
+  const store = getRateLimitStore();
+  await store.reset(`login-fail:account:${email.toLowerCase()}`);
+  await store.reset(`login-lock:account:${email.toLowerCase()}`);
+};
+
+export const sendLoginLockout = (res, retryAfter) => {
+  return sendTooManyRequests(res, retryAfter, 'Too many failed sign-in attempts', 'LOGIN_LOCKED');
+};
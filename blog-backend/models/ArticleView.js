@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+// One visitor reading a published article on one (UTC) day. Repeat visits the
+// same day update this record instead of counting again. Daily totals are kept
+// in BlogDailyStat; these records back unique-visitor and referrer breakdowns.
+const articleViewSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  // Hash of the signed-in user, the browser's visitor ID or IP and user agent (utils/analytics.js)
+  visitor: {
+    type: String,
+    required: true
+  },
+  // Start of the UTC day the view happened on
+  day: {
+    type: Date,
+    required: true
+  },
+  // Referring site's host, "direct" or "internal" (utils/analytics.js)
+  referrer: {
+    type: String,
+    default: 'direct'
+  },
+  // Longest time on page (seconds) and deepest scroll (% of the article) reported by pings
+  timeOnPage: {
+    type: Number,
+    default: 0
+  },
+  scrollDepth: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+articleViewSchema.index({ blog: 1, visitor: 1, day: 1 }, { unique: true });
+articleViewSchema.index({ blog: 1, day: 1 });
+
+const ArticleView = mongoose.model('ArticleView', articleViewSchema);
+
+export default ArticleView;
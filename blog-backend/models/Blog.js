@@ -1,23 +1,6 @@
 import mongoose from 'mongoose';
 import slugify from 'slugify';
-
-const commentSchema = new mongoose.Schema({
-  author: {
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  content: {
-    type: String,
-    required: true,
-    trim: true,
-    maxlength: 1000
-  },
-  createdAt: {
-    type: Date,
-    default: Date.now
-  }
-});
+import { renderMarkdown, countWords } from '../utils/markdown.js';
 
 const blogSchema = new mongoose.Schema({
   title: {
@@ -36,6 +19,11 @@ const blogSchema = new mongoose.Schema({
     required: true,
     minlength: 50
   },
+  // Sanitized HTML rendered from the Markdown in `content`
+  contentHtml: {
+    type: String,
+    default: ''
+  },
   excerpt: {
     type: String,
     maxlength: 300
@@ -72,9 +60,13 @@ const blogSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: ['draft', 'scheduled', 'published', 'archived'],
     default: 'draft'
   },
+  // When a scheduled article should go live; picked up by utils/scheduler.js
+  scheduledFor: {
+    type: Date
+  },
   views: {
     type: Number,
     default: 0
@@ -83,7 +75,11 @@ const blogSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
-  comments: [commentSchema],
+  // Maintained by the comment routes; comments live in their own collection
+  commentCount: {
+    type: Number,
+    default: 0
+  },
   readingTime: {
     type: Number,
     default: 0
@@ -91,9 +87,23 @@ const blogSchema = new mongoose.Schema({
   publishedAt: {
     type: Date
   },
+  // Bumped on every edit; clients send it back so stale saves can be rejected
+  version: {
+    type: Number,
+    default: 0
+  },
+  // Hidden by an admin (routes/admin.js); authors can't edit hidden articles
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Set when an admin force-archives the article; the author can't change its status while set
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  archivedAt: {
+    type: Date
   }
 }, {
   timestamps: true,
@@ -106,10 +116,12 @@ blogSchema.virtual('likeCount').get(function () {
   return this.likes.length;
 });
 
-// Virtual for comment count
-blogSchema.virtual('commentCount').get(function () {
-  return this.comments.length;
-});
+// Render the Markdown to HTML and update the reading time from it
+blogSchema.methods.renderContent = function () {
+  this.contentHtml = renderMarkdown(this.content);
+  const wordCount = countWords(this.contentHtml);
+  this.readingTime = Math.ceil(wordCount / 200);
+};
 
 // Generate slug + reading time + published date before saving
 blogSchema.pre('save', function (next) {
@@ -121,15 +133,16 @@ blogSchema.pre('save', function (next) {
     });
   }
 
-  if (this.isModified('content')) {
-    const wordCount = this.content.split(/\s+/).length;
-    this.readingTime = Math.ceil(wordCount / 200);
-  }
+  if (this.isModified('content') || !this.contentHtml) this.renderContent();
 
   if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
     this.publishedAt = new Date();
   }
 
+  if (this.status !== 'scheduled') {
+    this.scheduledFor = undefined;
+  }
+
   next();
 });
 
@@ -157,9 +170,14 @@ blogSchema.pre('save', async function (next) {
 
 // Indexes for queries (EXCEPT slug duplicate index)
 blogSchema.index({ status: 1, publishedAt: -1 });
+blogSchema.index({ status: 1, scheduledFor: 1 });
 blogSchema.index({ author: 1, status: 1 });
 blogSchema.index({ category: 1, status: 1 });
 blogSchema.index({ tags: 1, status: 1 });
+blogSchema.index(
+  { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+  { name: 'blog_text_search', weights: { title: 10, tags: 5, excerpt: 3, content: 1 } }
+);
 
 const Blog = mongoose.model('Blog', blogSchema);
 
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+// Per-article totals for one UTC day, updated as views and pings arrive
+const blogDailyStatSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  // Copied from the blog so an author's articles can be totalled together
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Start of the UTC day
+  date: {
+    type: Date,
+    required: true
+  },
+  // Deduplicated views: one per visitor per day
+  views: {
+    type: Number,
+    default: 0
+  },
+  // Likes given that day and not since withdrawn (see BlogLike)
+  likes: {
+    type: Number,
+    default: 0
+  },
+  // Views that scrolled to the end of the article
+  readThroughs: {
+    type: Number,
+    default: 0
+  },
+  // Total seconds on page across views that sent at least one ping, and how many did
+  timeOnPage: {
+    type: Number,
+    default: 0
+  },
+  timedViews: {
+    type: Number,
+    default: 0
+  }
+});
+
+blogDailyStatSchema.index({ blog: 1, date: 1 }, { unique: true });
+blogDailyStatSchema.index({ author: 1, date: 1 });
+
+const BlogDailyStat = mongoose.model('BlogDailyStat', blogDailyStatSchema);
+
+export default BlogDailyStat;
@@ -0,0 +1,28 @@
+import mongoose from 'mongoose';
+
+// When a reader liked an article. Blog.likes stays the source of truth for who
+// likes what; this records the UTC day each like was counted in BlogDailyStat
+// so withdrawing it can be taken off that same day.
+const blogLikeSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Start of the UTC day the like was counted on
+  day: {
+    type: Date,
+    required: true
+  }
+});
+
+blogLikeSchema.index({ blog: 1, user: 1 }, { unique: true });
+
+const BlogLike = mongoose.model('BlogLike', blogLikeSchema);
+
+export default BlogLike;
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const commentSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  // Comment this one replies to; null for top-level comments
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Held comments failed automatic screening and are only shown to the blog's
+  // author and admins until one of them approves it. Older comments have no status.
+  status: {
+    type: String,
+    enum: ['approved', 'held'],
+    default: 'approved'
+  },
+  // Why screening held the comment, e.g. ['links', 'spamScore']
+  screeningReasons: [{
+    type: String
+  }],
+  // Bayesian spam probability at screening time, when the classifier was trained enough to score
+  spamScore: {
+    type: Number
+  },
+  // Cleared when a moderator hides the comment
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Only set once the comment has been edited
+  updatedAt: {
+    type: Date
+  }
+});
+
+// Cursor pagination walks a blog's comments in (createdAt, _id) order
+commentSchema.index({ blog: 1, createdAt: 1, _id: 1 });
+commentSchema.index({ parentId: 1 });
+// Duplicate and new-account checks look up an author's recent comments
+commentSchema.index({ author: 1, createdAt: -1 });
+commentSchema.index({ status: 1, createdAt: -1 });
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+export default Comment;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// A user (follower) subscribing to another user's (following) articles
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One follow per pair; also serves "who does X follow" lookups
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+
+const Follow = mongoose.model('Follow', followSchema);
+
+export default Follow;
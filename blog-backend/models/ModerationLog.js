@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// Audit trail of moderator decisions on reported content. Entries are only
+// ever added, never edited.
+const moderationLogSchema = new mongoose.Schema({
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['dismiss', 'hide', 'warn', 'suspend'],
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['blog', 'comment'],
+    required: true
+  },
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Author of the content, i.e. the user who was warned or suspended
+  subject: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Snapshot of the content as it was when the decision was made, since it may later be edited or deleted
+  targetSummary: {
+    type: String,
+    default: ''
+  },
+  reports: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  }],
+  reasons: [{
+    type: String
+  }],
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+moderationLogSchema.index({ createdAt: -1 });
+moderationLogSchema.index({ subject: 1, createdAt: -1 });
+
+const ModerationLog = mongoose.model('ModerationLog', moderationLogSchema);
+
+export default ModerationLog;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+export const REPORT_REASONS = ['spam', 'harassment', 'hate_speech', 'violence', 'sexual_content', 'misinformation', 'copyright', 'other'];
+
+// A reader's flag on an article or comment. Reports about the same content
+// are handled together from the admin moderation queue.
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['blog', 'comment'],
+    required: true
+  },
+  // Always set; for comment reports it is the blog the comment belongs to
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  // Who wrote the reported content; the user a warning or suspension applies to
+  targetAuthor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+    default: ''
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  // Set when a moderator acts on the report (see ModerationLog for the full record)
+  resolution: {
+    action: String,
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+reportSchema.index({ status: 1, createdAt: -1 });
+reportSchema.index({ targetType: 1, blog: 1, comment: 1, status: 1 });
+reportSchema.index({ reporter: 1, targetType: 1, blog: 1, comment: 1, status: 1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
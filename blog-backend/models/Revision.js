@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// A saved version of a blog, recorded each time it is created, updated or restored
+const revisionSchema = new mongoose.Schema({
+  blog: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Blog',
+    required: true
+  },
+  // Sequential per blog, starting at 1
+  number: {
+    type: Number,
+    required: true
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Fields that differ from the previous revision
+  changedFields: [{
+    type: String
+  }],
+  // Set when this revision was created by restoring an older one
+  restoredFrom: {
+    type: Number
+  },
+  title: String,
+  content: String,
+  excerpt: String,
+  category: String,
+  tags: [String],
+  featuredImage: String,
+  status: String,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+revisionSchema.index({ blog: 1, number: -1 }, { unique: true });
+
+const Revision = mongoose.model('Revision', revisionSchema);
+
+export default Revision;
@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Training counts for the comment spam classifier (utils/spamClassifier.js):
+// how many spam and ham comments each token appeared in. The reserved token
+// TRAINING_TOTALS_TOKEN counts the training comments themselves.
+export const TRAINING_TOTALS_TOKEN = '__comments__';
+
+const spamTokenSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  spam: {
+    type: Number,
+    default: 0
+  },
+  ham: {
+    type: Number,
+    default: 0
+  }
+});
+
+const SpamToken = mongoose.model('SpamToken', spamTokenSchema);
+
+export default SpamToken;
@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { createRandomToken, hashToken } from '../utils/tokens.js';
+
+export const PASSWORD_RESET_TTL_MINUTES = 60;
+export const EMAIL_VERIFICATION_TTL_HOURS = 48;
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -53,6 +57,55 @@ const userSchema = new mongoose.Schema({
     type: String,
     enum: ['user', 'admin'],
     default: 'user'
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    select: false
+  },
+  // Two-factor authentication (TOTP). The pending secret is held between
+  // setup and the first confirmed code; recovery codes are stored hashed.
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorPendingSecret: {
+    type: String,
+    select: false
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false
+  },
+  // Last accepted TOTP time step, so a code can't be used twice
+  twoFactorLastStep: {
+    type: Number,
+    select: false
+  },
+  // Tokens issued before this are rejected, signing out other sessions
+  passwordChangedAt: Date,
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
   }
 }, {
   timestamps: true,
@@ -72,6 +125,9 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    // Back-dated a second because JWT iat has one-second precision, so a
+    // token issued right after the change still counts as newer
+    if (!this.isNew) this.passwordChangedAt = new Date(Date.now() - 1000);
     next();
   } catch (error) {
     next(error);
@@ -83,10 +139,41 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
-// Remove password from JSON output
+// Whether a token issued at `issuedAt` (JWT iat, in seconds) predates a password change
+userSchema.methods.changedPasswordAfter = function(issuedAt) {
+  return Boolean(this.passwordChangedAt) && issuedAt * 1000 < this.passwordChangedAt.getTime();
+};
+
+// Issue a password reset token; returns the raw token to mail, the hash is saved
+userSchema.methods.createPasswordResetToken = function() {
+  const token = createRandomToken();
+  this.passwordResetToken = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+  return token;
+};
+
+// Issue an email verification token; returns the raw token to mail
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = createRandomToken();
+  this.emailVerificationToken = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+// Remove password and secrets from JSON output
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpires;
+  delete userObject.emailVerificationSentAt;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorPendingSecret;
+  delete userObject.twoFactorRecoveryCodes;
+  delete userObject.twoFactorLastStep;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpires;
   return userObject;
 };
 
@@ -0,0 +1,455 @@
+import express from 'express';
+import { body, param, query, validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Blog from '../models/Blog.js';
+import Comment from '../models/Comment.js';
+import Report from '../models/Report.js';
+import ModerationLog from '../models/ModerationLog.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { revokeUserSessions } from '../utils/sessions.js';
+import { escapeRegExp } from '../utils/search.js';
+import { sendMail } from '../utils/mailer.js';
+import { moderationWarningEmail, accountSuspendedEmail } from '../utils/emails.js';
+
+// User and content management, mounted at /api/admin. Every route needs an admin.
+const router = express.Router();
+
+router.use(authenticateToken, requireAdmin);
+
+const ADMIN_USER_FIELDS = 'username email firstName lastName avatar role isActive emailVerified twoFactorEnabled createdAt';
+
+const formatErrors = (errors) => errors.array().map(err => ({ field: err.param, message: err.msg }));
+
+const validatePagination = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('search').optional().trim().isLength({ max: 100 }).withMessage('Search cannot exceed 100 characters')
+];
+
+const paginate = (req) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// List users, optionally filtered by role or active state and searched by name or email
+router.get('/users', [
+  ...validatePagination,
+  query('role').optional().isIn(['user', 'admin']).withMessage('Invalid role'),
+  query('status').optional().isIn(['active', 'inactive']).withMessage('Status must be active or inactive')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const { page, limit, skip } = paginate(req);
+
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.status) filter.isActive = req.query.status === 'active';
+    if (req.query.search) {
+      const pattern = new RegExp(escapeRegExp(req.query.search), 'i');
+      filter.$or = [{ username: pattern }, { email: pattern }, { firstName: pattern }, { lastName: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).select(ADMIN_USER_FIELDS).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      User.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      users,
+      pagination: { currentPage: page, totalPages, totalUsers: total, hasNext: page < totalPages, hasPrev: page > 1 }
+    });
+  } catch (error) {
+    console.error('Admin get users error:', error);
+    res.status(500).json({ message: 'Server error fetching users' });
+  }
+});
+
+// Deactivate/reactivate an account or change its role. Admins can't change
+// their own account here, so there is always someone left to undo a mistake.
+router.patch('/users/:id', [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean(),
+  body('role').optional().isIn(['user', 'admin']).withMessage('Invalid role')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({ message: 'You cannot change your own account from the admin console' });
+    }
+
+    const updates = {};
+    if (req.body.isActive !== undefined) updates.isActive = req.body.isActive;
+    if (req.body.role !== undefined) updates.role = req.body.role;
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const user = await User.findByIdAndUpdate(req.params.id, { $set: updates }, { new: true })
+      .select(ADMIN_USER_FIELDS);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    // A deactivated account is signed out everywhere
+    if (updates.isActive === false) {
+      await revokeUserSessions(user._id);
+    }
+
+    res.json({ message: 'User updated', user });
+  } catch (error) {
+    console.error('Admin update user error:', error);
+    res.status(500).json({ message: 'Server error updating user' });
+  }
+});
+
+// List blogs across all authors, including drafts and hidden ones
+router.get('/blogs', [
+  ...validatePagination,
+  query('status').optional().isIn(['draft', 'scheduled', 'published', 'archived']).withMessage('Invalid status'),
+  query('visibility').optional().isIn(['visible', 'hidden']).withMessage('Visibility must be visible or hidden'),
+  query('author').optional().isMongoId().withMessage('Invalid author ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const { page, limit, skip } = paginate(req);
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.visibility) filter.isActive = req.query.visibility === 'visible';
+    if (req.query.author) filter.author = req.query.author;
+    if (req.query.search) filter.title = new RegExp(escapeRegExp(req.query.search), 'i');
+
+    const [blogs, total] = await Promise.all([
+      Blog.find(filter, { content: 0, contentHtml: 0 })
+        .populate('author', 'username firstName lastName fullName avatar')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Blog.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      blogs,
+      pagination: { currentPage: page, totalPages, totalBlogs: total, hasNext: page < totalPages, hasPrev: page > 1 }
+    });
+  } catch (error) {
+    console.error('Admin get blogs error:', error);
+    res.status(500).json({ message: 'Server error fetching blogs' });
+  }
+});
+
+// Force-archive a blog (status: 'archived') or hide/unhide it (isActive).
+// Hidden blogs disappear everywhere, including the author's dashboard, and
+// can't be edited; force-archived ones stay archived.
+router.patch('/blogs/:id', [
+  param('id').isMongoId().withMessage('Invalid blog ID'),
+  body('status').optional().equals('archived').withMessage('Blogs can only be archived from the admin console'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const updates = {};
+    if (req.body.status !== undefined) {
+      // Recorded so the author can't simply publish it again (routes/blog.js)
+      Object.assign(updates, { status: req.body.status, archivedBy: req.user._id, archivedAt: new Date() });
+    }
+    if (req.body.isActive !== undefined) updates.isActive = req.body.isActive;
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    // An archived article is no longer waiting to be published
+    const unset = updates.status === 'archived' ? { scheduledFor: 1 } : {};
+
+    const blog = await Blog.findByIdAndUpdate(req.params.id, { $set: updates, $unset: unset }, { new: true, projection: { content: 0, contentHtml: 0 } })
+      .populate('author', 'username firstName lastName fullName avatar');
+    if (!blog) return res.status(404).json({ message: 'Blog not found' });
+
+    res.json({ message: 'Blog updated', blog });
+  } catch (error) {
+    console.error('Admin update blog error:', error);
+    res.status(500).json({ message: 'Server error updating blog' });
+  }
+});
+
+// List comments across all blogs, newest first; status=held is the screening review queue.
+// Approve or remove them with the blog comment routes (/api/blogs/:id/comments/:commentId/approve|spam).
+router.get('/comments', [
+  ...validatePagination,
+  query('status').optional().isIn(['approved', 'held']).withMessage('Status must be approved or held')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const { page, limit, skip } = paginate(req);
+
+    const filter = { isActive: { $ne: false } };
+    if (req.query.status === 'held') filter.status = 'held';
+    if (req.query.status === 'approved') filter.status = { $ne: 'held' };
+    if (req.query.search) filter.content = new RegExp(escapeRegExp(req.query.search), 'i');
+
+    const [comments, total] = await Promise.all([
+      Comment.find(filter)
+        .populate('author', 'username firstName lastName fullName avatar createdAt')
+        .populate('blog', 'title slug')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Comment.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      comments,
+      pagination: { currentPage: page, totalPages, totalComments: total, hasNext: page < totalPages, hasPrev: page > 1 }
+    });
+  } catch (error) {
+    console.error('Admin get comments error:', error);
+    res.status(500).json({ message: 'Server error fetching comments' });
+  }
+});
+
+const REPORTED_USER_FIELDS = 'username firstName lastName avatar role isActive';
+
+// Most recent individual reports included with each queue entry
+const REPORTS_PER_CASE = 10;
+
+// Open reports grouped by the content they are about, most reported first.
+// Each entry's _id is its newest report, which actions are addressed to.
+router.get('/reports', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('targetType').optional().isIn(['blog', 'comment']).withMessage('Target type must be blog or comment')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const { page, limit, skip } = paginate(req);
+
+    const match = { status: 'open' };
+    if (req.query.targetType) match.targetType = req.query.targetType;
+
+    const [result] = await Report.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: { targetType: '$targetType', blog: '$blog', comment: '$comment' },
+          reportId: { $first: '$_id' },
+          targetAuthor: { $first: '$targetAuthor' },
+          reportCount: { $sum: 1 },
+          reasons: { $addToSet: '$reason' },
+          latestReportAt: { $first: '$createdAt' },
+          reports: { $push: { reporter: '$reporter', reason: '$reason', details: '$details', createdAt: '$createdAt' } }
+        }
+      },
+      {
+        $project: {
+          _id: '$reportId',
+          targetType: '$_id.targetType',
+          blog: '$_id.blog',
+          comment: '$_id.comment',
+          targetAuthor: 1,
+          reportCount: 1,
+          reasons: 1,
+          latestReportAt: 1,
+          reports: { $slice: ['$reports', REPORTS_PER_CASE] }
+        }
+      },
+      { $sort: { reportCount: -1, latestReportAt: -1 } },
+      { $facet: { cases: [{ $skip: skip }, { $limit: limit }], total: [{ $count: 'count' }] } }
+    ]);
+
+    const cases = await Report.populate(result.cases, [
+      { path: 'blog', model: 'Blog', select: 'title slug status isActive' },
+      { path: 'comment', model: 'Comment', select: 'content isActive createdAt' },
+      { path: 'targetAuthor', model: 'User', select: REPORTED_USER_FIELDS },
+      { path: 'reports.reporter', model: 'User', select: 'username firstName lastName' }
+    ]);
+
+    const total = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      reports: cases,
+      pagination: { currentPage: page, totalPages, totalReports: total, hasNext: page < totalPages, hasPrev: page > 1 }
+    });
+  } catch (error) {
+    console.error('Admin get reports error:', error);
+    res.status(500).json({ message: 'Server error fetching reports' });
+  }
+});
+
+// Take reported content off the site; hidden comments no longer count towards the blog's total
+// (held ones never did)
+const hideReportedContent = async (report) => {
+  if (report.targetType === 'blog') {
+    await Blog.updateOne({ _id: report.blog }, { $set: { isActive: false } });
+    return;
+  }
+
+  const hidden = await Comment.findOneAndUpdate(
+    { _id: report.comment, isActive: { $ne: false } },
+    { $set: { isActive: false } }
+  );
+  if (hidden && hidden.status !== 'held') {
+    await Blog.updateOne({ _id: report.blog }, { $inc: { commentCount: -1 } });
+  }
+};
+
+const ACTION_MESSAGES = {
+  dismiss: 'Reports dismissed',
+  hide: 'Content hidden',
+  warn: 'Author warned',
+  suspend: 'Author suspended and content hidden'
+};
+
+// Act on a queue entry. The decision applies to every open report about the
+// same content and is recorded in the moderation log.
+//   dismiss - no violation; close the reports
+//   hide    - hide the article or comment
+//   warn    - email the author a warning
+//   suspend - hide the content, deactivate the author and sign them out
+router.post('/reports/:id/actions', [
+  param('id').isMongoId().withMessage('Invalid report ID'),
+  body('action').isIn(['dismiss', 'hide', 'warn', 'suspend']).withMessage('Invalid moderation action'),
+  body('note').optional().isString().trim().isLength({ max: 1000 }).withMessage('Note cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const { action } = req.body;
+    const note = req.body.note || '';
+
+    const report = await Report.findOne({ _id: req.params.id, status: 'open' });
+    if (!report) return res.status(404).json({ message: 'Report not found or already handled' });
+
+    const [author, blog, comment] = await Promise.all([
+      User.findById(report.targetAuthor),
+      Blog.findById(report.blog).select('title'),
+      report.comment ? Comment.findById(report.comment).select('content') : null
+    ]);
+
+    if (action === 'suspend') {
+      if (!author) return res.status(404).json({ message: 'Author not found' });
+      if (author._id.equals(req.user._id)) {
+        return res.status(400).json({ message: 'You cannot suspend your own account' });
+      }
+      if (author.role === 'admin') {
+        return res.status(400).json({ message: 'Remove admin access before suspending this account' });
+      }
+    }
+    if (action === 'warn' && !author) {
+      return res.status(404).json({ message: 'Author not found' });
+    }
+
+    const blogTitle = blog?.title || 'a deleted article';
+    const contentDescription = report.targetType === 'blog'
+      ? `your article "${blogTitle}"`
+      : `your comment on "${blogTitle}"`;
+
+    if (action === 'hide') {
+      await hideReportedContent(report);
+    } else if (action === 'warn') {
+      await sendMail(moderationWarningEmail(author, { contentDescription, note }));
+    } else if (action === 'suspend') {
+      await hideReportedContent(report);
+      await User.updateOne({ _id: author._id }, { $set: { isActive: false } });
+      await revokeUserSessions(author._id);
+      try {
+        await sendMail(accountSuspendedEmail(author, { contentDescription, note }));
+      } catch (error) {
+        console.error('Suspension email error:', error);
+      }
+    }
+
+    // Close every open report about the same content
+    const caseFilter = {
+      targetType: report.targetType,
+      blog: report.blog,
+      comment: report.comment,
+      status: 'open'
+    };
+    const reports = await Report.find(caseFilter).select('reason');
+    await Report.updateMany(
+      { _id: { $in: reports.map(r => r._id) } },
+      {
+        $set: {
+          status: action === 'dismiss' ? 'dismissed' : 'resolved',
+          resolution: { action, moderator: req.user._id, resolvedAt: new Date() }
+        }
+      }
+    );
+
+    const entry = await ModerationLog.create({
+      moderator: req.user._id,
+      action,
+      targetType: report.targetType,
+      blog: report.blog,
+      comment: report.comment,
+      subject: report.targetAuthor,
+      targetSummary: report.targetType === 'blog' ? blogTitle : (comment?.content || '(deleted comment)').slice(0, 300),
+      reports: reports.map(r => r._id),
+      reasons: [...new Set(reports.map(r => r.reason))],
+      note
+    });
+
+    res.json({ message: ACTION_MESSAGES[action], entry });
+  } catch (error) {
+    console.error('Moderation action error:', error);
+    res.status(500).json({ message: 'Server error applying moderation action' });
+  }
+});
+
+// Audit trail of moderation decisions, newest first
+router.get('/moderation-log', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('action').optional().isIn(['dismiss', 'hide', 'warn', 'suspend']).withMessage('Invalid moderation action'),
+  query('subject').optional().isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const { page, limit, skip } = paginate(req);
+
+    const filter = {};
+    if (req.query.action) filter.action = req.query.action;
+    if (req.query.subject) filter.subject = req.query.subject;
+
+    const [entries, total] = await Promise.all([
+      ModerationLog.find(filter)
+        .populate('moderator', 'username firstName lastName fullName')
+        .populate('subject', 'username firstName lastName fullName')
+        .populate('blog', 'title slug')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ModerationLog.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      entries,
+      pagination: { currentPage: page, totalPages, totalEntries: total, hasNext: page < totalPages, hasPrev: page > 1 }
+    });
+  } catch (error) {
+    console.error('Admin moderation log error:', error);
+    res.status(500).json({ message: 'Server error fetching moderation log' });
+  }
+});
+
+export default router;
@@ -1,10 +1,100 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
-import User from '../models/User.js';
-import { authenticateToken, generateToken } from '../middleware/auth.js';
+import { body, param, validationResult } from 'express-validator';
+import User, { PASSWORD_RESET_TTL_MINUTES, EMAIL_VERIFICATION_TTL_HOURS } from '../models/User.js';
+import Session from '../models/Session.js';
+import { authenticateToken, generateToken, generateChallengeToken, verifyChallengeToken } from '../middleware/auth.js';
+import { sendMail } from '../utils/mailer.js';
+import { hashToken } from '../utils/tokens.js';
+import { startSession, rotateSession, revokeSession, revokeUserSessions } from '../utils/sessions.js';
+import { verifySecondFactor } from '../utils/twoFactor.js';
+import {
+  rateLimit,
+  byEmail,
+  limitCredentialChecks,
+  checkLoginLockout,
+  recordLoginFailure,
+  clearLoginFailures,
+  sendLoginLockout
+} from '../middleware/rateLimit.js';
+import { passwordResetEmail, emailVerificationEmail } from '../utils/emails.js';
 
 const router = express.Router();
 
+// The user object returned to the client after signing in or updating the account
+const toAuthUser = (user) => ({
+  id: user._id,
+  username: user.username,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  fullName: user.fullName,
+  bio: user.bio,
+  avatar: user.avatar,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  twoFactorEnabled: user.twoFactorEnabled
+});
+
+// Start a session (short-lived access token plus a refresh token) and reply with it
+const sendLoginResponse = async (req, res, user) => {
+  await clearLoginFailures(user.email);
+  const { token, refreshToken } = await startSession(user._id, req);
+
+  res.json({
+    message: 'Login successful',
+    token,
+    refreshToken,
+    user: toAuthUser(user)
+  });
+};
+
+// Count a failed sign-in, answering with the lockout instead if this failure started one
+const rejectLogin = async (req, res, email, message) => {
+  const retryAfter = await recordLoginFailure(req, email);
+  if (retryAfter) return sendLoginLockout(res, retryAfter);
+  return res.status(401).json({ message });
+};
+
+// Request limits per IP address (and per account for password reset emails).
+// Failed logins are handled separately by the progressive lockout.
+const loginLimiter = rateLimit({
+  name: 'login',
+  windowMs: 15 * 60 * 1000,
+  max: 30,
+  message: 'Too many login attempts'
+});
+
+const registerLimiter = rateLimit({
+  name: 'register',
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many accounts created from this network'
+});
+
+const passwordResetLimiter = rateLimit({
+  name: 'password-reset',
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many password reset requests'
+});
+
+const passwordResetEmailLimiter = rateLimit({
+  name: 'password-reset-email',
+  windowMs: 60 * 60 * 1000,
+  max: 3,
+  key: byEmail,
+  message: 'Too many password reset emails for this address'
+});
+
+// Minimum wait between verification emails for one account
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+  await sendMail(emailVerificationEmail(user, token, EMAIL_VERIFICATION_TTL_HOURS));
+};
+
 // Validation middleware
 const validateRegistration = [
   body('username')
@@ -40,7 +130,7 @@ const validateLogin = [
 ];
 
 // Register new user
-router.post('/register', validateRegistration, async (req, res) => {
+router.post('/register', registerLimiter, validateRegistration, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -75,22 +165,22 @@ router.post('/register', validateRegistration, async (req, res) => {
 
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // The account works right away; publishing and commenting wait for verification.
+    // A failed send isn't fatal since the user can ask for another email.
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    // Start a session: short-lived access token plus a refresh token
+    const { token, refreshToken } = await startSession(user._id, req);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        fullName: user.fullName,
-        bio: user.bio,
-        avatar: user.avatar
-      }
+      refreshToken,
+      user: toAuthUser(user)
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -99,7 +189,7 @@ router.post('/register', validateRegistration, async (req, res) => {
 });
 
 // Login user
-router.post('/login', validateLogin, async (req, res) => {
+router.post('/login', loginLimiter, validateLogin, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -111,41 +201,350 @@ router.post('/login', validateLogin, async (req, res) => {
 
     const { email, password } = req.body;
 
+    const lockedFor = await checkLoginLockout(req, email);
+    if (lockedFor) {
+      return sendLoginLockout(res, lockedFor);
+    }
+
     // Find user by email
     const user = await User.findOne({ email, isActive: true });
     if (!user) {
-      return res.status(401).json({ message: 'Invalid email or password' });
+      return rejectLogin(req, res, email, 'Invalid email or password');
     }
 
     // Check password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
-      return res.status(401).json({ message: 'Invalid email or password' });
+      return rejectLogin(req, res, email, 'Invalid email or password');
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // With 2FA on, the password only earns a challenge token for the second step
+    if (user.twoFactorEnabled) {
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: generateChallengeToken(user._id)
+      });
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        fullName: user.fullName,
-        bio: user.bio,
-        avatar: user.avatar
-      }
-    });
+    await sendLoginResponse(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ message: 'Server error during login' });
   }
 });
 
+// Second login step for accounts with 2FA: a challenge token plus an
+// authenticator code or one of the recovery codes
+router.post('/login/2fa', loginLimiter, [
+  body('challengeToken')
+    .notEmpty()
+    .withMessage('Challenge token is required'),
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Code is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(req.body.challengeToken);
+    } catch {
+      return res.status(401).json({ message: 'Login attempt expired. Please sign in again.', code: 'TWO_FACTOR_CHALLENGE_EXPIRED' });
+    }
+
+    const user = await User.findOne({ _id: challenge.userId, isActive: true, twoFactorEnabled: true })
+      .select('+twoFactorSecret');
+    if (!user) {
+      return res.status(401).json({ message: 'Login attempt expired. Please sign in again.', code: 'TWO_FACTOR_CHALLENGE_EXPIRED' });
+    }
+
+    const lockedFor = await checkLoginLockout(req, user.email);
+    if (lockedFor) {
+      return sendLoginLockout(res, lockedFor);
+    }
+
+    const method = await verifySecondFactor(user, req.body.code);
+    if (!method) {
+      return rejectLogin(req, res, user.email, 'Invalid authentication code');
+    }
+
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+];
+
+const validateResetPassword = [
+  body('token')
+    .isHexadecimal()
+    .isLength({ min: 64, max: 64 })
+    .withMessage('Reset token is invalid'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+];
+
+// Confirm an email address with the token from the verification email
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: hashToken(req.params.token),
+        emailVerificationExpires: { $gt: new Date() }
+      },
+      {
+        $set: { emailVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1, emailVerificationSentAt: 1 }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'This verification link is invalid or has expired' });
+    }
+
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error verifying email' });
+  }
+});
+
+// Send a fresh verification email to the current user
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+emailVerificationSentAt');
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Your email is already verified' });
+    }
+
+    const waitSeconds = user.emailVerificationSentAt
+      ? Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - (Date.now() - user.emailVerificationSentAt) / 1000)
+      : 0;
+    if (waitSeconds > 0) {
+      res.set('Retry-After', String(waitSeconds));
+      return res.status(429).json({
+        message: `Please wait ${waitSeconds} seconds before requesting another email`,
+        retryAfter: waitSeconds
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: `Verification email sent to ${user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error sending verification email' });
+  }
+});
+
+// Request a password reset link. The response is the same whether or not the
+// email is registered, so it can't be used to discover accounts.
+router.post('/forgot-password', passwordResetLimiter, validateForgotPassword, passwordResetEmailLimiter, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email, isActive: true });
+
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+
+      try {
+        await sendMail(passwordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES));
+      } catch (error) {
+        await User.updateOne({ _id: user._id }, { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } });
+        throw error;
+      }
+    }
+
+    res.json({ message: 'If that email is registered, a password reset link is on its way' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error requesting password reset' });
+  }
+});
+
+// Set a new password with a token from the reset email
+router.post('/reset-password', passwordResetLimiter, validateResetPassword, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    // Claim the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+      {
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() },
+        isActive: true
+      },
+      { $unset: { passwordResetToken: 1, passwordResetExpires: 1 } },
+      { new: true }
+    );
+
+    if (!user) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    user.password = password;
+    await user.save();
+    await revokeUserSessions(user._id);
+
+    res.json({ message: 'Password reset successfully. You can now sign in.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error resetting password' });
+  }
+});
+
+const validateRefreshToken = [
+  body('refreshToken')
+    .isHexadecimal()
+    .withMessage('Refresh token is invalid')
+];
+
+// Exchange a refresh token for a new access token; the refresh token rotates too
+router.post('/refresh', validateRefreshToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(401).json({ message: 'Invalid refresh token' });
+    }
+
+    const result = await rotateSession(req.body.refreshToken, req);
+    if (!result) {
+      return res.status(401).json({ message: 'Session expired. Please log in again.' });
+    }
+
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive) {
+      await revokeSession(result.refreshToken);
+      return res.status(401).json({ message: 'Invalid token or user not found' });
+    }
+
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error refreshing session' });
+  }
+});
+
+// Log out this device by revoking its session
+router.post('/logout', validateRefreshToken, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) {
+      await revokeSession(req.body.refreshToken);
+    }
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// Log out on every device, this one included
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const { modifiedCount } = await revokeUserSessions(req.user._id);
+
+    res.json({ message: 'Logged out on all devices', revoked: modifiedCount });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// List the current user's active sessions, most recently used first
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ lastSeenAt: -1 })
+      .select('userAgent ip createdAt lastSeenAt');
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: session._id.equals(req.sessionId)
+      }))
+    });
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({ message: 'Server error fetching sessions' });
+  }
+});
+
+// Revoke one of the current user's sessions
+router.delete('/sessions/:id', authenticateToken, [
+  param('id')
+    .isMongoId()
+    .withMessage('Invalid session ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { modifiedCount } = await Session.updateOne(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (!modifiedCount) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    res.json({ message: 'Session revoked', current: req.params.id === String(req.sessionId) });
+  } catch (error) {
+    console.error('Session revoke error:', error);
+    res.status(500).json({ message: 'Server error revoking session' });
+  }
+});
+
 // Get current user profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
@@ -159,6 +558,9 @@ router.get('/profile', authenticateToken, async (req, res) => {
         fullName: req.user.fullName,
         bio: req.user.bio,
         avatar: req.user.avatar,
+        role: req.user.role,
+        emailVerified: req.user.emailVerified,
+        twoFactorEnabled: req.user.twoFactorEnabled,
         createdAt: req.user.createdAt
       }
     });
@@ -219,16 +621,7 @@ router.put('/profile', authenticateToken, [
 
     res.json({
       message: 'Profile updated successfully',
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        fullName: user.fullName,
-        bio: user.bio,
-        avatar: user.avatar
-      }
+      user: toAuthUser(user)
     });
   } catch (error) {
     console.error('Profile update error:', error);
@@ -236,6 +629,111 @@ router.put('/profile', authenticateToken, [
   }
 });
 
+// Change password. Other sessions are signed out (see passwordChangedAt), so a
+// fresh token for this one is returned.
+router.put('/password', authenticateToken, limitCredentialChecks, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('newPassword')
+    .isLength({ min: 6 })
+    .withMessage('New password must be at least 6 characters long')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({ message: 'New password must be different from the current one' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+    await revokeUserSessions(user._id, { except: req.sessionId });
+
+    // Access tokens from before the change are rejected, so this session gets a new one
+    res.json({
+      message: 'Password changed successfully. Other sessions have been signed out.',
+      token: generateToken(user._id, req.sessionId)
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error changing password' });
+  }
+});
+
+// Change email. The new address has to be verified again.
+router.put('/email', authenticateToken, limitCredentialChecks, [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('Current password is required'),
+  body('email')
+    .isEmail()
+    .withMessage('Please provide a valid email')
+    .normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { currentPassword, email } = req.body;
+    const user = await User.findById(req.user._id);
+
+    const isPasswordValid = await user.comparePassword(currentPassword);
+    if (!isPasswordValid) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({ message: 'That is already your email address' });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: 'Email already registered' });
+    }
+
+    user.email = email;
+    user.emailVerified = false;
+    await user.save();
+
+    // As on registration, the user can ask for another email if this one fails
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error('Verification email error:', error);
+    }
+
+    res.json({
+      message: `Email changed. We sent a verification link to ${user.email}.`,
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Email already registered' });
+    }
+    console.error('Change email error:', error);
+    res.status(500).json({ message: 'Server error changing email' });
+  }
+});
+
 // Verify token
 router.get('/verify', authenticateToken, (req, res) => {
   res.json({
@@ -246,7 +744,10 @@ router.get('/verify', authenticateToken, (req, res) => {
       email: req.user.email,
       firstName: req.user.firstName,
       lastName: req.user.lastName,
-      fullName: req.user.fullName
+      fullName: req.user.fullName,
+      role: req.user.role,
+      emailVerified: req.user.emailVerified,
+      twoFactorEnabled: req.user.twoFactorEnabled
     }
   });
 });
@@ -1,8 +1,32 @@
 import express from 'express';
-import { body, validationResult, query } from 'express-validator';
+import mongoose from 'mongoose';
+import { body, validationResult, query, param } from 'express-validator';
 import Blog from '../models/Blog.js';
-import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import Follow from '../models/Follow.js';
+import Revision from '../models/Revision.js';
+import ArticleView from '../models/ArticleView.js';
+import BlogDailyStat from '../models/BlogDailyStat.js';
+import BlogLike from '../models/BlogLike.js';
+import { authenticateToken, optionalAuth, requireOwnershipOrAdmin, requireVerifiedEmail } from '../middleware/auth.js';
+import { rateLimit, byUser } from '../middleware/rateLimit.js';
 import slugify from 'slugify';
+import { renderMarkdown, htmlToText } from '../utils/markdown.js';
+import { parseSearchTerms, highlightText, buildSnippet, escapeRegExp } from '../utils/search.js';
+import { screenComment } from '../utils/commentScreening.js';
+import { trainSpamClassifier } from '../utils/spamClassifier.js';
+import {
+  READ_THROUGH_DEPTH,
+  MAX_TIME_ON_PAGE,
+  ANALYTICS_RANGES,
+  isBot,
+  startOfUtcDay,
+  addDays,
+  visitorKey,
+  referrerSource,
+  fillDailySeries
+} from '../utils/analytics.js';
 
 const router = express.Router();
 
@@ -34,20 +58,155 @@ const validateBlog = [
     }),
   body('status')
     .optional()
-    .isIn(['draft','published','archived'])
-    .withMessage('Invalid status')
+    .isIn(['draft','scheduled','published','archived'])
+    .withMessage('Invalid status'),
+  body('version')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Invalid version'),
+  body('scheduledFor')
+    .if(body('status').equals('scheduled'))
+    .isISO8601()
+    .withMessage('Scheduled date must be a valid date')
+    .bail()
+    .custom((value) => {
+      if (new Date(value) <= new Date()) throw new Error('Scheduled date must be in the future');
+      return true;
+    })
 ];
 
+// Drafts are fine, but publishing (now or scheduled) needs a verified email
+const requireVerifiedToPublish = (req, res, next) => {
+  if (!['published', 'scheduled'].includes(req.body.status)) return next();
+  requireVerifiedEmail(req, res, next);
+};
+
+// Per-user write limits; replies share the comment limit
+const createBlogLimiter = rateLimit({
+  name: 'blog-create',
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  key: byUser,
+  message: 'You are creating articles too quickly'
+});
+
+const commentLimiter = rateLimit({
+  name: 'comment',
+  windowMs: 60 * 1000,
+  max: 5,
+  key: byUser,
+  message: 'You are commenting too quickly'
+});
+
+const likeLimiter = rateLimit({
+  name: 'like',
+  windowMs: 60 * 1000,
+  max: 30,
+  key: byUser,
+  message: 'Too many likes'
+});
+
 // Helper to format validation errors
 const formatErrors = (errors) => errors.array().map(err => ({ field: err.param, message: err.msg }));
 
+// Fields captured in every revision; restoring brings back all of them except status
+const REVISION_FIELDS = ['title', 'content', 'excerpt', 'category', 'tags', 'featuredImage', 'status'];
+const RESTORABLE_FIELDS = REVISION_FIELDS.filter(field => field !== 'status');
+
+const snapshotBlog = (blog) =>
+  Object.fromEntries(REVISION_FIELDS.map(field => [field, field === 'tags' ? [...(blog.tags || [])] : blog[field] ?? '']));
+
+const changedFieldsBetween = (before, after) =>
+  REVISION_FIELDS.filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+
+// Attempts at claiming the next revision number before giving up
+const REVISION_NUMBER_ATTEMPTS = 5;
+
+// Save the blog's current state as its next revision. Saves arriving together
+// (an autosave and a manual save, two tabs) can pick the same number; the
+// unique {blog, number} index turns one away and it tries the next number.
+const recordRevision = async (blog, editorId, changedFields, extra = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await Revision.findOne({ blog: blog._id }).sort({ number: -1 }).select('number');
+    try {
+      return await Revision.create({
+        blog: blog._id,
+        number: (latest?.number || 0) + 1,
+        editor: editorId,
+        changedFields,
+        ...snapshotBlog(blog),
+        ...extra
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= REVISION_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Blogs written before revisions existed get their pre-edit state kept as revision 1
+const ensureBaselineRevision = async (blog) => {
+  if (await Revision.exists({ blog: blog._id })) return;
+  await recordRevision(blog, blog.author, [], { createdAt: blog.updatedAt });
+};
+
+// State of the newest revision. Autosaves are not recorded, so this can lag
+// behind the blog itself; diffing against it keeps autosaved edits in the history.
+const latestRevisionSnapshot = async (blog) => {
+  await ensureBaselineRevision(blog);
+  const latest = await Revision.findOne({ blog: blog._id }).sort({ number: -1 });
+  return snapshotBlog(latest);
+};
+
+// Save only if nobody else has saved since this copy was loaded. Otherwise
+// the update matches nothing and Mongoose throws a DocumentNotFoundError.
+const saveWithVersion = async (blog) => {
+  const current = blog.version || 0;
+  blog.$where = { version: current === 0 ? { $in: [0, null] } : current };
+  blog.version = current + 1;
+  await blog.save();
+};
+
+// Why the author may not make this change to a blog an admin has moderated, or null.
+// Pass the requested status when the change would set one.
+const moderationLock = (blog, status) => {
+  if (blog.isActive === false) return 'This article has been hidden by an admin and can no longer be edited';
+  if (blog.archivedBy && status && status !== 'archived') {
+    return 'This article was archived by an admin and can no longer be republished';
+  }
+  return null;
+};
+
+const isStaleVersion = (blog, version) =>
+  version !== undefined && Number(version) !== (blog.version || 0);
+
+// Reply with the stored copy so the client can show what it is missing
+const sendVersionConflict = async (res, blogId) => {
+  const blog = await Blog.findById(blogId).populate('author', 'username firstName lastName fullName avatar');
+  return res.status(409).json({ message: 'This article was changed in another tab or device', blog });
+};
+
+// Attach highlighted title and snippet to a search result, dropping the article body
+const withHighlights = (blog, terms) => {
+  const { contentHtml, ...result } = blog.toJSON();
+  const excerpt = blog.excerpt || '';
+  const text = htmlToText(contentHtml);
+
+  result.highlights = {
+    title: highlightText(blog.title, terms),
+    snippet: buildSnippet(excerpt, terms) ||
+      buildSnippet(text, terms) ||
+      highlightText(excerpt || text.slice(0, 200), terms)
+  };
+  return result;
+};
+
 // Get all published blogs
 router.get('/', [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
   query('category').optional().trim(),
   query('tag').optional().trim(),
-  query('search').optional().trim(),
+  query('search').optional().trim().isLength({ max: 200 }).withMessage('Search cannot exceed 200 characters'),
   query('author').optional().isMongoId().withMessage('Invalid author ID')
 ], optionalAuth, async (req, res) => {
   try {
@@ -62,16 +221,19 @@ router.get('/', [
     if (req.query.category) filter.category = req.query.category;
     if (req.query.tag) filter.tags = { $in: [req.query.tag] };
     if (req.query.author) filter.author = req.query.author;
-    if (req.query.search) filter.$or = [
-      { title: { $regex: req.query.search, $options: 'i' } },
-      { content: { $regex: req.query.search, $options: 'i' } },
-      { tags: { $in: [new RegExp(req.query.search, 'i')] } }
-    ];
 
-    const blogs = await Blog.find(filter)
+    // Searches use the weighted text index and are ranked by relevance
+    const isSearch = Boolean(req.query.search);
+    if (isSearch) filter.$text = { $search: req.query.search };
+    const searchTerms = parseSearchTerms(req.query.search);
+
+    const projection = isSearch
+      ? { content: 0, score: { $meta: 'textScore' } }
+      : { content: 0, contentHtml: 0 };
+
+    const blogs = await Blog.find(filter, projection)
       .populate('author', 'username firstName lastName fullName avatar')
-      .select('-content')
-      .sort({ publishedAt: -1 })
+      .sort(isSearch ? { score: { $meta: 'textScore' }, publishedAt: -1 } : { publishedAt: -1 })
       .skip(skip)
       .limit(limit);
 
@@ -79,7 +241,7 @@ router.get('/', [
     const totalPages = Math.ceil(total / limit);
 
     res.json({
-      blogs,
+      blogs: isSearch ? blogs.map(blog => withHighlights(blog, searchTerms)) : blogs,
       pagination: { currentPage: page, totalPages, totalBlogs: total, hasNext: page < totalPages, hasPrev: page > 1 }
     });
   } catch (error) {
@@ -88,18 +250,61 @@ router.get('/', [
   }
 });
 
+// Published articles from authors the current user follows, newest first
+router.get('/feed', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const authorIds = await Follow.distinct('following', { follower: req.user._id });
+    const filter = { author: { $in: authorIds }, status: 'published', isActive: true };
+
+    const blogs = await Blog.find(filter, { content: 0, contentHtml: 0 })
+      .populate('author', 'username firstName lastName fullName avatar')
+      .sort({ publishedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Blog.countDocuments(filter);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      blogs,
+      pagination: { currentPage: page, totalPages, totalBlogs: total, hasNext: page < totalPages, hasPrev: page > 1 },
+      followingCount: authorIds.length
+    });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({ message: 'Server error fetching feed' });
+  }
+});
+
 // Get single blog by slug
 router.get('/:slug', optionalAuth, async (req, res) => {
   try {
     const blog = await Blog.findOne({ slug: req.params.slug, status: 'published', isActive: true })
-      .populate('author', 'username firstName lastName fullName avatar bio')
-      .populate('comments.author', 'username firstName lastName fullName avatar');
+      .populate('author', 'username firstName lastName fullName avatar bio');
 
     if (!blog) return res.status(404).json({ message: 'Blog not found' });
 
-    blog.views += 1;
-    await blog.save();
+    // Articles from before contentHtml was stored get it rendered on first read
+    if (!blog.contentHtml && blog.content) {
+      blog.renderContent();
+      await Blog.updateOne(
+        { _id: blog._id },
+        { $set: { contentHtml: blog.contentHtml, readingTime: blog.readingTime } },
+        { timestamps: false }
+      );
+    }
 
+    // Views are counted by POST /:id/views, which the article page sends once it has loaded
     res.json({ blog });
   } catch (error) {
     console.error('Get blog error:', error);
@@ -126,12 +331,12 @@ router.get('/edit/:id', authenticateToken, async (req, res) => {
 });
 
 // Create new blog
-router.post('/', authenticateToken, validateBlog, async (req, res) => {
+router.post('/', authenticateToken, createBlogLimiter, validateBlog, requireVerifiedToPublish, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
 
-    const { title, content, category, tags, excerpt, featuredImage, status } = req.body;
+    const { title, content, category, tags, excerpt, featuredImage, status, scheduledFor } = req.body;
 
     if (status === 'published' && (!title || !content || !category))
       return res.status(400).json({ message: 'Validation failed', errors: [{ field: 'general', message: 'Title, content, and category are required for publishing' }] });
@@ -145,11 +350,13 @@ router.post('/', authenticateToken, validateBlog, async (req, res) => {
       excerpt,
       featuredImage,
       status: status || 'draft',
+      scheduledFor: status === 'scheduled' ? new Date(scheduledFor) : undefined,
       author: req.user._id,
       isActive: true
     });
 
     await blog.save();
+    await recordRevision(blog, req.user._id, []);
     await blog.populate('author', 'username firstName lastName fullName avatar');
 
     res.status(201).json({ message: 'Blog created successfully', blog });
@@ -163,8 +370,23 @@ router.post('/', authenticateToken, validateBlog, async (req, res) => {
   }
 });
 
+// Render Markdown preview with the same pipeline used for published articles
+router.post('/preview', authenticateToken, [
+  body('content').isString().withMessage('Content must be a string')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    res.json({ html: renderMarkdown(req.body.content) });
+  } catch (error) {
+    console.error('Preview blog error:', error);
+    res.status(500).json({ message: 'Server error rendering preview' });
+  }
+});
+
 // Update blog
-router.put('/:id', authenticateToken, validateBlog, async (req, res) => {
+router.put('/:id', authenticateToken, validateBlog, requireVerifiedToPublish, async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
@@ -172,11 +394,18 @@ router.put('/:id', authenticateToken, validateBlog, async (req, res) => {
     const blog = await Blog.findOne({ _id: req.params.id, author: req.user._id });
     if (!blog) return res.status(404).json({ message: 'Blog not found or unauthorized' });
 
-    const { title, content, category, tags, excerpt, featuredImage, status } = req.body;
+    const { title, content, category, tags, excerpt, featuredImage, status, scheduledFor, version } = req.body;
+
+    const locked = moderationLock(blog, status);
+    if (locked) return res.status(403).json({ message: locked });
 
     if (status === 'published' && (!title || !content || !category))
       return res.status(400).json({ message: 'Validation failed', errors: [{ field: 'general', message: 'Title, content, and category are required for publishing' }] });
 
+    if (isStaleVersion(blog, version)) return sendVersionConflict(res, blog._id);
+
+    const before = await latestRevisionSnapshot(blog);
+
     blog.title = title;
     blog.content = content;
     blog.category = category;
@@ -184,13 +413,19 @@ router.put('/:id', authenticateToken, validateBlog, async (req, res) => {
     blog.excerpt = excerpt;
     blog.featuredImage = featuredImage;
     blog.status = status || blog.status;
+    if (status === 'scheduled') blog.scheduledFor = new Date(scheduledFor);
+
+    await saveWithVersion(blog);
+
+    const changedFields = changedFieldsBetween(before, snapshotBlog(blog));
+    if (changedFields.length > 0) await recordRevision(blog, req.user._id, changedFields);
 
-    await blog.save();
     await blog.populate('author', 'username firstName lastName fullName avatar');
 
     res.json({ message: 'Blog updated successfully', blog });
   } catch (error) {
     console.error('Update blog error:', error);
+    if (error.name === 'DocumentNotFoundError') return sendVersionConflict(res, req.params.id);
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => ({ field: err.path, message: err.message }));
       return res.status(400).json({ message: 'Validation failed', errors });
@@ -199,6 +434,44 @@ router.put('/:id', authenticateToken, validateBlog, async (req, res) => {
   }
 });
 
+// Autosave a draft in place. Unlike a regular update this keeps the status
+// and does not record a revision; the next manual save picks the changes up.
+router.put('/:id/autosave', authenticateToken, validateBlog, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const blog = await Blog.findOne({ _id: req.params.id, author: req.user._id });
+    if (!blog) return res.status(404).json({ message: 'Blog not found or unauthorized' });
+
+    const locked = moderationLock(blog);
+    if (locked) return res.status(403).json({ message: locked });
+    if (blog.status !== 'draft') return res.status(400).json({ message: 'Only drafts are autosaved' });
+
+    const { title, content, category, tags, excerpt, featuredImage, version } = req.body;
+    if (isStaleVersion(blog, version)) return sendVersionConflict(res, blog._id);
+
+    blog.title = title;
+    blog.content = content;
+    blog.category = category;
+    blog.tags = tags || [];
+    blog.excerpt = excerpt;
+    blog.featuredImage = featuredImage;
+
+    await saveWithVersion(blog);
+
+    res.json({ message: 'Draft autosaved', version: blog.version, updatedAt: blog.updatedAt });
+  } catch (error) {
+    console.error('Autosave blog error:', error);
+    if (error.name === 'DocumentNotFoundError') return sendVersionConflict(res, req.params.id);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({ field: err.path, message: err.message }));
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+    res.status(500).json({ message: 'Server error autosaving blog' });
+  }
+});
+
 // Delete blog
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
@@ -206,6 +479,11 @@ router.delete('/:id', authenticateToken, async (req, res) => {
     if (!blog) return res.status(404).json({ message: 'Blog not found or unauthorized' });
 
     await Blog.findByIdAndDelete(req.params.id);
+    await Comment.deleteMany({ blog: req.params.id });
+    await Revision.deleteMany({ blog: req.params.id });
+    await ArticleView.deleteMany({ blog: req.params.id });
+    await BlogDailyStat.deleteMany({ blog: req.params.id });
+    await BlogLike.deleteMany({ blog: req.params.id });
     res.json({ message: 'Blog deleted successfully' });
   } catch (error) {
     console.error('Delete blog error:', error);
@@ -213,11 +491,102 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+const EDITOR_FIELDS = 'username firstName lastName fullName avatar';
+
+const validateRevisionParams = [
+  param('id').isMongoId().withMessage('Invalid blog ID'),
+  param('revisionId').optional().isMongoId().withMessage('Invalid revision ID')
+];
+
+// List a blog's revisions, newest first, without their content
+router.get('/:id/revisions', authenticateToken, validateRevisionParams, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const blog = await Blog.findOne({ _id: req.params.id, author: req.user._id }).select('_id');
+    if (!blog) return res.status(404).json({ message: 'Blog not found or unauthorized' });
+
+    const revisions = await Revision.find({ blog: blog._id }, { content: 0 })
+      .populate('editor', EDITOR_FIELDS)
+      .sort({ number: -1 });
+
+    res.json({ revisions });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({ message: 'Server error fetching revisions' });
+  }
+});
+
+// Get a single revision including its content
+router.get('/:id/revisions/:revisionId', authenticateToken, validateRevisionParams, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const blog = await Blog.findOne({ _id: req.params.id, author: req.user._id }).select('_id');
+    if (!blog) return res.status(404).json({ message: 'Blog not found or unauthorized' });
+
+    const revision = await Revision.findOne({ _id: req.params.revisionId, blog: blog._id })
+      .populate('editor', EDITOR_FIELDS);
+    if (!revision) return res.status(404).json({ message: 'Revision not found' });
+
+    res.json({ revision });
+  } catch (error) {
+    console.error('Get revision error:', error);
+    res.status(500).json({ message: 'Server error fetching revision' });
+  }
+});
+
+// Restore a revision's content. The restore is itself recorded as a new
+// revision, so it can be undone like any other edit. Like an update, it takes
+// the `version` the client loaded and is refused when that is stale.
+router.post('/:id/revisions/:revisionId/restore', authenticateToken, validateRevisionParams, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const blog = await Blog.findOne({ _id: req.params.id, author: req.user._id });
+    if (!blog) return res.status(404).json({ message: 'Blog not found or unauthorized' });
+
+    const locked = moderationLock(blog);
+    if (locked) return res.status(403).json({ message: locked });
+
+    const revision = await Revision.findOne({ _id: req.params.revisionId, blog: blog._id });
+    if (!revision) return res.status(404).json({ message: 'Revision not found' });
+
+    if (isStaleVersion(blog, req.body.version)) return sendVersionConflict(res, blog._id);
+
+    const before = await latestRevisionSnapshot(blog);
+    RESTORABLE_FIELDS.forEach(field => {
+      blog[field] = field === 'tags' ? [...revision.tags] : revision[field];
+    });
+    await saveWithVersion(blog);
+
+    const changedFields = changedFieldsBetween(before, snapshotBlog(blog));
+    if (changedFields.length > 0) {
+      await recordRevision(blog, req.user._id, changedFields, { restoredFrom: revision.number });
+    }
+
+    await blog.populate('author', 'username firstName lastName fullName avatar');
+
+    res.json({ message: `Restored revision ${revision.number}`, blog });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    if (error.name === 'DocumentNotFoundError') return sendVersionConflict(res, req.params.id);
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => ({ field: err.path, message: err.message }));
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+    res.status(500).json({ message: 'Server error restoring revision' });
+  }
+});
+
 // User blogs
 router.get('/user/my-blogs', authenticateToken, [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
-  query('status').optional().isIn(['draft','published','archived']).withMessage('Invalid status')
+  query('status').optional().isIn(['draft','scheduled','published','archived']).withMessage('Invalid status')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -249,10 +618,164 @@ router.get('/user/my-blogs', authenticateToken, [
   }
 });
 
+// Count documents per UTC day, as { date, count } like the daily stat buckets
+const countByDay = (Model, match, dateField = 'createdAt') => Model.aggregate([
+  { $match: match },
+  { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: `$${dateField}`, timezone: 'UTC' } }, count: { $sum: 1 } } },
+  { $project: { _id: 0, date: { $dateFromString: { dateString: '$_id', timezone: 'UTC' } }, count: 1 } }
+]);
+
+// Totals and trends across all of the signed-in author's articles: counts by
+// status, lifetime totals, daily views/likes/comments/followers for the range,
+// the same figures for the range before it, and the most viewed articles
+router.get('/user/stats', authenticateToken, [
+  query('range').optional().isIn(Object.keys(ANALYTICS_RANGES)).withMessage('Range must be one of 7d, 30d, 90d or 365d')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const authorId = req.user._id;
+    const range = req.query.range || '30d';
+    const days = ANALYTICS_RANGES[range];
+    const to = startOfUtcDay();
+    const from = addDays(to, 1 - days);
+    const previousFrom = addDays(from, -days);
+
+    const [lifetime] = await Blog.aggregate([
+      { $match: { author: authorId, isActive: true } },
+      {
+        $group: {
+          _id: null,
+          views: { $sum: '$views' },
+          likes: { $sum: { $size: { $ifNull: ['$likes', []] } } },
+          comments: { $sum: '$commentCount' },
+          statuses: { $push: '$status' },
+          ids: { $push: '$_id' }
+        }
+      }
+    ]);
+    const blogIds = lifetime?.ids || [];
+
+    // Comments from readers, not the author's own replies
+    const commentMatch = {
+      blog: { $in: blogIds },
+      author: { $ne: authorId },
+      isActive: { $ne: false },
+      status: { $ne: 'held' },
+      createdAt: { $gte: previousFrom }
+    };
+
+    const [buckets, commentDays, followerDays, followers, followersBefore, topBuckets] = await Promise.all([
+      BlogDailyStat.aggregate([
+        { $match: { author: authorId, blog: { $in: blogIds }, date: { $gte: previousFrom } } },
+        {
+          $group: {
+            _id: '$date',
+            views: { $sum: '$views' },
+            likes: { $sum: '$likes' },
+            readThroughs: { $sum: '$readThroughs' }
+          }
+        },
+        { $project: { _id: 0, date: '$_id', views: 1, likes: 1, readThroughs: 1 } }
+      ]),
+      countByDay(Comment, commentMatch),
+      countByDay(Follow, { following: authorId, createdAt: { $gte: previousFrom } }),
+      Follow.countDocuments({ following: authorId }),
+      Follow.countDocuments({ following: authorId, createdAt: { $lt: from } }),
+      BlogDailyStat.aggregate([
+        { $match: { author: authorId, blog: { $in: blogIds }, date: { $gte: from } } },
+        { $group: { _id: '$blog', views: { $sum: '$views' }, readThroughs: { $sum: '$readThroughs' } } },
+        { $sort: { views: -1 } },
+        { $limit: 5 }
+      ])
+    ]);
+
+    // One record per day combining views and likes, comments and new followers
+    const byDay = new Map();
+    const addToDay = (date, values) => {
+      byDay.set(date.getTime(), { ...byDay.get(date.getTime()), date, ...values });
+    };
+    buckets.forEach(({ date, ...values }) => addToDay(date, values));
+    commentDays.forEach(({ date, count }) => addToDay(date, { comments: count }));
+    followerDays.forEach(({ date, count }) => addToDay(date, { followers: count }));
+    const merged = [...byDay.values()];
+
+    let totalFollowers = followersBefore;
+    const daily = fillDailySeries(from, to, merged, (day) => {
+      totalFollowers += day?.followers || 0;
+      return {
+        views: day?.views || 0,
+        likes: day?.likes || 0,
+        comments: day?.comments || 0,
+        followers: day?.followers || 0,
+        totalFollowers
+      };
+    });
+
+    // The same metrics for the range before this one
+    const sumBetween = (field, start, end) => merged
+      .filter(day => day.date >= start && day.date < end)
+      .reduce((total, day) => total + (day[field] || 0), 0);
+    const compare = (field) => ({
+      current: sumBetween(field, from, addDays(to, 1)),
+      previous: sumBetween(field, previousFrom, from)
+    });
+
+    const topBlogs = await Blog.find({ _id: { $in: topBuckets.map(bucket => bucket._id) } })
+      .select('title slug status views likes commentCount');
+    const topArticles = topBuckets
+      .map(bucket => {
+        const blog = topBlogs.find(b => b._id.equals(bucket._id));
+        return blog && {
+          _id: blog._id,
+          title: blog.title,
+          slug: blog.slug,
+          status: blog.status,
+          views: bucket.views,
+          readThroughs: bucket.readThroughs,
+          lifetimeViews: blog.views,
+          likeCount: blog.likes.length,
+          commentCount: blog.commentCount
+        };
+      })
+      .filter(Boolean);
+
+    const byStatus = { draft: 0, scheduled: 0, published: 0, archived: 0 };
+    (lifetime?.statuses || []).forEach(status => { byStatus[status] += 1; });
+
+    res.json({
+      range,
+      from,
+      to,
+      totals: {
+        articles: blogIds.length,
+        byStatus,
+        views: lifetime?.views || 0,
+        likes: lifetime?.likes || 0,
+        comments: lifetime?.comments || 0,
+        followers
+      },
+      period: {
+        views: compare('views'),
+        likes: compare('likes'),
+        comments: compare('comments'),
+        followers: compare('followers'),
+        readThroughs: compare('readThroughs')
+      },
+      daily,
+      topArticles
+    });
+  } catch (error) {
+    console.error('Get user stats error:', error);
+    res.status(500).json({ message: 'Server error fetching stats' });
+  }
+});
+
 // Like/Unlike blog
-router.post('/:id/like', authenticateToken, async (req, res) => {
+router.post('/:id/like', authenticateToken, likeLimiter, async (req, res) => {
   try {
-    const blog = await Blog.findById(req.params.id);
+    const blog = await Blog.findOne({ _id: req.params.id, status: 'published', isActive: true });
     if (!blog) return res.status(404).json({ message: 'Blog not found' });
 
     const userLikeIndex = blog.likes.indexOf(req.user._id);
@@ -260,6 +783,28 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
     else blog.likes.push(req.user._id);
 
     await blog.save();
+
+    // Count likes on the day they were given, and take a withdrawn like off that
+    // same day; likes from before daily stats were kept were never counted
+    if (userLikeIndex > -1) {
+      const like = await BlogLike.findOneAndDelete({ blog: blog._id, user: req.user._id });
+      if (like) {
+        await BlogDailyStat.updateOne({ blog: blog._id, date: like.day }, { $inc: { likes: -1 } });
+      }
+    } else {
+      const day = startOfUtcDay();
+      await BlogLike.updateOne(
+        { blog: blog._id, user: req.user._id },
+        { $setOnInsert: { day } },
+        { upsert: true }
+      );
+      await BlogDailyStat.updateOne(
+        { blog: blog._id, date: day },
+        { $inc: { likes: 1 }, $setOnInsert: { author: blog.author } },
+        { upsert: true }
+      );
+    }
+
     res.json({ message: userLikeIndex > -1 ? 'Blog unliked' : 'Blog liked', likeCount: blog.likes.length, isLiked: userLikeIndex === -1 });
   } catch (error) {
     console.error('Like blog error:', error);
@@ -267,30 +812,474 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
   }
 });
 
-// Add comment
-router.post('/:id/comments', authenticateToken, [
-  body('content').isLength({ min: 1, max: 1000 }).withMessage('Comment content is required and cannot exceed 1000 characters').trim()
+const viewLimiter = rateLimit({
+  name: 'view',
+  windowMs: 60 * 1000,
+  max: 60,
+  message: 'Too many requests'
+});
+
+// Record a view of a published article. Each visitor counts once per day;
+// the article's author and bots aren't counted. Returns the viewId that
+// time-on-page pings report against, or null when the view isn't tracked.
+router.post('/:id/views', [
+  param('id').isMongoId().withMessage('Invalid blog ID'),
+  body('referrer').optional({ values: 'falsy' }).isString().isLength({ max: 2000 }).withMessage('Invalid referrer'),
+  body('visitorId').optional({ values: 'falsy' }).matches(/^[\w-]{8,64}$/).withMessage('Invalid visitor ID')
+], optionalAuth, viewLimiter, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const blog = await Blog.findOne({ _id: req.params.id, status: 'published', isActive: true }).select('author');
+    if (!blog) return res.status(404).json({ message: 'Blog not found' });
+
+    if (isBot(req.get('user-agent')) || (req.user && blog.author.equals(req.user._id))) {
+      return res.json({ viewId: null });
+    }
+
+    const view = {
+      blog: blog._id,
+      visitor: visitorKey(req, req.body.visitorId),
+      day: startOfUtcDay()
+    };
+
+    try {
+      const created = await ArticleView.create({ ...view, referrer: referrerSource(req.body.referrer) });
+
+      await Blog.updateOne({ _id: blog._id }, { $inc: { views: 1 } });
+      await BlogDailyStat.updateOne(
+        { blog: blog._id, date: view.day },
+        { $inc: { views: 1 }, $setOnInsert: { author: blog.author } },
+        { upsert: true }
+      );
+
+      res.status(201).json({ viewId: created._id });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Seen today already: keep reporting time on page against the first view
+      const existing = await ArticleView.findOne(view).select('_id');
+      res.json({ viewId: existing?._id || null });
+    }
+  } catch (error) {
+    console.error('Record view error:', error);
+    res.status(500).json({ message: 'Server error recording view' });
+  }
+});
+
+// Time-on-page and scroll-depth ping for a view, sent periodically while the
+// article is open. Values only ever grow, so repeated or late pings are harmless.
+router.post('/:id/views/:viewId/ping', [
+  param('id').isMongoId().withMessage('Invalid blog ID'),
+  param('viewId').isMongoId().withMessage('Invalid view ID'),
+  body('seconds').isInt({ min: 0 }).withMessage('Seconds must be a non-negative integer').toInt(),
+  body('scrollDepth').optional().isInt({ min: 0, max: 100 }).withMessage('Scroll depth must be between 0 and 100').toInt()
+], viewLimiter, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const seconds = Math.min(req.body.seconds, MAX_TIME_ON_PAGE);
+    const scrollDepth = req.body.scrollDepth || 0;
+
+    // The view as it was before this ping, to work out what changed
+    const previous = await ArticleView.findOneAndUpdate(
+      { _id: req.params.viewId, blog: req.params.id },
+      { $max: { timeOnPage: seconds, scrollDepth } }
+    );
+    if (!previous) return res.status(404).json({ message: 'View not found' });
+
+    const inc = {};
+    if (seconds > previous.timeOnPage) {
+      inc.timeOnPage = seconds - previous.timeOnPage;
+      if (previous.timeOnPage === 0) inc.timedViews = 1;
+    }
+    if (scrollDepth >= READ_THROUGH_DEPTH && previous.scrollDepth < READ_THROUGH_DEPTH) {
+      inc.readThroughs = 1;
+    }
+    if (Object.keys(inc).length > 0) {
+      await BlogDailyStat.updateOne({ blog: previous.blog, date: previous.day }, { $inc: inc });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    console.error('View ping error:', error);
+    res.status(500).json({ message: 'Server error recording view' });
+  }
+});
+
+// Daily views, read-through and time on page for one article, plus where
+// readers came from. Only the article's author and admins can see them.
+router.get('/:id/analytics', authenticateToken, [
+  param('id').isMongoId().withMessage('Invalid blog ID'),
+  query('range').optional().isIn(Object.keys(ANALYTICS_RANGES)).withMessage('Range must be one of 7d, 30d, 90d or 365d')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
 
-    const blog = await Blog.findById(req.params.id);
+    const blog = await Blog.findById(req.params.id).select('author views title');
+    if (!blog || (!blog.author.equals(req.user._id) && req.user.role !== 'admin')) {
+      return res.status(404).json({ message: 'Blog not found or unauthorized' });
+    }
+
+    const range = req.query.range || '30d';
+    const to = startOfUtcDay();
+    const from = addDays(to, 1 - ANALYTICS_RANGES[range]);
+
+    const [buckets, visitors, referrers] = await Promise.all([
+      BlogDailyStat.find({ blog: blog._id, date: { $gte: from } }).lean(),
+      ArticleView.aggregate([
+        { $match: { blog: blog._id, day: { $gte: from } } },
+        { $group: { _id: '$visitor' } },
+        { $count: 'count' }
+      ]),
+      ArticleView.aggregate([
+        { $match: { blog: blog._id, day: { $gte: from } } },
+        { $group: { _id: '$referrer', views: { $sum: 1 } } },
+        { $sort: { views: -1 } },
+        { $limit: 10 },
+        { $project: { _id: 0, source: '$_id', views: 1 } }
+      ])
+    ]);
+
+    const daily = fillDailySeries(from, to, buckets, (bucket) => ({
+      views: bucket?.views || 0,
+      readThroughs: bucket?.readThroughs || 0,
+      avgTimeOnPage: bucket?.timedViews ? Math.round(bucket.timeOnPage / bucket.timedViews) : 0
+    }));
+
+    const sum = (field) => buckets.reduce((total, bucket) => total + (bucket[field] || 0), 0);
+    const views = sum('views');
+    const timedViews = sum('timedViews');
+
+    res.json({
+      range,
+      from,
+      to,
+      totals: {
+        views,
+        uniqueVisitors: visitors[0]?.count || 0,
+        readThroughs: sum('readThroughs'),
+        readThroughRate: views ? sum('readThroughs') / views : 0,
+        avgTimeOnPage: timedViews ? Math.round(sum('timeOnPage') / timedViews) : 0,
+        lifetimeViews: blog.views
+      },
+      daily,
+      referrers
+    });
+  } catch (error) {
+    console.error('Get analytics error:', error);
+    res.status(500).json({ message: 'Server error fetching analytics' });
+  }
+});
+
+const validateComment = [
+  body('content').isLength({ min: 1, max: 1000 }).withMessage('Comment content is required and cannot exceed 1000 characters').trim()
+];
+
+const COMMENT_AUTHOR_FIELDS = 'username firstName lastName fullName avatar';
+
+// Cursors are opaque to clients: the (createdAt, _id) of the last comment on a page
+const encodeCursor = (comment) =>
+  Buffer.from(JSON.stringify([comment.createdAt.toISOString(), comment._id.toString()])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    const date = new Date(createdAt);
+    if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) return null;
+    return { createdAt: date, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    return null;
+  }
+};
+
+// Held comments don't count towards the blog's commentCount until approved
+const isCounted = (comment) => comment.isActive !== false && comment.status !== 'held';
+
+// Screening rejected the comment outright; nothing is saved
+const sendCommentRejected = (res, screening) => res.status(422).json({
+  message: screening.message || 'Your comment could not be posted',
+  code: 'COMMENT_REJECTED'
+});
+
+// Create a screened comment, keep the blog's commentCount in step and return it with its author populated
+const createComment = async (blog, authorId, content, parentId, screening) => {
+  const comment = await Comment.create({
+    blog: blog._id,
+    author: authorId,
+    content,
+    parentId,
+    status: screening.outcome === 'hold' ? 'held' : 'approved',
+    screeningReasons: screening.reasons,
+    spamScore: screening.spamScore
+  });
+  if (isCounted(comment)) {
+    await Blog.updateOne({ _id: blog._id }, { $inc: { commentCount: 1 } });
+  }
+  return comment.populate('author', COMMENT_AUTHOR_FIELDS);
+};
+
+const HELD_COMMENT_MESSAGE = 'Your comment is awaiting review and will appear once approved';
+
+// Get comments, oldest first. Parents always precede their replies in this
+// order, so clients can build threads incrementally page by page.
+// Held comments are included only for the blog's author and admins.
+router.get('/:id/comments', [
+  param('id').isMongoId().withMessage('Invalid blog ID'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('cursor').optional().isString()
+], optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const limit = parseInt(req.query.limit) || 20;
+    // Comments from before moderation have no isActive field
+    const filter = { blog: req.params.id, isActive: { $ne: false } };
+
+    const blog = await Blog.findOne({ _id: req.params.id, status: 'published', isActive: true }).select('author');
     if (!blog) return res.status(404).json({ message: 'Blog not found' });
 
-    const comment = { author: req.user._id, content: req.body.content, createdAt: new Date() };
-    blog.comments.push(comment);
-    await blog.save();
-    await blog.populate('comments.author', 'username firstName lastName fullName avatar');
-    const newComment = blog.comments[blog.comments.length - 1];
+    const canReview = req.user?.role === 'admin' || Boolean(req.user && blog.author.equals(req.user._id));
+    if (!canReview) filter.status = { $ne: 'held' };
+
+    if (req.query.cursor) {
+      const cursor = decodeCursor(req.query.cursor);
+      if (!cursor) return res.status(400).json({ message: 'Invalid cursor' });
+      filter.$or = [
+        { createdAt: { $gt: cursor.createdAt } },
+        { createdAt: cursor.createdAt, _id: { $gt: cursor.id } }
+      ];
+    }
+
+    const comments = await Comment.find(filter)
+      .populate('author', COMMENT_AUTHOR_FIELDS)
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1);
 
-    res.status(201).json({ message: 'Comment added successfully', comment: newComment });
+    const hasMore = comments.length > limit;
+    const page = hasMore ? comments.slice(0, limit) : comments;
+
+    res.json({
+      comments: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      hasMore
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Server error fetching comments' });
+  }
+});
+
+// Add comment
+router.post('/:id/comments', authenticateToken, requireVerifiedEmail, commentLimiter, validateComment, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const blog = await Blog.findOne({ _id: req.params.id, status: 'published', isActive: true });
+    if (!blog) return res.status(404).json({ message: 'Blog not found' });
+
+    const screening = await screenComment({ content: req.body.content, author: req.user, blog });
+    if (screening.outcome === 'reject') return sendCommentRejected(res, screening);
+
+    const newComment = await createComment(blog, req.user._id, req.body.content, null, screening);
+
+    res.status(201).json({
+      message: newComment.status === 'held' ? HELD_COMMENT_MESSAGE : 'Comment added successfully',
+      comment: newComment
+    });
   } catch (error) {
     console.error('Add comment error:', error);
     res.status(500).json({ message: 'Server error adding comment' });
   }
 });
 
+// Reply to a comment
+router.post('/:id/comments/:commentId/replies', authenticateToken, requireVerifiedEmail, commentLimiter, validateComment, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const blog = await Blog.findOne({ _id: req.params.id, status: 'published', isActive: true });
+    if (!blog) return res.status(404).json({ message: 'Blog not found' });
+
+    const parent = await Comment.findOne({
+      _id: req.params.commentId,
+      blog: blog._id,
+      isActive: { $ne: false },
+      status: { $ne: 'held' }
+    });
+    if (!parent) return res.status(404).json({ message: 'Comment not found' });
+
+    const screening = await screenComment({ content: req.body.content, author: req.user, blog });
+    if (screening.outcome === 'reject') return sendCommentRejected(res, screening);
+
+    const newComment = await createComment(blog, req.user._id, req.body.content, parent._id, screening);
+
+    res.status(201).json({
+      message: newComment.status === 'held' ? HELD_COMMENT_MESSAGE : 'Reply added successfully',
+      comment: newComment
+    });
+  } catch (error) {
+    console.error('Reply comment error:', error);
+    res.status(500).json({ message: 'Server error adding reply' });
+  }
+});
+
+// Load the blog and comment addressed by :id/:commentId for ownership checks
+const loadComment = async (req, res, next) => {
+  try {
+    const blog = await Blog.findById(req.params.id).select('author');
+    if (!blog) return res.status(404).json({ message: 'Blog not found' });
+
+    const comment = await Comment.findOne({ _id: req.params.commentId, blog: blog._id });
+    if (!comment) return res.status(404).json({ message: 'Comment not found' });
+
+    req.blog = blog;
+    req.resource = comment;
+    next();
+  } catch (error) {
+    console.error('Load comment error:', error);
+    res.status(500).json({ message: 'Server error loading comment' });
+  }
+};
+
+// Blog authors may remove comments on their own posts
+const allowBlogAuthor = (req, res, next) => {
+  if (req.user && req.blog.author.equals(req.user._id)) return next();
+  return requireOwnershipOrAdmin('author')(req, res, next);
+};
+
+// Reviewing held comments is up to the blog's author and admins, not the commenter
+const requireBlogAuthorOrAdmin = (req, res, next) => {
+  if (req.user.role === 'admin' || req.blog.author.equals(req.user._id)) return next();
+  return res.status(403).json({ message: 'Only the author of this blog can review its comments' });
+};
+
+// Edit comment
+router.put('/:id/comments/:commentId', authenticateToken, validateComment, loadComment, requireOwnershipOrAdmin('author'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const comment = req.resource;
+
+    // Edits are screened like new comments, so an approved comment can't be turned into spam.
+    // Screening judges the commenter, also when an admin makes the edit.
+    const commenter = comment.author.equals(req.user._id)
+      ? req.user
+      : (await User.findById(comment.author).select('role createdAt')) || { _id: comment.author };
+    const screening = await screenComment({
+      content: req.body.content,
+      author: commenter,
+      blog: req.blog,
+      commentId: comment._id
+    });
+    if (screening.outcome === 'reject') return sendCommentRejected(res, screening);
+
+    const wasCounted = isCounted(comment);
+    comment.content = req.body.content;
+    comment.updatedAt = new Date();
+    if (screening.outcome === 'hold') {
+      comment.status = 'held';
+      comment.screeningReasons = screening.reasons;
+      comment.spamScore = screening.spamScore;
+    }
+
+    await comment.save();
+    if (wasCounted && !isCounted(comment)) {
+      await Blog.updateOne({ _id: req.blog._id }, { $inc: { commentCount: -1 } });
+    }
+    await comment.populate('author', COMMENT_AUTHOR_FIELDS);
+
+    res.json({
+      message: comment.status === 'held' ? HELD_COMMENT_MESSAGE : 'Comment updated successfully',
+      comment
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({ message: 'Server error updating comment' });
+  }
+});
+
+// Replies move up to the removed comment's parent. Hidden and held comments
+// were never counted (or already taken off the count), so the total only drops for the rest.
+const removeComment = async (blog, comment) => {
+  await Comment.updateMany({ parentId: comment._id }, { parentId: comment.parentId });
+  await comment.deleteOne();
+  if (isCounted(comment)) {
+    await Blog.updateOne({ _id: blog._id }, { $inc: { commentCount: -1 } });
+  }
+};
+
+// Delete comment
+router.delete('/:id/comments/:commentId', authenticateToken, loadComment, allowBlogAuthor, async (req, res) => {
+  try {
+    const comment = req.resource;
+
+    await removeComment(req.blog, comment);
+
+    res.json({ message: 'Comment deleted successfully', commentId: comment._id, parentId: comment.parentId });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Server error deleting comment' });
+  }
+});
+
+// The spam classifier is shared by the whole site, so only admins' reviews train it;
+// authors moderating their own articles could otherwise skew it for everyone
+const trainOnReview = async (user, content, label) => {
+  if (user.role !== 'admin') return;
+  try {
+    await trainSpamClassifier(content, label);
+  } catch (error) {
+    console.error('Spam classifier training error:', error);
+  }
+};
+
+// Approve a held comment so everyone can see it; an admin's approval trains the spam classifier on it as ham
+router.post('/:id/comments/:commentId/approve', authenticateToken, loadComment, requireBlogAuthorOrAdmin, async (req, res) => {
+  try {
+    const comment = req.resource;
+    if (comment.status !== 'held') {
+      return res.status(400).json({ message: 'This comment is not awaiting review' });
+    }
+
+    comment.status = 'approved';
+    await comment.save();
+    if (isCounted(comment)) {
+      await Blog.updateOne({ _id: req.blog._id }, { $inc: { commentCount: 1 } });
+    }
+
+    await trainOnReview(req.user, comment.content, 'ham');
+
+    await comment.populate('author', COMMENT_AUTHOR_FIELDS);
+    res.json({ message: 'Comment approved', comment });
+  } catch (error) {
+    console.error('Approve comment error:', error);
+    res.status(500).json({ message: 'Server error approving comment' });
+  }
+});
+
+// Delete a held or published comment as spam; an admin's review trains the spam classifier on it
+router.post('/:id/comments/:commentId/spam', authenticateToken, loadComment, requireBlogAuthorOrAdmin, async (req, res) => {
+  try {
+    const comment = req.resource;
+
+    await removeComment(req.blog, comment);
+
+    await trainOnReview(req.user, comment.content, 'spam');
+
+    res.json({ message: 'Comment removed as spam', commentId: comment._id, parentId: comment.parentId });
+  } catch (error) {
+    console.error('Mark comment as spam error:', error);
+    res.status(500).json({ message: 'Server error removing comment' });
+  }
+});
+
 // Categories
 router.get('/meta/categories', async (req, res) => {
   try {
@@ -319,4 +1308,46 @@ router.get('/meta/tags', async (req, res) => {
   }
 });
 
+// Lightweight type-ahead suggestions for the command palette
+router.get('/meta/suggest', [
+  query('q').trim().isLength({ min: 1, max: 100 }).withMessage('Query must be between 1 and 100 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const term = escapeRegExp(req.query.q);
+    const wordStart = new RegExp(`(^|\\s)${term}`, 'i');
+    const prefix = new RegExp(`^${term}`, 'i');
+    const published = { status: 'published', isActive: true };
+
+    const [articles, authors, tags] = await Promise.all([
+      Blog.find({ ...published, title: wordStart })
+        .select('title slug category')
+        .sort({ publishedAt: -1 })
+        .limit(5),
+      User.find({ isActive: true, $or: [{ username: prefix }, { firstName: prefix }, { lastName: prefix }] })
+        .select('username firstName lastName avatar')
+        .limit(5),
+      Blog.aggregate([
+        { $match: { ...published, tags: prefix } },
+        { $unwind: '$tags' },
+        { $match: { tags: prefix } },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: 5 }
+      ])
+    ]);
+
+    res.json({
+      articles: articles.map(({ _id, title, slug, category }) => ({ _id, title, slug, category })),
+      authors: authors.map(({ _id, username, fullName, avatar }) => ({ _id, username, fullName, avatar })),
+      tags: tags.map(tag => ({ name: tag._id, count: tag.count }))
+    });
+  } catch (error) {
+    console.error('Get suggestions error:', error);
+    res.status(500).json({ message: 'Server error fetching suggestions' });
+  }
+});
+
 export default router;
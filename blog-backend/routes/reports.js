@@ -0,0 +1,98 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Report, { REPORT_REASONS } from '../models/Report.js';
+import Blog from '../models/Blog.js';
+import Comment from '../models/Comment.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { rateLimit, byUser } from '../middleware/rateLimit.js';
+
+// Reader reports on articles and comments, mounted at /api/reports.
+// Admins work through them in the moderation queue (routes/admin.js).
+const router = express.Router();
+
+const reportLimiter = rateLimit({
+  name: 'report',
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  key: byUser,
+  message: 'You have sent too many reports'
+});
+
+const formatErrors = (errors) => errors.array().map(err => ({ field: err.param, message: err.msg }));
+
+const validateReport = [
+  body('targetType')
+    .isIn(['blog', 'comment'])
+    .withMessage('You can report an article or a comment'),
+  body('targetId')
+    .isMongoId()
+    .withMessage('Invalid target ID'),
+  body('reason')
+    .isIn(REPORT_REASONS)
+    .withMessage('Choose a reason for the report'),
+  body('details')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Details cannot exceed 1000 characters')
+];
+
+// Find the reported content; only what readers can currently see can be reported
+const findTarget = async (targetType, targetId) => {
+  if (targetType === 'blog') {
+    const blog = await Blog.findOne({ _id: targetId, status: 'published', isActive: true }).select('author');
+    return blog && { blog: blog._id, comment: null, targetAuthor: blog.author };
+  }
+
+  const comment = await Comment.findOne({ _id: targetId, isActive: { $ne: false }, status: { $ne: 'held' } }).select('blog author');
+  return comment && { blog: comment.blog, comment: comment._id, targetAuthor: comment.author };
+};
+
+// Report an article or comment
+router.post('/', authenticateToken, reportLimiter, validateReport, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const { targetType, targetId, reason, details } = req.body;
+
+    const target = await findTarget(targetType, targetId);
+    if (!target) {
+      return res.status(404).json({ message: targetType === 'blog' ? 'Blog not found' : 'Comment not found' });
+    }
+
+    if (target.targetAuthor.equals(req.user._id)) {
+      return res.status(400).json({ message: 'You cannot report your own content' });
+    }
+
+    const existing = await Report.exists({
+      reporter: req.user._id,
+      targetType,
+      blog: target.blog,
+      comment: target.comment,
+      status: 'open'
+    });
+    if (existing) {
+      return res.status(409).json({ message: "You've already reported this. Our moderators will review it." });
+    }
+
+    const report = await Report.create({
+      reporter: req.user._id,
+      targetType,
+      ...target,
+      reason,
+      details: details || ''
+    });
+
+    res.status(201).json({
+      message: 'Thanks for your report. Our moderators will review it.',
+      report: { _id: report._id, targetType: report.targetType, reason: report.reason, status: report.status }
+    });
+  } catch (error) {
+    console.error('Create report error:', error);
+    res.status(500).json({ message: 'Server error submitting report' });
+  }
+});
+
+export default router;
@@ -0,0 +1,175 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import User from '../models/User.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { limitCredentialChecks } from '../middleware/rateLimit.js';
+import { generateTotpSecret, totpUri, verifyTotp } from '../utils/totp.js';
+import { generateRecoveryCodes, verifySecondFactor } from '../utils/twoFactor.js';
+
+// Two-factor authentication settings, mounted at /api/auth/2fa.
+// The login step itself lives in routes/auth.js (POST /login/2fa).
+const router = express.Router();
+
+const TOTP_ISSUER = 'BlogHub';
+
+const validateCode = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Code is required')
+];
+
+// Current 2FA status
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactorRecoveryCodes');
+
+    res.json({
+      enabled: user.twoFactorEnabled,
+      recoveryCodesRemaining: user.twoFactorEnabled ? user.twoFactorRecoveryCodes.length : 0
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ message: 'Server error fetching two-factor status' });
+  }
+});
+
+// Start enrollment: a new secret to add to an authenticator app. Nothing
+// changes until it is confirmed with a code.
+router.post('/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateTotpSecret();
+    await User.updateOne({ _id: req.user._id }, { $set: { twoFactorPendingSecret: secret } });
+
+    res.json({
+      secret,
+      otpauthUri: totpUri({ secret, account: req.user.email, issuer: TOTP_ISSUER })
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error starting two-factor setup' });
+  }
+});
+
+// Finish enrollment with the first code from the app; returns recovery codes (shown once)
+router.post('/enable', authenticateToken, limitCredentialChecks, validateCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorPendingSecret');
+    if (user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactorPendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(user.twoFactorPendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = hashes;
+    user.twoFactorLastStep = step;
+    await user.save();
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ message: 'Server error enabling two-factor authentication' });
+  }
+});
+
+// Turn 2FA off; needs the password and a current code (or a recovery code)
+router.post('/disable', authenticateToken, limitCredentialChecks, [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...validateCode
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(400).json({ message: 'Password is incorrect' });
+    }
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { twoFactorEnabled: false },
+        $unset: { twoFactorSecret: 1, twoFactorPendingSecret: 1, twoFactorRecoveryCodes: 1, twoFactorLastStep: 1 }
+      }
+    );
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ message: 'Server error disabling two-factor authentication' });
+  }
+});
+
+// Replace all recovery codes; the old ones stop working
+router.post('/recovery-codes', authenticateToken, limitCredentialChecks, validateCode, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+twoFactorSecret');
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await verifySecondFactor(user, req.body.code))) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { twoFactorRecoveryCodes: hashes } });
+
+    res.json({
+      message: 'New recovery codes generated',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Server error generating recovery codes' });
+  }
+});
+
+export default router;
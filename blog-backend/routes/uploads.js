@@ -0,0 +1,78 @@
+import express from 'express';
+import crypto from 'crypto';
+import multer from 'multer';
+import { authenticateToken } from '../middleware/auth.js';
+import { rateLimit, byUser } from '../middleware/rateLimit.js';
+import { getStorage } from '../utils/storage.js';
+import { processImage, InvalidImageError, ALLOWED_IMAGE_TYPES, MAX_IMAGE_BYTES } from '../utils/images.js';
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, ALLOWED_IMAGE_TYPES.includes(file.mimetype))
+});
+
+const uploadLimiter = rateLimit({
+  name: 'upload',
+  windowMs: 10 * 60 * 1000,
+  max: 30,
+  key: byUser,
+  message: 'Too many uploads'
+});
+
+// Run multer and turn its errors into 400s with readable messages
+const receiveImage = (req, res, next) => {
+  upload.single('image')(req, res, (error) => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({ message: `Image must be smaller than ${Math.round(MAX_IMAGE_BYTES / 1024 / 1024)} MB` });
+    }
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json({ message: 'Send a single image in the "image" field' });
+    }
+    next(error);
+  });
+};
+
+// Relative URLs from the local adapter are resolved against this API's public origin:
+// UPLOADS_BASE_URL, or the request's, whose protocol is only the client's (https)
+// behind a proxy when TRUST_PROXY is set
+const absoluteUrl = (req, url) => {
+  if (/^https?:\/\//.test(url)) return url;
+  const base = process.env.UPLOADS_BASE_URL || `${req.protocol}://${req.get('host')}`;
+  return `${base.replace(/\/$/, '')}${url}`;
+};
+
+// Upload an image; returns URLs for each resized variant
+router.post('/images', authenticateToken, uploadLimiter, receiveImage, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'Choose a JPEG, PNG, WebP or GIF image' });
+    }
+
+    const { width, height, variants } = await processImage(req.file.buffer);
+
+    const storage = getStorage();
+    const id = crypto.randomUUID();
+    const month = new Date().toISOString().slice(0, 7).replace('-', '/');
+
+    const urls = {};
+    for (const [name, variant] of Object.entries(variants)) {
+      const url = await storage.save(`images/${month}/${id}-${name}.webp`, variant.buffer, 'image/webp');
+      urls[name] = absoluteUrl(req, url);
+    }
+
+    res.status(201).json({
+      message: 'Image uploaded successfully',
+      image: { id, width, height, url: urls.large, urls }
+    });
+  } catch (error) {
+    if (error instanceof InvalidImageError) return res.status(400).json({ message: error.message });
+    console.error('Upload image error:', error);
+    res.status(500).json({ message: 'Server error uploading image' });
+  }
+});
+
+export default router;
@@ -0,0 +1,136 @@
+import express from 'express';
+import { param, validationResult } from 'express-validator';
+import User from '../models/User.js';
+import Blog from '../models/Blog.js';
+import Follow from '../models/Follow.js';
+import { authenticateToken, optionalAuth } from '../middleware/auth.js';
+import { rateLimit, byUser } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Fields anyone may see on an author's profile; never include email or role
+const PUBLIC_USER_FIELDS = 'username firstName lastName bio avatar createdAt';
+
+// Following and unfollowing share one per-user limit
+const followLimiter = rateLimit({
+  name: 'follow',
+  windowMs: 60 * 1000,
+  max: 30,
+  key: byUser,
+  message: 'Too many follow requests'
+});
+
+const formatErrors = (errors) => errors.array().map(err => ({ field: err.param, message: err.msg }));
+
+// Totals across the author's published articles
+const getAuthorStats = async (authorId) => {
+  const [stats] = await Blog.aggregate([
+    { $match: { author: authorId, status: 'published', isActive: true } },
+    {
+      $group: {
+        _id: null,
+        articles: { $sum: 1 },
+        totalViews: { $sum: '$views' },
+        totalLikes: { $sum: { $size: '$likes' } }
+      }
+    }
+  ]);
+
+  const [followers, following] = await Promise.all([
+    Follow.countDocuments({ following: authorId }),
+    Follow.countDocuments({ follower: authorId })
+  ]);
+
+  return {
+    articles: stats?.articles || 0,
+    totalViews: stats?.totalViews || 0,
+    totalLikes: stats?.totalLikes || 0,
+    followers,
+    following
+  };
+};
+
+const validateUsername = [
+  param('username').matches(/^[a-zA-Z0-9_]+$/).withMessage('Invalid username')
+];
+
+// Get an author's public profile
+router.get('/:username', validateUsername, optionalAuth, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const user = await User.findOne({ username: req.params.username, isActive: true })
+      .select(PUBLIC_USER_FIELDS);
+
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const stats = await getAuthorStats(user._id);
+    const isFollowing = req.user
+      ? Boolean(await Follow.exists({ follower: req.user._id, following: user._id }))
+      : false;
+
+    res.json({
+      user: {
+        id: user._id,
+        username: user.username,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        fullName: user.fullName,
+        bio: user.bio,
+        avatar: user.avatar,
+        joinedAt: user.createdAt
+      },
+      stats,
+      isFollowing
+    });
+  } catch (error) {
+    console.error('Get user profile error:', error);
+    res.status(500).json({ message: 'Server error fetching user profile' });
+  }
+});
+
+// Follow an author. Following twice is a no-op.
+router.post('/:username/follow', authenticateToken, followLimiter, validateUsername, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const user = await User.findOne({ username: req.params.username, isActive: true }).select('_id');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (user._id.equals(req.user._id)) return res.status(400).json({ message: 'You cannot follow yourself' });
+
+    await Follow.updateOne(
+      { follower: req.user._id, following: user._id },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+    const followers = await Follow.countDocuments({ following: user._id });
+
+    res.json({ message: 'User followed', isFollowing: true, followers });
+  } catch (error) {
+    console.error('Follow user error:', error);
+    res.status(500).json({ message: 'Server error following user' });
+  }
+});
+
+// Unfollow an author
+router.delete('/:username/follow', authenticateToken, followLimiter, validateUsername, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) return res.status(400).json({ message: 'Validation failed', errors: formatErrors(errors) });
+
+    const user = await User.findOne({ username: req.params.username }).select('_id');
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    await Follow.deleteOne({ follower: req.user._id, following: user._id });
+    const followers = await Follow.countDocuments({ following: user._id });
+
+    res.json({ message: 'User unfollowed', isFollowing: false, followers });
+  } catch (error) {
+    console.error('Unfollow user error:', error);
+    res.status(500).json({ message: 'Server error unfollowing user' });
+  }
+});
+
+export default router;
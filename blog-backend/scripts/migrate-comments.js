@@ -0,0 +1,83 @@
+// Moves comments embedded in blog documents into the comments collection.
+//
+// Usage: npm run migrate:comments
+//
+// Safe to run more than once: comments keep their original _id and are
+// upserted, and every blog's commentCount is recomputed from the collection.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Blog from '../models/Blog.js';
+import Comment from '../models/Comment.js';
+
+dotenv.config();
+
+const migrate = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not defined in environment variables');
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+  await Comment.syncIndexes();
+
+  // The Blog schema no longer knows about `comments`, so read the raw documents
+  const cursor = Blog.collection.find(
+    { 'comments.0': { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+
+  let blogCount = 0;
+  let commentCount = 0;
+
+  for await (const blog of cursor) {
+    const operations = blog.comments.map(comment => ({
+      updateOne: {
+        filter: { _id: comment._id },
+        update: {
+          $setOnInsert: {
+            blog: blog._id,
+            author: comment.author,
+            content: comment.content,
+            parentId: comment.parentId || null,
+            createdAt: comment.createdAt || comment._id.getTimestamp(),
+            ...(comment.updatedAt && { updatedAt: comment.updatedAt })
+          }
+        },
+        upsert: true
+      }
+    }));
+
+    await Comment.bulkWrite(operations, { ordered: false });
+    await Blog.collection.updateOne({ _id: blog._id }, { $unset: { comments: '' } });
+
+    blogCount += 1;
+    commentCount += operations.length;
+  }
+
+  console.log(`Moved ${commentCount} comments from ${blogCount} blogs`);
+
+  // Recompute every blog's counter from the collection; hidden and held
+  // comments aren't counted (see isCounted in routes/blog.js)
+  const counts = await Comment.aggregate([
+    { $match: { isActive: { $ne: false }, status: { $ne: 'held' } } },
+    { $group: { _id: '$blog', count: { $sum: 1 } } }
+  ]);
+  await Blog.updateMany(
+    { _id: { $nin: counts.map(({ _id }) => _id) } },
+    { $set: { commentCount: 0 } }
+  );
+  if (counts.length > 0) {
+    await Blog.bulkWrite(counts.map(({ _id, count }) => ({
+      updateOne: { filter: { _id }, update: { $set: { commentCount: count } } }
+    })));
+  }
+
+  console.log(`Updated comment counts for ${counts.length} blogs`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Comment migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
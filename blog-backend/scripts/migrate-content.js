@@ -0,0 +1,66 @@
+// Renders contentHtml and readingTime for blogs saved before articles were
+// stored as Markdown with pre-rendered HTML.
+//
+// Usage: npm run migrate:content
+//
+// Safe to run more than once: only blogs without contentHtml are touched.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Blog from '../models/Blog.js';
+import { renderMarkdown, countWords } from '../utils/markdown.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const migrate = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not defined in environment variables');
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Write directly rather than through save() so the slug and timestamp hooks stay out of it
+  const cursor = Blog.collection.find(
+    { $or: [{ contentHtml: { $exists: false } }, { contentHtml: '' }, { contentHtml: null }] },
+    { projection: { content: 1 } }
+  );
+
+  let operations = [];
+  let blogCount = 0;
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Blog.collection.bulkWrite(operations, { ordered: false });
+    blogCount += operations.length;
+    operations = [];
+  };
+
+  for await (const blog of cursor) {
+    const contentHtml = renderMarkdown(blog.content || '');
+    operations.push({
+      updateOne: {
+        filter: { _id: blog._id },
+        update: {
+          $set: {
+            contentHtml,
+            readingTime: Math.ceil(countWords(contentHtml) / 200)
+          }
+        }
+      }
+    });
+
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  console.log(`Rendered content for ${blogCount} blogs`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Content migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,38 @@
+// Marks accounts created before email verification was introduced as verified,
+// so existing users aren't locked out of publishing and commenting.
+//
+// Usage: npm run migrate:email-verified
+//
+// Safe to run more than once, before or after the new server starts. Accounts
+// are picked by never having been sent a verification email: every account
+// registered since then was sent one, while older accounts may already have
+// had `emailVerified: false` stored by the schema default when next saved.
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const migrate = async () => {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI is not defined in environment variables');
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Query the raw documents: Mongoose would fill in the schema defaults
+  const result = await User.collection.updateMany(
+    { emailVerified: { $ne: true }, emailVerificationSentAt: { $exists: false } },
+    { $set: { emailVerified: true } }
+  );
+
+  console.log(`Marked ${result.modifiedCount} existing accounts as verified`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Email verification migration failed:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
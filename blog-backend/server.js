@@ -5,7 +5,14 @@ import mongoose from "mongoose";
 
 // Import routes
 import authRoutes from "./routes/auth.js";
+import twoFactorRoutes from "./routes/twoFactor.js";
 import blogRoutes from "./routes/blog.js";
+import userRoutes from "./routes/users.js";
+import uploadRoutes from "./routes/uploads.js";
+import adminRoutes from "./routes/admin.js";
+import reportRoutes from "./routes/reports.js";
+import { startScheduler } from "./utils/scheduler.js";
+import { getStorage, LOCAL_UPLOAD_DIR, LOCAL_UPLOAD_ROUTE } from "./utils/storage.js";
 
 // Load environment variables
 dotenv.config();
@@ -19,6 +26,13 @@ const allowedOrigins = [
   "http://localhost:5173" // local dev
 ];
 
+// Behind a reverse proxy (e.g. Render), trust it so req.ip is the client's address.
+// Accepts "true", a hop count or a list of proxy addresses.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set("trust proxy", trustProxy === "true" ? true : Number(trustProxy) || trustProxy);
+}
+
 // Middleware
 app.use(
   cors({
@@ -37,8 +51,24 @@ app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
+app.use("/api/auth/2fa", twoFactorRoutes);
 app.use("/api/auth", authRoutes);
 app.use("/api/blogs", blogRoutes);
+app.use("/api/users", userRoutes);
+app.use("/api/uploads", uploadRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/reports", reportRoutes);
+
+// Uploaded images, when stored on local disk
+if (getStorage().name === "local") {
+  app.use(LOCAL_UPLOAD_ROUTE, express.static(LOCAL_UPLOAD_DIR, { maxAge: "30d", immutable: true }));
+
+  // Their URLs are built from the request, which reads as http:// behind a
+  // TLS-terminating proxy unless the proxy is trusted or the origin is configured
+  if (process.env.NODE_ENV === "production" && !trustProxy && !process.env.UPLOADS_BASE_URL) {
+    console.warn("⚠️ Set UPLOADS_BASE_URL or TRUST_PROXY so uploaded image URLs use the public https:// origin");
+  }
+}
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -83,6 +113,7 @@ const connectDB = async () => {
 // Start server
 const startServer = async () => {
   await connectDB();
+  startScheduler();
   app.listen(PORT, () => {
     console.log(`✅ Server running on port ${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/api/health`);
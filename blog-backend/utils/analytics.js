@@ -0,0 +1,71 @@
+import { hashToken } from './tokens.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A view counts as a read-through once the reader has scrolled this far (%) through the article
+export const READ_THROUGH_DEPTH = 90;
+
+// Longest time on page a single view can report; tabs left open all day shouldn't skew averages
+export const MAX_TIME_ON_PAGE = 30 * 60;
+
+// Crawlers, link previews, monitoring and command-line clients
+const BOT_PATTERN = /bot|crawl|spider|slurp|mediapartners|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python-requests|axios|node-fetch|go-http-client|java\/|okhttp|httpclient|scrapy|phantomjs/i;
+
+export const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+export const startOfUtcDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+export const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Identify a visitor without storing who they are: signed-in readers by
+// account, others by the ID their browser keeps, falling back to IP and user agent
+export const visitorKey = (req, visitorId) => {
+  if (req.user) return hashToken(`user:${req.user._id}`);
+  if (visitorId) return hashToken(`browser:${visitorId}`);
+  return hashToken(`ip:${req.ip}|${req.get('user-agent') || ''}`);
+};
+
+const frontendHost = () => {
+  try {
+    return new URL(process.env.FRONTEND_URL || 'http://localhost:5173').hostname;
+  } catch {
+    return null;
+  }
+};
+
+// Reduce document.referrer to the referring host: "direct" when there is none,
+// "internal" for pages on this site
+export const referrerSource = (referrer) => {
+  if (!referrer) return 'direct';
+  try {
+    const { hostname } = new URL(referrer);
+    if (!hostname) return 'direct';
+    if (hostname === frontendHost()) return 'internal';
+    return hostname.replace(/^www\./, '').toLowerCase();
+  } catch {
+    return 'direct';
+  }
+};
+
+// Analytics ranges accepted by the API, in days
+export const ANALYTICS_RANGES = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '365d': 365
+};
+
+// One entry per day from `from` up to and including `to`, filled from
+// documents keyed by `date`, with zeroes for days that have none
+export const fillDailySeries = (from, to, docs, toPoint) => {
+  const byDay = new Map(docs.map(doc => [doc.date.getTime(), doc]));
+  const series = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    series.push({ date: day.toISOString().slice(0, 10), ...toPoint(byDay.get(day.getTime())) });
+  }
+  return series;
+};
@@ -0,0 +1,165 @@
+import Comment from '../models/Comment.js';
+import { scoreSpam } from './spamClassifier.js';
+
+// Automatic screening for new and edited comments. Each check looks at the
+// comment and returns null when it has no objection, or
+//   { outcome: 'hold' | 'reject', message?, spamScore? }
+// A single rejection rejects the comment; otherwise any hold holds it for the
+// blog's author or an admin to approve. Checks that throw are skipped so an
+// outage never blocks commenting.
+
+const DEFAULT_CHECKS = 'bannedWords,links,duplicates,newAccount,spamScore';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const URL_PATTERN = /\bhttps?:\/\/\S+|\bwww\.\S+/gi;
+
+// Lowercase and drop punctuation and repeated whitespace so trivial variations still match
+const normalize = (text) => text.toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, '').replace(/\s+/g, ' ').trim();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// COMMENT_BANNED_WORDS: comma-separated words or phrases, matched as whole words
+const bannedWords = async ({ content }) => {
+  const words = (process.env.COMMENT_BANNED_WORDS || '')
+    .split(',')
+    .map(word => word.trim())
+    .filter(Boolean);
+  if (words.length === 0) return null;
+
+  const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${words.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'iu');
+  return pattern.test(content)
+    ? { outcome: 'reject', message: "Your comment contains language that isn't allowed here" }
+    : null;
+};
+
+// More than COMMENT_MAX_LINKS links is held; a comment that is mostly links is rejected
+const links = async ({ content }) => {
+  const maxLinks = Number(process.env.COMMENT_MAX_LINKS ?? 2);
+  const found = content.match(URL_PATTERN) || [];
+  if (found.length <= maxLinks) return null;
+
+  const linkLength = found.reduce((sum, url) => sum + url.length, 0);
+  if (linkLength > content.replace(/\s/g, '').length / 2) {
+    return { outcome: 'reject', message: 'Comments made up mostly of links are not allowed' };
+  }
+  return { outcome: 'hold' };
+};
+
+// The same author posting the same text again within COMMENT_DUPLICATE_WINDOW_HOURS
+const duplicates = async ({ content, author, commentId }) => {
+  const windowHours = Number(process.env.COMMENT_DUPLICATE_WINDOW_HOURS) || 24;
+  const recent = await Comment.find({
+    author: author._id,
+    _id: { $ne: commentId },
+    createdAt: { $gte: new Date(Date.now() - windowHours * HOUR_MS) }
+  })
+    .select('content')
+    .sort({ createdAt: -1 })
+    .limit(50)
+    .lean();
+
+  const text = normalize(content);
+  return recent.some(comment => normalize(comment.content) === text)
+    ? { outcome: 'reject', message: "You've already posted this comment" }
+    : null;
+};
+
+// Accounts younger than COMMENT_NEW_ACCOUNT_HOURS have links and bursts of
+// more than COMMENT_NEW_ACCOUNT_HOURLY_LIMIT comments an hour held for review
+const newAccount = async ({ content, author, commentId }) => {
+  const accountHours = Number(process.env.COMMENT_NEW_ACCOUNT_HOURS) || 24;
+  if (!author.createdAt || Date.now() - author.createdAt.getTime() >= accountHours * HOUR_MS) return null;
+
+  if (content.match(URL_PATTERN)) return { outcome: 'hold' };
+
+  const hourlyLimit = Number(process.env.COMMENT_NEW_ACCOUNT_HOURLY_LIMIT) || 3;
+  const lastHour = await Comment.countDocuments({
+    author: author._id,
+    _id: { $ne: commentId },
+    createdAt: { $gte: new Date(Date.now() - HOUR_MS) }
+  });
+  return lastHour >= hourlyLimit ? { outcome: 'hold' } : null;
+};
+
+// Bayesian spam probability from utils/spamClassifier.js
+const spamScore = async ({ content }) => {
+  const score = await scoreSpam(content);
+  if (score === null) return null;
+
+  const rejectAt = Number(process.env.COMMENT_SPAM_REJECT_SCORE) || 0.99;
+  const holdAt = Number(process.env.COMMENT_SPAM_HOLD_SCORE) || 0.9;
+
+  if (score >= rejectAt) {
+    return { outcome: 'reject', message: 'Your comment looks like spam', spamScore: score };
+  }
+  return { outcome: score >= holdAt ? 'hold' : null, spamScore: score };
+};
+
+// Add a check here and enable it by name in COMMENT_SCREENING_CHECKS
+const checks = {
+  bannedWords,
+  links,
+  duplicates,
+  newAccount,
+  spamScore
+};
+
+// Unknown names already reported, so a typo is logged once rather than on every comment
+const reportedUnknownChecks = new Set();
+
+// A misspelled check is skipped rather than thrown, keeping with the rule
+// that screening problems never block commenting
+const enabledChecks = () => {
+  const names = (process.env.COMMENT_SCREENING_CHECKS || DEFAULT_CHECKS)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+
+  return names.filter((name) => {
+    if (checks[name]) return true;
+    if (!reportedUnknownChecks.has(name)) {
+      reportedUnknownChecks.add(name);
+      console.error(`Unknown comment screening check "${name}" in COMMENT_SCREENING_CHECKS; skipping it`);
+    }
+    return false;
+  });
+};
+
+// Screen a comment before it is saved. `commentId` is set when re-screening an edit.
+// Resolves to { outcome: 'approve' | 'hold' | 'reject', reasons, message?, spamScore? }
+// where reasons names the checks that objected.
+export const screenComment = async ({ content, author, blog, commentId = null }) => {
+  const approve = { outcome: 'approve', reasons: [] };
+
+  if (process.env.COMMENT_SCREENING_ENABLED === 'false') return approve;
+  // Admins and the blog's own author are trusted on it
+  if (author.role === 'admin' || blog.author.equals(author._id)) return approve;
+
+  const names = enabledChecks();
+  const results = await Promise.all(names.map(async (name) => {
+    try {
+      return await checks[name]({ content, author, blog, commentId });
+    } catch (error) {
+      console.error(`Comment screening check "${name}" error:`, error);
+      return null;
+    }
+  }));
+
+  const verdict = { ...approve };
+  results.forEach((result, index) => {
+    if (!result) return;
+    if (result.spamScore !== undefined) verdict.spamScore = result.spamScore;
+    if (!result.outcome) return;
+
+    verdict.reasons.push(names[index]);
+    if (result.outcome === 'reject' && verdict.outcome !== 'reject') {
+      verdict.outcome = 'reject';
+      verdict.message = result.message;
+    } else if (result.outcome === 'hold' && verdict.outcome === 'approve') {
+      verdict.outcome = 'hold';
+    }
+  });
+
+  return verdict;
+};
@@ -0,0 +1,72 @@
+// Message builders for transactional email. Each returns { to, subject, text, html }
+// ready for sendMail; links point at the frontend (FRONTEND_URL).
+
+const frontendUrl = (pathname) =>
+  `${(process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/$/, '')}${pathname}`;
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+
+const actionEmail = ({ to, subject, greeting, intro, action, url, outro }) => ({
+  to,
+  subject,
+  text: `${greeting}\n\n${intro}\n\n${action}: ${url}\n\n${outro}`,
+  html: `<p>${escapeHtml(greeting)}</p>
+<p>${escapeHtml(intro)}</p>
+<p><a href="${escapeHtml(url)}">${escapeHtml(action)}</a></p>
+<p>${escapeHtml(outro)}</p>`
+});
+
+export const passwordResetEmail = (user, token, expiresInMinutes) => actionEmail({
+  to: user.email,
+  subject: 'Reset your BlogHub password',
+  greeting: `Hi ${user.firstName},`,
+  intro: 'We received a request to reset the password for your BlogHub account.',
+  action: 'Choose a new password',
+  url: frontendUrl(`/reset-password/${token}`),
+  outro: `This link expires in ${expiresInMinutes} minutes and can only be used once. If you didn't ask for a reset, you can ignore this email.`
+});
+
+export const emailVerificationEmail = (user, token, expiresInHours) => actionEmail({
+  to: user.email,
+  subject: 'Confirm your BlogHub email address',
+  greeting: `Hi ${user.firstName},`,
+  intro: 'Thanks for joining BlogHub! Confirm this is your email address to start publishing articles and commenting.',
+  action: 'Verify my email',
+  url: frontendUrl(`/verify-email/${token}`),
+  outro: `This link expires in ${expiresInHours} hours. If you didn't create an account, you can ignore this email.`
+});
+
+// Plain notices with no call to action
+const noticeEmail = ({ to, subject, greeting, paragraphs }) => ({
+  to,
+  subject,
+  text: [greeting, ...paragraphs].join('\n\n'),
+  html: [greeting, ...paragraphs].map(line => `<p>${escapeHtml(line)}</p>`).join('\n')
+});
+
+const moderatorNote = (note) => (note ? [`Note from the moderator: ${note}`] : []);
+
+export const moderationWarningEmail = (user, { contentDescription, note }) => noticeEmail({
+  to: user.email,
+  subject: 'A warning about your content on BlogHub',
+  greeting: `Hi ${user.firstName},`,
+  paragraphs: [
+    `Readers reported ${contentDescription}, and after reviewing it our moderators found that it breaks BlogHub's community standards.`,
+    ...moderatorNote(note),
+    'Please keep this in mind for future posts and comments. Repeated problems may lead to your account being suspended.'
+  ]
+});
+
+export const accountSuspendedEmail = (user, { contentDescription, note }) => noticeEmail({
+  to: user.email,
+  subject: 'Your BlogHub account has been suspended',
+  greeting: `Hi ${user.firstName},`,
+  paragraphs: [
+    `Your account has been suspended after our moderators reviewed reports about ${contentDescription}.`,
+    ...moderatorNote(note),
+    'You will not be able to sign in while the suspension is in place. Reply to this email if you believe this was a mistake.'
+  ]
+});
@@ -0,0 +1,48 @@
+import sharp from 'sharp';
+
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+export const MAX_IMAGE_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+
+// Sizes generated for every upload. Images are never enlarged, and the
+// thumbnail is cropped square so it also works as an avatar.
+const VARIANTS = {
+  large: { width: 1600 },
+  medium: { width: 800 },
+  thumbnail: { width: 200, height: 200, fit: 'cover' }
+};
+
+export class InvalidImageError extends Error {
+  constructor(message = 'File is not a supported image') {
+    super(message);
+    this.name = 'InvalidImageError';
+  }
+}
+
+// Resize an uploaded image into WebP variants. Returns the original
+// dimensions and a { name: { buffer, width, height } } map.
+export const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new InvalidImageError();
+  }
+  if (!['jpeg', 'png', 'webp', 'gif'].includes(metadata.format)) throw new InvalidImageError();
+
+  const entries = await Promise.all(
+    Object.entries(VARIANTS).map(async ([name, { width, height, fit = 'inside' }]) => {
+      const { data, info } = await sharp(buffer)
+        .rotate() // respect EXIF orientation before it is stripped
+        .resize({ width, height, fit, withoutEnlargement: true })
+        .webp({ quality: 82 })
+        .toBuffer({ resolveWithObject: true });
+      return [name, { buffer: data, width: info.width, height: info.height }];
+    })
+  );
+
+  return {
+    width: metadata.width,
+    height: metadata.height,
+    variants: Object.fromEntries(entries)
+  };
+};
@@ -0,0 +1,57 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_MAIL_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'mail');
+
+// Mail transports share one interface:
+//   send({ to, subject, text, html })
+// The console and file transports are for local development; add an SMTP or
+// provider transport here and select it with MAIL_TRANSPORT.
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send({ to, subject, text }) {
+    console.log(`📧 Mail to ${to}: ${subject}\n${text}\n`);
+  }
+});
+
+// Writes each message to MAIL_DIR as a JSON file, newest last when sorted by name
+const createFileTransport = (directory = process.env.MAIL_DIR || DEFAULT_MAIL_DIR) => ({
+  name: 'file',
+
+  async send(message) {
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${message.to.replace(/[^a-z0-9]+/gi, '_')}.json`;
+    await fs.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+});
+
+const transports = {
+  console: createConsoleTransport,
+  file: createFileTransport
+};
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    transport = transports[name]();
+  }
+  return transport;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  await getTransport().send({
+    from: process.env.MAIL_FROM || 'BlogHub <no-reply@bloghub.local>',
+    to,
+    subject,
+    text,
+    html
+  });
+};
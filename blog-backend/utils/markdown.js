@@ -0,0 +1,67 @@
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+
+// GitHub-flavoured Markdown; single newlines become <br> to match how
+// articles were written before Markdown support
+const marked = new Marked({ gfm: true, breaks: true });
+
+const sanitizeOptions = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr',
+    'strong', 'em', 'del', 's', 'code', 'pre', 'blockquote',
+    'ul', 'ol', 'li', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td',
+    'input'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align'],
+    ol: ['start'],
+    input: ['type', 'checked', 'disabled']
+  },
+  allowedClasses: {
+    code: [/^language-[\w-]+$/]
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: {
+    img: ['http', 'https']
+  },
+  allowProtocolRelative: false,
+  // Only GFM task list checkboxes are allowed through
+  exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'noopener noreferrer nofollow', target: '_blank' })
+  }
+};
+
+// Render Markdown source to HTML that is safe to inject into the page
+export const renderMarkdown = (source = '') => {
+  const html = marked.parse(source);
+  return sanitizeHtml(html, sanitizeOptions);
+};
+
+// Plain text of rendered HTML, used for word counts and snippets
+export const htmlToText = (html = '') => {
+  const text = sanitizeHtml(html.replace(/<\/(p|h[1-6]|li|blockquote|pre|tr)>|<br\s*\/?>/gi, ' $&'), {
+    allowedTags: [],
+    allowedAttributes: {}
+  });
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Word count of the rendered article rather than the raw Markdown source
+export const countWords = (html = '') => {
+  const text = htmlToText(html);
+  return text ? text.split(' ').length : 0;
+};
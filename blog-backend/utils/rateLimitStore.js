@@ -0,0 +1,66 @@
+// Counter stores for rate limiting share one interface (all async):
+//   increment(key, windowMs) -> { count, resetAt } for the window the hit landed in
+//   get(key)                 -> { count, resetAt } or null when no window is open
+//   reset(key)
+// Windows are fixed: the first hit opens one that lasts windowMs.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Per-process counters. Fine for a single instance; run several instances
+// behind a load balancer with a shared store instead.
+const createMemoryStore = () => {
+  const hits = new Map();
+
+  const current = (key) => {
+    const entry = hits.get(key);
+    if (entry && entry.resetAt <= Date.now()) {
+      hits.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired windows so idle keys don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+
+  return {
+    name: 'memory',
+
+    async increment(key, windowMs) {
+      const entry = current(key) || { count: 0, resetAt: Date.now() + windowMs };
+      entry.count += 1;
+      hits.set(key, entry);
+      return { ...entry };
+    },
+
+    async get(key) {
+      const entry = current(key);
+      return entry ? { ...entry } : null;
+    },
+
+    async reset(key) {
+      hits.delete(key);
+    }
+  };
+};
+
+// Add a Redis adapter here (INCR + PEXPIRE NX, PTTL for resetAt) and select it with RATE_LIMIT_STORE
+const drivers = {
+  memory: createMemoryStore
+};
+
+let store;
+
+export const getRateLimitStore = () => {
+  if (!store) {
+    const driver = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!drivers[driver]) throw new Error(`Unknown RATE_LIMIT_STORE "${driver}"`);
+    store = drivers[driver]();
+  }
+  return store;
+};
@@ -0,0 +1,41 @@
+import Blog from '../models/Blog.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Publish every scheduled article whose time has come. The schedule lives in
+// the database, so anything that fell due while the server was down is
+// published on the first run after a restart. A single conditional update
+// keeps this safe when more than one instance is running.
+export const publishDueBlogs = async (now = new Date()) => {
+  const result = await Blog.updateMany(
+    { status: 'scheduled', scheduledFor: { $lte: now } },
+    [
+      { $set: { status: 'published', publishedAt: '$scheduledFor' } },
+      { $unset: 'scheduledFor' }
+    ]
+  );
+  return result.modifiedCount;
+};
+
+// Run publishDueBlogs now and then every `intervalMs`; returns a stop function
+export const startScheduler = (intervalMs = Number(process.env.SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      const published = await publishDueBlogs();
+      if (published > 0) console.log(`📅 Published ${published} scheduled article(s)`);
+    } catch (error) {
+      console.error('Scheduler error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  return () => clearInterval(timer);
+};
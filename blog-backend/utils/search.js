@@ -0,0 +1,69 @@
+// Helpers for turning MongoDB text search results into highlighted snippets.
+// Snippets are returned as HTML: everything is escaped except the <mark> tags.
+
+const SNIPPET_LENGTH = 200;
+
+const escapeHtml = (text = '') =>
+  text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+export const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words from a $text search string worth highlighting: negated terms are
+// dropped and quoted phrases are split into their words
+export const parseSearchTerms = (search = '') => {
+  const terms = search
+    .split(/\s+/)
+    .filter(term => term && !term.startsWith('-'))
+    .map(term => term.replace(/["]/g, '').toLowerCase())
+    .filter(term => term.length > 1);
+  return [...new Set(terms)];
+};
+
+const termsPattern = (terms) =>
+  new RegExp(`\\b(${terms.map(escapeRegExp).join('|')})\\w*`, 'gi');
+
+// Escape text and wrap every word starting with a search term in <mark>
+export const highlightText = (text = '', terms = []) => {
+  if (terms.length === 0) return escapeHtml(text);
+
+  const pattern = termsPattern(terms);
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of text.matchAll(pattern)) {
+    result += escapeHtml(text.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + escapeHtml(text.slice(lastIndex));
+};
+
+// A window of text around the first match, highlighted; null when nothing matches
+export const buildSnippet = (text = '', terms = [], length = SNIPPET_LENGTH) => {
+  if (terms.length === 0) return null;
+
+  const match = termsPattern(terms).exec(text);
+  if (!match) return null;
+
+  // Start a little before the match, on a word boundary
+  let start = Math.max(0, match.index - Math.floor(length / 4));
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space === -1 || space > match.index ? start : space + 1;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > match.index ? space : end;
+  }
+
+  const prefix = start > 0 ? '… ' : '';
+  const suffix = end < text.length ? ' …' : '';
+  return prefix + highlightText(text.slice(start, end), terms) + suffix;
+};
@@ -0,0 +1,71 @@
+import Session from '../models/Session.js';
+import { generateToken } from '../middleware/auth.js';
+import { createRandomToken, hashToken } from './tokens.js';
+
+// Two tabs refreshing at once both present the same token; only treat a
+// rotated-out token as stolen when it turns up after this window
+const REUSE_GRACE_MS = 30 * 1000;
+
+const refreshTokenExpiry = () =>
+  new Date(Date.now() + (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000);
+
+const deviceDetails = (req) => ({
+  userAgent: (req.get('user-agent') || '').slice(0, 512),
+  ip: req.ip || ''
+});
+
+// Start a session for a user who just signed in; returns the token pair
+export const startSession = async (userId, req) => {
+  const refreshToken = createRandomToken(48);
+  const session = await Session.create({
+    user: userId,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: refreshTokenExpiry(),
+    ...deviceDetails(req)
+  });
+
+  return { session, token: generateToken(userId, session._id), refreshToken };
+};
+
+// Exchange a refresh token for a new pair. Returns null if it can't be used.
+export const rotateSession = async (refreshToken, req) => {
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+  const nextRefreshToken = createRandomToken(48);
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(nextRefreshToken),
+        previousTokenHash: tokenHash,
+        rotatedAt: now,
+        expiresAt: refreshTokenExpiry(),
+        lastSeenAt: now,
+        ...deviceDetails(req)
+      }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { session, token: generateToken(session.user, session._id), refreshToken: nextRefreshToken };
+  }
+
+  // An old token being replayed means someone else may hold it: end the session
+  await Session.updateOne(
+    { previousTokenHash: tokenHash, revokedAt: null, rotatedAt: { $lt: new Date(now - REUSE_GRACE_MS) } },
+    { $set: { revokedAt: now } }
+  );
+  return null;
+};
+
+export const revokeSession = (refreshToken) =>
+  Session.updateOne({ tokenHash: hashToken(refreshToken), revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+// Revoke every session a user has, optionally keeping the current one
+export const revokeUserSessions = (userId, { except } = {}) =>
+  Session.updateMany(
+    { user: userId, revokedAt: null, ...(except && { _id: { $ne: except } }) },
+    { $set: { revokedAt: new Date() } }
+  );
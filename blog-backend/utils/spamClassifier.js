@@ -0,0 +1,72 @@
+import SpamToken, { TRAINING_TOTALS_TOKEN } from '../models/SpamToken.js';
+
+// Naive Bayes spam score for comments, trained from admins' moderation decisions:
+// approving a held comment trains it as ham, marking a comment as spam trains it as spam.
+
+// Tokens considered per comment; the rest of a very long comment adds little
+const MAX_TOKENS = 200;
+
+// Scores are unreliable until both classes have a few examples
+const minTrainingComments = () => Number(process.env.COMMENT_SPAM_MIN_TRAINING) || 10;
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"')]+|\bwww\.[^\s<>"')]+/gi;
+
+// Lowercased words plus a `link:<host>` token for every linked site, each counted once.
+// Word tokens never contain "_" or ":", so they can't collide with the reserved ones.
+export const tokenize = (text) => {
+  const tokens = new Set();
+
+  for (const url of text.match(URL_PATTERN) || []) {
+    try {
+      const { hostname } = new URL(url.startsWith('www.') ? `http://${url}` : url);
+      tokens.add(`link:${hostname.replace(/^www\./, '')}`);
+    } catch {
+      // Not a parseable URL; its words are still picked up below
+    }
+  }
+
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}']{2,30}/gu) || []) {
+    tokens.add(word);
+  }
+
+  return [...tokens].slice(0, MAX_TOKENS);
+};
+
+// Probability (0-1) that the text is spam, or null while the classifier is undertrained
+export const scoreSpam = async (text) => {
+  const tokens = tokenize(text);
+  const rows = await SpamToken.find({ token: { $in: [...tokens, TRAINING_TOTALS_TOKEN] } }).lean();
+  const counts = new Map(rows.map(row => [row.token, row]));
+
+  const totals = counts.get(TRAINING_TOTALS_TOKEN);
+  const minimum = minTrainingComments();
+  if (!totals || totals.spam < minimum || totals.ham < minimum) return null;
+
+  // Equal priors, so the score reflects the words rather than how much of
+  // each class happens to have been trained. Laplace smoothing keeps a token
+  // seen in only one class from deciding the result on its own.
+  let logOdds = 0;
+  for (const token of tokens) {
+    const count = counts.get(token);
+    if (!count) continue;
+    const pSpam = (count.spam + 1) / (totals.spam + 2);
+    const pHam = (count.ham + 1) / (totals.ham + 2);
+    logOdds += Math.log(pSpam / pHam);
+  }
+
+  return 1 / (1 + Math.exp(-logOdds));
+};
+
+// Record a comment as an example of spam or ham (label: 'spam' | 'ham')
+export const trainSpamClassifier = async (text, label) => {
+  const field = label === 'spam' ? 'spam' : 'ham';
+  const tokens = [...tokenize(text), TRAINING_TOTALS_TOKEN];
+
+  await SpamToken.bulkWrite(tokens.map(token => ({
+    updateOne: {
+      filter: { token },
+      update: { $inc: { [field]: 1 } },
+      upsert: true
+    }
+  })), { ordered: false });
+};
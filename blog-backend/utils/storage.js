@@ -0,0 +1,45 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Where the local adapter keeps files; served by server.js under /uploads
+export const LOCAL_UPLOAD_DIR = process.env.UPLOAD_DIR
+  ? path.resolve(process.env.UPLOAD_DIR)
+  : path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'uploads');
+
+export const LOCAL_UPLOAD_ROUTE = '/uploads';
+
+// Storage adapters share one interface:
+//   save(key, buffer, contentType) -> URL the file can be fetched from
+//   remove(key)
+// URLs may be relative to this API's origin (local disk) or absolute (object storage).
+const createLocalStorage = (directory = LOCAL_UPLOAD_DIR) => ({
+  name: 'local',
+
+  async save(key, buffer) {
+    const filePath = path.join(directory, key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+    return `${LOCAL_UPLOAD_ROUTE}/${key}`;
+  },
+
+  async remove(key) {
+    await fs.rm(path.join(directory, key), { force: true });
+  }
+});
+
+// Add an S3-compatible adapter here and select it with STORAGE_DRIVER
+const drivers = {
+  local: createLocalStorage
+};
+
+let storage;
+
+export const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+    storage = drivers[driver]();
+  }
+  return storage;
+};
@@ -0,0 +1,7 @@
+import crypto from 'crypto';
+
+// Opaque tokens (password reset, email verification, refresh) are handed out
+// in the clear but only their SHA-256 hash is stored
+export const createRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
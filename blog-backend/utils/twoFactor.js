@@ -0,0 +1,44 @@
+import User from '../models/User.js';
+import { verifyTotp } from './totp.js';
+import { createRandomToken, hashToken } from './tokens.js';
+
+const RECOVERY_CODE_COUNT = 10;
+
+// Recovery codes are typed by hand, so compare them without case or separators
+const normalizeRecoveryCode = (code) => code.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Fresh recovery codes like "3f9c2-a71be"; returns the codes to show once and the hashes to store
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = createRandomToken(5);
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  return { codes, hashes: codes.map(code => hashToken(normalizeRecoveryCode(code))) };
+};
+
+// Check a second factor for a user loaded with +twoFactorSecret. Accepts an
+// authenticator code or a recovery code; both are single-use. Returns
+// 'totp', 'recovery' or null.
+export const verifySecondFactor = async (user, code) => {
+  const input = String(code).replace(/\s/g, '');
+
+  if (/^\d{6}$/.test(input)) {
+    const step = verifyTotp(user.twoFactorSecret, input);
+    if (step === null) return null;
+
+    // Claim the time step so the same code can't be replayed
+    const { modifiedCount } = await User.updateOne(
+      { _id: user._id, $or: [{ twoFactorLastStep: { $lt: step } }, { twoFactorLastStep: null }] },
+      { $set: { twoFactorLastStep: step } }
+    );
+    return modifiedCount ? 'totp' : null;
+  }
+
+  const hash = hashToken(normalizeRecoveryCode(input));
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, twoFactorRecoveryCodes: hash },
+    { $pull: { twoFactorRecoveryCodes: hash } }
+  );
+  return modifiedCount ? 'recovery' : null;
+};
@@ -1,5 +1,5 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { createBrowserRouter, createRoutesFromElements, RouterProvider, Route, Outlet, Navigate } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import { AuthProvider } from './contexts/AuthContext';
 import Layout from './components/layout/Layout';
@@ -7,68 +7,104 @@ import ProtectedRoute from './components/ProtectedRoute';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import BlogsFixed from './pages/BlogsFixed';
 import BlogDetail from './pages/BlogDetail';
 import CreateBlogFixed from './pages/CreateBlogFixed';
 import Dashboard from './pages/Dashboard';
 import Profile from './pages/Profile';
+import AuthorProfile from './pages/AuthorProfile';
+import AdminLayout from './components/admin/AdminLayout';
+import AdminUsers from './pages/AdminUsers';
+import AdminBlogs from './pages/AdminBlogs';
+import AdminComments from './pages/AdminComments';
+import AdminReports from './pages/AdminReports';
+import AdminModerationLog from './pages/AdminModerationLog';
 import './App.css';
 
+const AppShell = () => (
+  <div className="min-h-screen bg-background text-foreground">
+    <Outlet />
+
+    {/* Toast notifications */}
+    <Toaster
+      position="top-right"
+      toastOptions={{
+        duration: 4000,
+        style: {
+          background: 'hsl(var(--background))',
+          color: 'hsl(var(--foreground))',
+          border: '1px solid hsl(var(--border))',
+        },
+      }}
+    />
+  </div>
+);
+
+// A data router, so pages can block navigation (see CreateBlogFixed)
+const router = createBrowserRouter(
+  createRoutesFromElements(
+    <Route element={<AppShell />}>
+      {/* Auth routes without layout */}
+      <Route path="/login" element={<Login />} />
+      <Route path="/register" element={<Register />} />
+      <Route path="/forgot-password" element={<ForgotPassword />} />
+      <Route path="/reset-password/:token" element={<ResetPassword />} />
+      <Route path="/verify-email/:token" element={<VerifyEmail />} />
+
+      {/* Public routes with layout */}
+      <Route path="/" element={<Layout><Home /></Layout>} />
+      <Route path="/blogs" element={<Layout><BlogsFixed /></Layout>} />
+      <Route path="/blog/:slug" element={<Layout><BlogDetail /></Layout>} />
+      <Route path="/author/:username" element={<Layout><AuthorProfile /></Layout>} />
+
+      {/* Protected routes with layout */}
+      <Route path="/create" element={
+        <ProtectedRoute>
+          <Layout><CreateBlogFixed /></Layout>
+        </ProtectedRoute>
+      } />
+      <Route path="/edit/:id" element={
+        <ProtectedRoute>
+          <Layout><CreateBlogFixed /></Layout>
+        </ProtectedRoute>
+      } />
+      <Route path="/dashboard" element={
+        <ProtectedRoute>
+          <Layout><Dashboard /></Layout>
+        </ProtectedRoute>
+      } />
+      <Route path="/profile" element={
+        <ProtectedRoute>
+          <Layout><Profile /></Layout>
+        </ProtectedRoute>
+      } />
+
+      {/* Admin console, with its own sidebar layout */}
+      <Route path="/admin" element={
+        <ProtectedRoute requireAdmin>
+          <AdminLayout />
+        </ProtectedRoute>
+      }>
+        <Route index element={<Navigate to="/admin/users" replace />} />
+        <Route path="users" element={<AdminUsers />} />
+        <Route path="blogs" element={<AdminBlogs />} />
+        <Route path="comments" element={<AdminComments />} />
+        <Route path="reports" element={<AdminReports />} />
+        <Route path="moderation-log" element={<AdminModerationLog />} />
+      </Route>
+    </Route>
+  )
+);
+
 function App() {
   return (
     <AuthProvider>
-      <Router>
-        <div className="min-h-screen bg-background text-foreground">
-          <Routes>
-            {/* Auth routes without layout */}
-            <Route path="/login" element={<Login />} />
-            <Route path="/register" element={<Register />} />
-            
-            {/* Public routes with layout */}
-            <Route path="/" element={<Layout><Home /></Layout>} />
-            <Route path="/blogs" element={<Layout><BlogsFixed /></Layout>} />
-            <Route path="/blog/:slug" element={<Layout><BlogDetail /></Layout>} />
-            
-            {/* Protected routes with layout */}
-            <Route path="/create" element={
-              <ProtectedRoute>
-                <Layout><CreateBlogFixed /></Layout>
-              </ProtectedRoute>
-            } />
-            <Route path="/edit/:id" element={
-              <ProtectedRoute>
-                <Layout><CreateBlogFixed /></Layout>
-              </ProtectedRoute>
-            } />
-            <Route path="/dashboard" element={
-              <ProtectedRoute>
-                <Layout><Dashboard /></Layout>
-              </ProtectedRoute>
-            } />
-            <Route path="/profile" element={
-              <ProtectedRoute>
-                <Layout><Profile /></Layout>
-              </ProtectedRoute>
-            } />
-          </Routes>
-          
-          {/* Toast notifications */}
-          <Toaster
-            position="top-right"
-            toastOptions={{
-              duration: 4000,
-              style: {
-                background: 'hsl(var(--background))',
-                color: 'hsl(var(--foreground))',
-                border: '1px solid hsl(var(--border))',
-              },
-            }}
-          />
-        </div>
-      </Router>
+      <RouterProvider router={router} />
     </AuthProvider>
   );
 }
 
 export default App;
-
@@ -0,0 +1,16 @@
+import React from 'react';
+import { cn } from '@/lib/utils';
+
+// Renders article HTML produced by the API's Markdown renderer.
+// The HTML is sanitized server-side before it ever reaches the client.
+const ArticleContent = ({ html, className, ref }) => {
+  return (
+    <div
+      ref={ref}
+      className={cn('article-content', className)}
+      dangerouslySetInnerHTML={{ __html: html || '' }}
+    />
+  );
+};
+
+export default ArticleContent;
@@ -0,0 +1,96 @@
+import React, { useRef, useState } from 'react';
+import { uploadAPI } from '../lib/api';
+import { ACCEPTED_IMAGE_TYPES, validateImageFile } from '../lib/images';
+import { cn } from '@/lib/utils';
+import { Progress } from '@/components/ui/progress';
+import { ImageUp } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Drop an image on the area (or click to choose one) to upload it.
+// `onUploaded(image)` receives the API's { url, urls: { large, medium, thumbnail } }.
+const ImageDropzone = ({ onUploaded, label = 'Drop an image here or click to upload', className }) => {
+  const inputRef = useRef(null);
+  const [dragging, setDragging] = useState(false);
+  const [progress, setProgress] = useState(null);
+
+  const upload = async (file) => {
+    const invalid = validateImageFile(file);
+    if (invalid) {
+      toast.error(invalid);
+      return;
+    }
+
+    setProgress(0);
+    try {
+      const response = await uploadAPI.uploadImage(file, (event) => {
+        if (event.total) setProgress(Math.round((event.loaded / event.total) * 100));
+      });
+      onUploaded(response.data.image);
+    } catch (error) {
+      console.error('Error uploading image:', error);
+      toast.error(error.response?.data?.message || 'Failed to upload image');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragging(false);
+    const file = e.dataTransfer.files?.[0];
+    if (file) upload(file);
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) upload(file);
+    e.target.value = '';
+  };
+
+  const uploading = progress !== null;
+
+  return (
+    <div
+      role="button"
+      tabIndex={0}
+      onClick={() => !uploading && inputRef.current?.click()}
+      onKeyDown={(e) => {
+        if ((e.key === 'Enter' || e.key === ' ') && !uploading) {
+          e.preventDefault();
+          inputRef.current?.click();
+        }
+      }}
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={handleDrop}
+      className={cn(
+        'flex flex-col items-center justify-center gap-2 rounded-lg border-2 border-dashed p-4 text-center text-sm text-gray-500 cursor-pointer transition-colors',
+        dragging ? 'border-blue-500 bg-blue-50' : 'border-gray-300 hover:bg-gray-50',
+        uploading && 'cursor-wait',
+        className
+      )}
+    >
+      <ImageUp className="h-6 w-6" />
+      {uploading ? (
+        <div className="w-full max-w-xs space-y-1">
+          <Progress value={progress} />
+          <span>Uploading… {progress}%</span>
+        </div>
+      ) : (
+        <span>{label}</span>
+      )}
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_IMAGE_TYPES.join(',')}
+        onChange={handleFileChange}
+        className="hidden"
+      />
+    </div>
+  );
+};
+
+export default ImageDropzone;
@@ -0,0 +1,115 @@
+import React, { useState, useEffect } from 'react';
+import { reportAPI } from '../lib/api';
+import { REPORT_REASONS } from '../lib/reports';
+import { Button } from '@/components/ui/button';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { RadioGroup, RadioGroupItem } from '@/components/ui/radio-group';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import toast from 'react-hot-toast';
+
+// Report an article or comment. `target` is { type: 'blog' | 'comment', id },
+// or null while the dialog is closed.
+const ReportDialog = ({ target, onClose }) => {
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  // Start fresh each time the dialog opens
+  useEffect(() => {
+    if (target) {
+      setReason('');
+      setDetails('');
+    }
+  }, [target]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      const response = await reportAPI.createReport({
+        targetType: target.type,
+        targetId: target.id,
+        reason,
+        details: details.trim(),
+      });
+      toast.success(response.data.message);
+      onClose();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send report');
+      // Already reported: nothing more to do here
+      if (error.response?.status === 409) onClose();
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const noun = target?.type === 'comment' ? 'comment' : 'article';
+
+  return (
+    <Dialog open={target !== null} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="sm:max-w-lg">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>Report this {noun}</DialogTitle>
+            <DialogDescription>
+              Reports are private. A moderator will review the {noun} against our community standards.
+            </DialogDescription>
+          </DialogHeader>
+
+          <RadioGroup value={reason} onValueChange={setReason} className="gap-2">
+            {REPORT_REASONS.map((option) => (
+              <Label
+                key={option.value}
+                htmlFor={`report-reason-${option.value}`}
+                className="flex cursor-pointer items-start gap-3 rounded-md border p-3 font-normal has-[[data-state=checked]]:border-primary"
+              >
+                <RadioGroupItem id={`report-reason-${option.value}`} value={option.value} className="mt-0.5" />
+                <span>
+                  <span className="block font-medium">{option.label}</span>
+                  <span className="block text-xs text-muted-foreground">{option.description}</span>
+                </span>
+              </Label>
+            ))}
+          </RadioGroup>
+
+          <div>
+            <Label htmlFor="report-details">
+              Details {reason !== 'other' && <span className="text-muted-foreground">(optional)</span>}
+            </Label>
+            <Textarea
+              id="report-details"
+              value={details}
+              onChange={(e) => setDetails(e.target.value)}
+              placeholder="Anything that will help a moderator understand the problem"
+              maxLength={1000}
+              rows={3}
+              className="mt-1"
+            />
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={onClose} disabled={submitting}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              disabled={submitting || !reason || (reason === 'other' && !details.trim())}
+            >
+              {submitting ? 'Sending...' : 'Send report'}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ReportDialog;
@@ -0,0 +1,105 @@
+import React from 'react';
+import { Link, Outlet, useLocation } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Separator } from '@/components/ui/separator';
+import {
+  Sidebar,
+  SidebarContent,
+  SidebarFooter,
+  SidebarGroup,
+  SidebarGroupContent,
+  SidebarGroupLabel,
+  SidebarHeader,
+  SidebarInset,
+  SidebarMenu,
+  SidebarMenuButton,
+  SidebarMenuItem,
+  SidebarProvider,
+  SidebarTrigger,
+} from '@/components/ui/sidebar';
+import { ArrowLeft, BookOpen, FileText, Flag, History, MessageSquareWarning, Shield, Users } from 'lucide-react';
+
+const adminLinks = [
+  { path: '/admin/users', label: 'Users', icon: Users },
+  { path: '/admin/blogs', label: 'Blogs', icon: FileText },
+  { path: '/admin/comments', label: 'Held Comments', icon: MessageSquareWarning },
+  { path: '/admin/reports', label: 'Reports', icon: Flag },
+  { path: '/admin/moderation-log', label: 'Moderation Log', icon: History },
+];
+
+// Shell for the /admin area: its own sidebar instead of the site header and footer
+const AdminLayout = () => {
+  const { user } = useAuth();
+  const location = useLocation();
+  const current = adminLinks.find(link => location.pathname.startsWith(link.path));
+
+  return (
+    <SidebarProvider>
+      <Sidebar>
+        <SidebarHeader>
+          <Link to="/admin" className="flex items-center gap-2 px-2 py-1.5">
+            <BookOpen className="h-6 w-6 text-primary" />
+            <span className="font-bold">BlogHub Admin</span>
+          </Link>
+        </SidebarHeader>
+        <SidebarContent>
+          <SidebarGroup>
+            <SidebarGroupLabel>Manage</SidebarGroupLabel>
+            <SidebarGroupContent>
+              <SidebarMenu>
+                {adminLinks.map((link) => (
+                  <SidebarMenuItem key={link.path}>
+                    <SidebarMenuButton asChild isActive={link === current}>
+                      <Link to={link.path}>
+                        <link.icon />
+                        <span>{link.label}</span>
+                      </Link>
+                    </SidebarMenuButton>
+                  </SidebarMenuItem>
+                ))}
+              </SidebarMenu>
+            </SidebarGroupContent>
+          </SidebarGroup>
+        </SidebarContent>
+        <SidebarFooter>
+          <SidebarMenu>
+            <SidebarMenuItem>
+              <SidebarMenuButton asChild>
+                <Link to="/">
+                  <ArrowLeft />
+                  <span>Back to site</span>
+                </Link>
+              </SidebarMenuButton>
+            </SidebarMenuItem>
+          </SidebarMenu>
+          <div className="flex items-center gap-2 px-2 py-1.5">
+            <Avatar className="h-8 w-8">
+              <AvatarImage src={user?.avatar} alt={user?.fullName} />
+              <AvatarFallback>
+                {user?.firstName?.[0]}{user?.lastName?.[0]}
+              </AvatarFallback>
+            </Avatar>
+            <div className="min-w-0 text-sm leading-tight">
+              <p className="truncate font-medium">{user?.fullName}</p>
+              <p className="truncate text-xs text-muted-foreground">{user?.email}</p>
+            </div>
+          </div>
+        </SidebarFooter>
+      </Sidebar>
+      <SidebarInset>
+        <header className="flex h-14 items-center gap-2 border-b px-4">
+          <SidebarTrigger />
+          <Separator orientation="vertical" className="h-4" />
+          <Shield className="h-4 w-4 text-muted-foreground" />
+          <h1 className="font-semibold">{current?.label || 'Admin'}</h1>
+        </header>
+        <div className="flex-1 p-4 md:p-6">
+          <Outlet />
+        </div>
+      </SidebarInset>
+    </SidebarProvider>
+  );
+};
+
+export default AdminLayout;
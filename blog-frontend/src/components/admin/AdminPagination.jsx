@@ -0,0 +1,36 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+
+// Previous/next controls under the admin tables
+const AdminPagination = ({ pagination, summary, onPageChange }) => {
+  if (!pagination?.totalPages) return null;
+
+  return (
+    <div className="flex items-center justify-between gap-4 pt-4 text-sm text-muted-foreground">
+      <span>{summary}</span>
+      <div className="flex items-center gap-2">
+        <span>
+          Page {pagination.currentPage} of {pagination.totalPages}
+        </span>
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={!pagination.hasPrev}
+          onClick={() => onPageChange(pagination.currentPage - 1)}
+        >
+          Previous
+        </Button>
+        <Button
+          variant="outline"
+          size="sm"
+          disabled={!pagination.hasNext}
+          onClick={() => onPageChange(pagination.currentPage + 1)}
+        >
+          Next
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default AdminPagination;
@@ -0,0 +1,312 @@
+import React, { createContext, useContext, useState, useEffect, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent } from '@/components/ui/card';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Textarea } from '@/components/ui/textarea';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '@/components/ui/collapsible';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import { cn } from '@/lib/utils';
+import { MessageCircle, Reply, ChevronDown, ChevronRight, MoreHorizontal, Edit, Trash2, Flag, Check, ShieldAlert } from 'lucide-react';
+
+// Replies deeper than this stop indenting so long threads stay readable
+const MAX_INDENT_DEPTH = 4;
+
+// Viewer, permissions and handlers shared by every comment in the thread
+const CommentThreadContext = createContext(null);
+
+// Turn the flat comment list into a tree using each comment's parentId.
+// Replies whose parent no longer exists are shown at the top level.
+const buildCommentTree = (comments) => {
+  const nodes = new Map(comments.map(comment => [comment._id, { ...comment, replies: [] }]));
+  const roots = [];
+
+  nodes.forEach(node => {
+    const parent = node.parentId && nodes.get(node.parentId);
+    if (parent) parent.replies.push(node);
+    else roots.push(node);
+  });
+
+  return roots;
+};
+
+const countReplies = (node) =>
+  node.replies.reduce((sum, reply) => sum + 1 + countReplies(reply), 0);
+
+const containsComment = (node, commentId) =>
+  node.replies.some(reply => reply._id === commentId || containsComment(reply, commentId));
+
+const formatCommentDate = (dateString) => {
+  const date = new Date(dateString);
+  const now = new Date();
+  const diffInHours = Math.floor((now - date) / (1000 * 60 * 60));
+
+  if (diffInHours < 1) {
+    return 'Just now';
+  } else if (diffInHours < 24) {
+    return `${diffInHours}h ago`;
+  } else {
+    const diffInDays = Math.floor(diffInHours / 24);
+    return `${diffInDays}d ago`;
+  }
+};
+
+const CommentForm = ({ initialContent = '', placeholder, submitLabel, onSubmit, onCancel }) => {
+  const [content, setContent] = useState(initialContent);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!content.trim()) return;
+
+    setSubmitting(true);
+    const success = await onSubmit(content);
+    setSubmitting(false);
+    if (success) onCancel();
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-3">
+      <Textarea
+        placeholder={placeholder}
+        value={content}
+        onChange={(e) => setContent(e.target.value)}
+        className="mb-2"
+        rows={2}
+        autoFocus
+      />
+      <div className="flex gap-2">
+        <Button type="submit" size="sm" disabled={submitting || !content.trim()}>
+          {submitting ? 'Saving...' : submitLabel}
+        </Button>
+        <Button type="button" size="sm" variant="ghost" onClick={onCancel}>
+          Cancel
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const CommentItem = ({ comment, depth }) => {
+  const { currentUser, blogAuthorId, highlightedId, onReply, onEdit, onDelete, onReport, onApprove, onMarkSpam } = useContext(CommentThreadContext);
+  const [open, setOpen] = useState(true);
+  const [replying, setReplying] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const replyCount = countReplies(comment);
+  const isHighlighted = comment._id === highlightedId;
+  const isHeld = comment.status === 'held';
+
+  const isAdmin = currentUser?.role === 'admin';
+  const isOwner = Boolean(currentUser) && comment.author?._id === currentUser.id;
+  const canEdit = isOwner || isAdmin;
+  const canDelete = canEdit || (Boolean(currentUser) && blogAuthorId === currentUser.id);
+  const canReport = Boolean(currentUser) && !isOwner && !isHeld;
+  // The blog's author and admins approve held comments and weed out spam
+  const canReview = isAdmin || (Boolean(currentUser) && blogAuthorId === currentUser.id);
+  const canMarkSpam = canReview && !isOwner;
+
+  // Expand the thread if a permalink points at one of its replies
+  useEffect(() => {
+    if (highlightedId && containsComment(comment, highlightedId)) {
+      setOpen(true);
+    }
+  }, [highlightedId, comment]);
+
+  const handleDelete = () => {
+    if (!window.confirm('Are you sure you want to delete this comment? This action cannot be undone.')) {
+      return;
+    }
+    onDelete(comment._id);
+  };
+
+  return (
+    <div>
+      <div
+        id={`comment-${comment._id}`}
+        className={cn(
+          'flex space-x-4 rounded-lg p-2 -m-2 scroll-mt-24 transition-colors',
+          isHeld && 'bg-muted/60',
+          isHighlighted && 'bg-primary/5 ring-2 ring-primary/40'
+        )}
+      >
+        <Avatar className="h-8 w-8">
+          <AvatarImage src={comment.author?.avatar} alt={comment.author?.fullName} />
+          <AvatarFallback>
+            {comment.author?.firstName?.[0]}{comment.author?.lastName?.[0]}
+          </AvatarFallback>
+        </Avatar>
+        <div className="flex-1 min-w-0">
+          <div className="flex items-center justify-between mb-2">
+            <div className="flex items-center space-x-2">
+              <p className="font-semibold text-sm">{comment.author?.fullName}</p>
+              <Link
+                to={`#comment-${comment._id}`}
+                className="text-xs text-muted-foreground hover:underline"
+                title="Link to this comment"
+              >
+                {formatCommentDate(comment.createdAt)}
+              </Link>
+              {comment.updatedAt && (
+                <span
+                  className="text-xs text-muted-foreground"
+                  title={`Edited ${new Date(comment.updatedAt).toLocaleString()}`}
+                >
+                  (edited)
+                </span>
+              )}
+              {isHeld && (
+                <Badge variant="outline" title="Only the article's author and admins can see this comment until it is approved">
+                  Awaiting review
+                </Badge>
+              )}
+            </div>
+
+            {(canEdit || canDelete || canReport || canMarkSpam) && !editing && (
+              <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                  <Button variant="ghost" size="sm" className="h-7 w-7 p-0" aria-label="Comment actions">
+                    <MoreHorizontal className="h-4 w-4" />
+                  </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent align="end">
+                  {canEdit && (
+                    <DropdownMenuItem onClick={() => setEditing(true)}>
+                      <Edit className="h-4 w-4 mr-2" />
+                      Edit
+                    </DropdownMenuItem>
+                  )}
+                  {canDelete && (
+                    <DropdownMenuItem onClick={handleDelete} className="text-destructive">
+                      <Trash2 className="h-4 w-4 mr-2" />
+                      Delete
+                    </DropdownMenuItem>
+                  )}
+                  {canMarkSpam && (
+                    <DropdownMenuItem onClick={() => onMarkSpam(comment._id)} className="text-destructive">
+                      <ShieldAlert className="h-4 w-4 mr-2" />
+                      Delete as spam
+                    </DropdownMenuItem>
+                  )}
+                  {canReport && (
+                    <>
+                      {(canEdit || canDelete || canMarkSpam) && <DropdownMenuSeparator />}
+                      <DropdownMenuItem onClick={() => onReport(comment._id)}>
+                        <Flag className="h-4 w-4 mr-2" />
+                        Report
+                      </DropdownMenuItem>
+                    </>
+                  )}
+                </DropdownMenuContent>
+              </DropdownMenu>
+            )}
+          </div>
+
+          {editing ? (
+            <CommentForm
+              initialContent={comment.content}
+              placeholder="Edit your comment..."
+              submitLabel="Save"
+              onSubmit={(content) => onEdit(comment._id, content)}
+              onCancel={() => setEditing(false)}
+            />
+          ) : (
+            <p className="text-sm leading-relaxed whitespace-pre-wrap break-words">{comment.content}</p>
+          )}
+
+          {isHeld && canReview && !editing && (
+            <Button
+              variant="outline"
+              size="sm"
+              className="h-7 px-2 mt-2 mr-2"
+              onClick={() => onApprove(comment._id)}
+            >
+              <Check className="h-3 w-3 mr-1" />
+              Approve
+            </Button>
+          )}
+          {currentUser && !isHeld && !replying && !editing && (
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-7 px-2 mt-1 -ml-2 text-muted-foreground"
+              onClick={() => setReplying(true)}
+            >
+              <Reply className="h-3 w-3 mr-1" />
+              Reply
+            </Button>
+          )}
+          {replying && (
+            <CommentForm
+              placeholder="Write a reply..."
+              submitLabel="Reply"
+              onSubmit={(content) => onReply(comment._id, content)}
+              onCancel={() => setReplying(false)}
+            />
+          )}
+        </div>
+      </div>
+
+      {comment.replies.length > 0 && (
+        <Collapsible open={open} onOpenChange={setOpen} className="mt-3">
+          <CollapsibleTrigger asChild>
+            <Button variant="ghost" size="sm" className="h-7 px-2 ml-10 text-muted-foreground">
+              {open ? <ChevronDown className="h-3 w-3 mr-1" /> : <ChevronRight className="h-3 w-3 mr-1" />}
+              {open ? 'Hide' : 'Show'} {replyCount} {replyCount === 1 ? 'reply' : 'replies'}
+            </Button>
+          </CollapsibleTrigger>
+          <CollapsibleContent>
+            <div className={cn('mt-3 space-y-4', depth < MAX_INDENT_DEPTH && 'ml-4 pl-6 border-l')}>
+              {comment.replies.map(reply => (
+                <CommentItem key={reply._id} comment={reply} depth={depth + 1} />
+              ))}
+            </div>
+          </CollapsibleContent>
+        </Collapsible>
+      )}
+    </div>
+  );
+};
+
+// Threaded comment list. `onReply(parentId, content)` and `onEdit(commentId, content)`
+// resolve to true on success so the inline forms know when to close.
+// `onReport(commentId)` opens the report dialog for someone else's comment.
+// `onApprove` and `onMarkSpam` let the blog's author and admins review comments
+// that automatic screening held back.
+const CommentThread = ({ comments, currentUser, blogAuthorId, highlightedId, onReply, onEdit, onDelete, onReport, onApprove, onMarkSpam }) => {
+  const tree = useMemo(() => buildCommentTree(comments), [comments]);
+  const context = { currentUser, blogAuthorId, highlightedId, onReply, onEdit, onDelete, onReport, onApprove, onMarkSpam };
+
+  if (tree.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <MessageCircle className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+        <p className="text-muted-foreground">
+          No comments yet. Be the first to share your thoughts!
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <CommentThreadContext.Provider value={context}>
+      <div className="space-y-6">
+        {tree.map(comment => (
+          <Card key={comment._id}>
+            <CardContent className="pt-6">
+              <CommentItem comment={comment} depth={0} />
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+    </CommentThreadContext.Provider>
+  );
+};
+
+export default CommentThread;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { Area, AreaChart, Bar, BarChart, CartesianGrid, XAxis, YAxis } from 'recharts';
+import { blogAPI } from '../../lib/api';
+import { formatDuration, formatChartDay, ANALYTICS_RANGES } from '../../lib/analytics';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { ChartContainer, ChartTooltip, ChartTooltipContent } from '@/components/ui/chart';
+import toast from 'react-hot-toast';
+
+const dailyChartConfig = {
+  views: { label: 'Views', color: 'var(--chart-1)' },
+  readThroughs: { label: 'Read-throughs', color: 'var(--chart-2)' },
+};
+
+const timeChartConfig = {
+  avgTimeOnPage: { label: 'Avg. time on page', color: 'var(--chart-3)' },
+};
+
+const referrerChartConfig = {
+  views: { label: 'Views', color: 'var(--chart-1)' },
+};
+
+const referrerLabel = (source) => {
+  if (source === 'direct') return 'Direct';
+  if (source === 'internal') return 'BlogHub';
+  return source;
+};
+
+const Stat = ({ label, value, hint }) => (
+  <div className="rounded-lg border p-4">
+    <p className="text-sm text-muted-foreground">{label}</p>
+    <p className="text-2xl font-bold">{value}</p>
+    {hint && <p className="text-xs text-muted-foreground">{hint}</p>}
+  </div>
+);
+
+// Views, read-through, time on page and referrers for one of the author's articles
+const ArticleAnalytics = ({ blogId }) => {
+  const [range, setRange] = useState('30d');
+  const [analytics, setAnalytics] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchAnalytics = async () => {
+      setLoading(true);
+      try {
+        const response = await blogAPI.getAnalytics(blogId, { range });
+        setAnalytics(response.data);
+      } catch (error) {
+        console.error('Error fetching analytics:', error);
+        toast.error('Failed to load analytics');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAnalytics();
+  }, [blogId, range]);
+
+  const referrers = analytics?.referrers.map(referrer => ({ ...referrer, label: referrerLabel(referrer.source) })) || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-end">
+        <Select value={range} onValueChange={setRange}>
+          <SelectTrigger className="w-40">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {ANALYTICS_RANGES.map((option) => (
+              <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {loading && !analytics ? (
+        <div className="space-y-4 animate-pulse">
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[0, 1, 2, 3].map((i) => (
+              <div key={i} className="h-20 bg-muted rounded-lg"></div>
+            ))}
+          </div>
+          <div className="h-56 bg-muted rounded-lg"></div>
+        </div>
+      ) : analytics && (
+        <div className={loading ? 'space-y-6 opacity-60' : 'space-y-6'}>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <Stat
+              label="Views"
+              value={analytics.totals.views.toLocaleString()}
+              hint={`${analytics.totals.lifetimeViews.toLocaleString()} all time`}
+            />
+            <Stat label="Unique visitors" value={analytics.totals.uniqueVisitors.toLocaleString()} />
+            <Stat
+              label="Read-through"
+              value={`${Math.round(analytics.totals.readThroughRate * 100)}%`}
+              hint={`${analytics.totals.readThroughs.toLocaleString()} read to the end`}
+            />
+            <Stat label="Avg. time on page" value={formatDuration(analytics.totals.avgTimeOnPage)} />
+          </div>
+
+          <div>
+            <h4 className="text-sm font-semibold mb-2">Daily views</h4>
+            <ChartContainer config={dailyChartConfig} className="aspect-auto h-56 w-full">
+              <AreaChart data={analytics.daily} margin={{ left: 0, right: 8 }}>
+                <CartesianGrid vertical={false} />
+                <XAxis
+                  dataKey="date"
+                  tickLine={false}
+                  axisLine={false}
+                  tickMargin={8}
+                  minTickGap={24}
+                  tickFormatter={formatChartDay}
+                />
+                <YAxis allowDecimals={false} width={32} tickLine={false} axisLine={false} />
+                <ChartTooltip content={<ChartTooltipContent labelFormatter={formatChartDay} />} />
+                <Area
+                  dataKey="views"
+                  type="monotone"
+                  stroke="var(--color-views)"
+                  fill="var(--color-views)"
+                  fillOpacity={0.2}
+                />
+                <Area
+                  dataKey="readThroughs"
+                  type="monotone"
+                  stroke="var(--color-readThroughs)"
+                  fill="var(--color-readThroughs)"
+                  fillOpacity={0.2}
+                />
+              </AreaChart>
+            </ChartContainer>
+          </div>
+
+          <div className="grid gap-6 md:grid-cols-2">
+            <div>
+              <h4 className="text-sm font-semibold mb-2">Time on page</h4>
+              <ChartContainer config={timeChartConfig} className="aspect-auto h-48 w-full">
+                <BarChart data={analytics.daily} margin={{ left: 0, right: 8 }}>
+                  <CartesianGrid vertical={false} />
+                  <XAxis
+                    dataKey="date"
+                    tickLine={false}
+                    axisLine={false}
+                    tickMargin={8}
+                    minTickGap={24}
+                    tickFormatter={formatChartDay}
+                  />
+                  <YAxis width={40} tickLine={false} axisLine={false} tickFormatter={formatDuration} />
+                  <ChartTooltip
+                    content={
+                      <ChartTooltipContent
+                        labelFormatter={formatChartDay}
+                        formatter={(value) => `Avg. ${formatDuration(value)}`}
+                      />
+                    }
+                  />
+                  <Bar dataKey="avgTimeOnPage" fill="var(--color-avgTimeOnPage)" radius={2} />
+                </BarChart>
+              </ChartContainer>
+            </div>
+
+            <div>
+              <h4 className="text-sm font-semibold mb-2">Top referrers</h4>
+              {referrers.length === 0 ? (
+                <p className="text-sm text-muted-foreground py-8 text-center">No views in this period yet.</p>
+              ) : (
+                <ChartContainer config={referrerChartConfig} className="aspect-auto h-48 w-full">
+                  <BarChart data={referrers} layout="vertical" margin={{ left: 0, right: 8 }}>
+                    <XAxis type="number" hide allowDecimals={false} />
+                    <YAxis
+                      type="category"
+                      dataKey="label"
+                      width={96}
+                      tickLine={false}
+                      axisLine={false}
+                    />
+                    <ChartTooltip content={<ChartTooltipContent hideLabel />} />
+                    <Bar dataKey="views" fill="var(--color-views)" radius={2} />
+                  </BarChart>
+                </ChartContainer>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ArticleAnalytics;
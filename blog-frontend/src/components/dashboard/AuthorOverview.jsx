@@ -0,0 +1,192 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Area, AreaChart } from 'recharts';
+import { percentChange, ANALYTICS_RANGES } from '../../lib/analytics';
+import { getStatusColor } from '../../lib/blogStatus';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { ChartContainer } from '@/components/ui/chart';
+import { cn } from '@/lib/utils';
+import { Eye, Heart, MessageCircle, Users, TrendingUp, TrendingDown } from 'lucide-react';
+
+const STATUS_LABELS = {
+  published: 'Published',
+  scheduled: 'Scheduled',
+  draft: 'Drafts',
+  archived: 'Archived',
+};
+
+const PeriodChange = ({ current, previous, previousLabel }) => {
+  const change = percentChange(current, previous);
+  if (change === null) {
+    return (
+      <p className="text-xs text-muted-foreground">
+        {current > 0 ? `Nothing in the ${previousLabel}` : 'No activity yet'}
+      </p>
+    );
+  }
+
+  const Icon = change < 0 ? TrendingDown : TrendingUp;
+  return (
+    <p className="flex items-center gap-1 text-xs text-muted-foreground">
+      <Icon className={cn('h-3 w-3', change < 0 ? 'text-red-600' : 'text-green-600')} />
+      <span className={change < 0 ? 'text-red-600' : 'text-green-600'}>
+        {change > 0 ? '+' : ''}{change}%
+      </span>
+      vs {previousLabel}
+    </p>
+  );
+};
+
+// A metric for the selected period with its change and a small trend line
+const SparklineCard = ({ title, icon, value, hint, comparison, previousLabel, data, dataKey, color }) => (
+  <Card>
+    <CardContent className="p-6">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-medium text-muted-foreground">{title}</p>
+        {icon}
+      </div>
+      <p className="text-2xl font-bold">{value.toLocaleString()}</p>
+      {hint && <p className="text-xs text-muted-foreground">{hint}</p>}
+      <PeriodChange {...comparison} previousLabel={previousLabel} />
+      <ChartContainer config={{ [dataKey]: { label: title, color } }} className="aspect-auto h-12 w-full mt-3">
+        <AreaChart data={data} margin={{ top: 2, right: 0, bottom: 0, left: 0 }}>
+          <Area
+            dataKey={dataKey}
+            type="monotone"
+            stroke={`var(--color-${dataKey})`}
+            fill={`var(--color-${dataKey})`}
+            fillOpacity={0.15}
+            strokeWidth={1.5}
+            isAnimationActive={false}
+          />
+        </AreaChart>
+      </ChartContainer>
+    </CardContent>
+  </Card>
+);
+
+// Totals and trends across all of the author's articles, from GET /api/blogs/user/stats
+const AuthorOverview = ({ stats }) => {
+  const { totals, period, daily, topArticles } = stats;
+  const previousLabel = ANALYTICS_RANGES.find(option => option.value === stats.range)?.previous || 'previous period';
+
+  return (
+    <div className="space-y-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
+        <SparklineCard
+          title="Views"
+          icon={<Eye className="h-4 w-4 text-muted-foreground" />}
+          value={period.views.current}
+          hint={`${totals.views.toLocaleString()} all time`}
+          comparison={period.views}
+          previousLabel={previousLabel}
+          data={daily}
+          dataKey="views"
+          color="var(--chart-1)"
+        />
+        <SparklineCard
+          title="Likes"
+          icon={<Heart className="h-4 w-4 text-muted-foreground" />}
+          value={period.likes.current}
+          hint={`${totals.likes.toLocaleString()} all time`}
+          comparison={period.likes}
+          previousLabel={previousLabel}
+          data={daily}
+          dataKey="likes"
+          color="var(--chart-5)"
+        />
+        <SparklineCard
+          title="Comments"
+          icon={<MessageCircle className="h-4 w-4 text-muted-foreground" />}
+          value={period.comments.current}
+          hint={`${totals.comments.toLocaleString()} all time`}
+          comparison={period.comments}
+          previousLabel={previousLabel}
+          data={daily}
+          dataKey="comments"
+          color="var(--chart-2)"
+        />
+        <SparklineCard
+          title="Followers"
+          icon={<Users className="h-4 w-4 text-muted-foreground" />}
+          value={totals.followers}
+          hint={`${period.followers.current.toLocaleString()} new this period`}
+          comparison={period.followers}
+          previousLabel={previousLabel}
+          data={daily}
+          dataKey="totalFollowers"
+          color="var(--chart-3)"
+        />
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <Card>
+          <CardHeader>
+            <CardTitle>Articles</CardTitle>
+            <CardDescription>{totals.articles} in total</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {Object.entries(STATUS_LABELS).map(([status, label]) => (
+              <div key={status} className="flex items-center justify-between text-sm">
+                <Badge className={getStatusColor(status)}>{label}</Badge>
+                <span className="font-medium">{totals.byStatus[status]}</span>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle>Top Articles</CardTitle>
+            <CardDescription>Most viewed in this period</CardDescription>
+          </CardHeader>
+          <CardContent>
+            {topArticles.length === 0 ? (
+              <p className="text-sm text-muted-foreground py-6 text-center">
+                No views in this period yet.
+              </p>
+            ) : (
+              <div className="space-y-4">
+                {topArticles.map((article) => (
+                  <div key={article._id} className="flex items-center justify-between gap-4">
+                    <div className="min-w-0">
+                      {article.status === 'published' ? (
+                        <Link to={`/blog/${article.slug}`} className="block truncate font-medium hover:text-primary">
+                          {article.title}
+                        </Link>
+                      ) : (
+                        <span className="block truncate font-medium">{article.title}</span>
+                      )}
+                      <p className="text-xs text-muted-foreground">
+                        {article.views
+                          ? `${Math.round((article.readThroughs / article.views) * 100)}% read to the end`
+                          : 'No reads yet'}
+                      </p>
+                    </div>
+                    <div className="flex shrink-0 items-center gap-4 text-sm text-muted-foreground">
+                      <span className="flex items-center gap-1" title="Views this period">
+                        <Eye className="h-3 w-3" />
+                        {article.views.toLocaleString()}
+                      </span>
+                      <span className="flex items-center gap-1" title="Likes">
+                        <Heart className="h-3 w-3" />
+                        {article.likeCount}
+                      </span>
+                      <span className="flex items-center gap-1" title="Comments">
+                        <MessageCircle className="h-3 w-3" />
+                        {article.commentCount}
+                      </span>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default AuthorOverview;
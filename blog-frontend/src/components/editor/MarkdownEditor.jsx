@@ -0,0 +1,300 @@
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { blogAPI } from '../../lib/api';
+import { wrapSelection, prefixLines, insertLink, insertCode, setHeading } from '../../lib/markdown';
+import { validateImageFile } from '../../lib/images';
+import { useIsMobile } from '@/hooks/use-mobile';
+import ArticleContent from '../ArticleContent';
+import { Button } from '@/components/ui/button';
+import { Separator } from '@/components/ui/separator';
+import { ResizablePanelGroup, ResizablePanel, ResizableHandle } from '@/components/ui/resizable';
+import {
+  Bold,
+  Italic,
+  Heading1,
+  Heading2,
+  Heading3,
+  Link,
+  Code,
+  Quote,
+  List,
+  ListOrdered,
+  Image,
+  PenLine,
+  Columns2,
+  Eye
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const PREVIEW_DELAY = 300;
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+// Toolbar actions; `keys` is matched against KeyboardEvent.code with Ctrl/Cmd held
+const FORMATS = [
+  { id: 'bold', label: 'Bold', icon: Bold, keys: { code: 'KeyB' }, apply: (v, s, e) => wrapSelection(v, s, e, '**', '**', 'bold text') },
+  { id: 'italic', label: 'Italic', icon: Italic, keys: { code: 'KeyI' }, apply: (v, s, e) => wrapSelection(v, s, e, '_', '_', 'italic text') },
+  { separator: true },
+  { id: 'h1', label: 'Heading 1', icon: Heading1, keys: { code: 'Digit1', alt: true }, apply: (v, s, e) => setHeading(v, s, e, 1) },
+  { id: 'h2', label: 'Heading 2', icon: Heading2, keys: { code: 'Digit2', alt: true }, apply: (v, s, e) => setHeading(v, s, e, 2) },
+  { id: 'h3', label: 'Heading 3', icon: Heading3, keys: { code: 'Digit3', alt: true }, apply: (v, s, e) => setHeading(v, s, e, 3) },
+  { separator: true },
+  { id: 'link', label: 'Link', icon: Link, keys: { code: 'KeyK' }, apply: (v, s, e) => insertLink(v, s, e) },
+  { id: 'code', label: 'Code', icon: Code, keys: { code: 'KeyE' }, apply: insertCode },
+  { id: 'quote', label: 'Quote', icon: Quote, keys: { code: 'Period', shift: true }, apply: (v, s, e) => prefixLines(v, s, e, '> ') },
+  { id: 'ul', label: 'Bulleted list', icon: List, keys: { code: 'Digit8', shift: true }, apply: (v, s, e) => prefixLines(v, s, e, '- ') },
+  { id: 'ol', label: 'Numbered list', icon: ListOrdered, keys: { code: 'Digit7', shift: true }, apply: (v, s, e) => prefixLines(v, s, e, (i) => `${i + 1}. `, { match: /^\d+\.\s/ }) },
+  { id: 'image', label: 'Image', icon: Image, keys: { code: 'KeyI', alt: true }, apply: (v, s, e) => insertLink(v, s, e, { image: true }) }
+];
+
+const shortcutLabel = ({ code, alt, shift }) => {
+  const key = code.replace(/^Key|^Digit/, '').replace('Period', '.');
+  return [isMac ? '⌘' : 'Ctrl', alt && (isMac ? '⌥' : 'Alt'), shift && (isMac ? '⇧' : 'Shift'), key]
+    .filter(Boolean)
+    .join(isMac ? '' : '+');
+};
+
+const matchesShortcut = (event, { code, alt = false, shift = false }) =>
+  (isMac ? event.metaKey : event.ctrlKey) &&
+  event.code === code &&
+  event.altKey === alt &&
+  event.shiftKey === shift;
+
+const VIEW_MODES = [
+  { id: 'write', label: 'Write', icon: PenLine },
+  { id: 'split', label: 'Split', icon: Columns2 },
+  { id: 'preview', label: 'Preview', icon: Eye }
+];
+
+// Markdown alt text from a file name: "my-photo_2.png" -> "my photo 2"
+const altFromFileName = (name) => name.replace(/\.[^.]+$/, '').replace(/[-_]+/g, ' ').replace(/[[\]]/g, '').trim();
+
+// `onImageUpload(file)` (optional) uploads a dropped or pasted image and resolves to its URL
+const MarkdownEditor = ({ value, onChange, placeholder, rows = 20, onImageUpload }) => {
+  const isMobile = useIsMobile();
+  const textareaRef = useRef(null);
+  const pendingSelection = useRef(null);
+  // Uploads finish after further typing, so they edit the latest value rather than a stale closure
+  const valueRef = useRef(value);
+  const [mode, setMode] = useState('split');
+  const [previewHtml, setPreviewHtml] = useState('');
+  const [rendering, setRendering] = useState(false);
+
+  // Split view is too cramped on small screens
+  const activeMode = isMobile && mode === 'split' ? 'write' : mode;
+  const showPreview = activeMode !== 'write';
+
+  // Render through the API so the preview matches the published article exactly
+  useEffect(() => {
+    if (!showPreview) return;
+
+    let cancelled = false;
+    setRendering(true);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await blogAPI.previewMarkdown(value);
+        if (!cancelled) setPreviewHtml(response.data.html);
+      } catch (error) {
+        console.error('Error rendering preview:', error);
+      } finally {
+        if (!cancelled) setRendering(false);
+      }
+    }, PREVIEW_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [value, showPreview]);
+
+  useEffect(() => {
+    valueRef.current = value;
+  }, [value]);
+
+  // Restore the selection after a toolbar edit has been applied
+  useLayoutEffect(() => {
+    const textarea = textareaRef.current;
+    if (!textarea || !pendingSelection.current) return;
+    textarea.focus();
+    textarea.setSelectionRange(...pendingSelection.current);
+    pendingSelection.current = null;
+  }, [value]);
+
+  const applyFormat = (format) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+
+    const { text, selection } = format.apply(value, textarea.selectionStart, textarea.selectionEnd);
+    pendingSelection.current = selection;
+    onChange(text);
+  };
+
+  const handleKeyDown = (e) => {
+    const format = FORMATS.find(f => f.keys && matchesShortcut(e, f.keys));
+    if (format) {
+      e.preventDefault();
+      applyFormat(format);
+    }
+  };
+
+  const replaceText = (search, replacement) => {
+    const current = valueRef.current;
+    const index = current.indexOf(search);
+    if (index === -1) return;
+    const text = current.slice(0, index) + replacement + current.slice(index + search.length);
+    valueRef.current = text;
+    onChange(text);
+  };
+
+  // Insert a placeholder at the cursor for each image, then swap in the uploaded URL
+  const uploadImages = (files) => {
+    const textarea = textareaRef.current;
+    if (!textarea) return;
+
+    const images = files.filter(file => {
+      const invalid = validateImageFile(file);
+      if (invalid) toast.error(`${file.name}: ${invalid}`);
+      return !invalid;
+    });
+    if (images.length === 0) return;
+
+    const placeholders = images.map((file, index) => `![Uploading ${file.name} (${Date.now()}-${index})…]()`);
+    const { selectionStart, selectionEnd } = textarea;
+    const current = valueRef.current;
+    const inserted = placeholders.join('\n');
+    const text = current.slice(0, selectionStart) + inserted + current.slice(selectionEnd);
+    const cursor = selectionStart + inserted.length;
+    pendingSelection.current = [cursor, cursor];
+    valueRef.current = text;
+    onChange(text);
+
+    images.forEach(async (file, index) => {
+      try {
+        const url = await onImageUpload(file);
+        replaceText(placeholders[index], `![${altFromFileName(file.name)}](${url})`);
+      } catch (error) {
+        console.error('Error uploading image:', error);
+        toast.error(error.response?.data?.message || `Failed to upload ${file.name}`);
+        replaceText(placeholders[index], '');
+      }
+    });
+  };
+
+  const imageFilesFrom = (dataTransfer) =>
+    Array.from(dataTransfer?.files || []).filter(file => file.type.startsWith('image/'));
+
+  const handleDrop = (e) => {
+    if (!onImageUpload) return;
+    const files = imageFilesFrom(e.dataTransfer);
+    if (files.length === 0) return;
+    e.preventDefault();
+    // Move the cursor to where the files were dropped when the browser supports it
+    const textarea = textareaRef.current;
+    const position = document.caretPositionFromPoint?.(e.clientX, e.clientY);
+    if (position?.offsetNode === textarea) {
+      textarea.setSelectionRange(position.offset, position.offset);
+    }
+    uploadImages(files);
+  };
+
+  const handlePaste = (e) => {
+    if (!onImageUpload) return;
+    const files = imageFilesFrom(e.clipboardData);
+    if (files.length === 0) return;
+    e.preventDefault();
+    uploadImages(files);
+  };
+
+  const editorPane = (
+    <textarea
+      ref={textareaRef}
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      onKeyDown={handleKeyDown}
+      onDrop={handleDrop}
+      onPaste={handlePaste}
+      placeholder={placeholder}
+      rows={rows}
+      spellCheck
+      className="h-full w-full resize-none bg-transparent px-4 py-3 font-mono text-sm leading-relaxed focus:outline-none"
+    />
+  );
+
+  const previewPane = (
+    <div className="relative h-full overflow-y-auto px-4 py-3">
+      {rendering && (
+        <span className="absolute right-3 top-2 text-xs text-gray-400">Rendering…</span>
+      )}
+      {value.trim() ? (
+        <ArticleContent html={previewHtml} />
+      ) : (
+        <p className="text-gray-400">Nothing to preview yet</p>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="rounded-lg border border-gray-300 focus-within:ring-2 focus-within:ring-blue-500">
+      {/* Toolbar */}
+      <div className="flex flex-wrap items-center justify-between gap-2 border-b border-gray-300 px-2 py-1">
+        <div className="flex flex-wrap items-center gap-0.5">
+          {FORMATS.map((format, index) =>
+            format.separator ? (
+              <Separator key={index} orientation="vertical" className="mx-1 !h-5" />
+            ) : (
+              <Button
+                key={format.id}
+                type="button"
+                variant="ghost"
+                size="sm"
+                className="h-8 w-8 p-0"
+                title={`${format.label} (${shortcutLabel(format.keys)})`}
+                aria-label={format.label}
+                disabled={activeMode === 'preview'}
+                onClick={() => applyFormat(format)}
+              >
+                <format.icon className="h-4 w-4" />
+              </Button>
+            )
+          )}
+        </div>
+
+        <div className="flex items-center gap-0.5">
+          {VIEW_MODES.filter(({ id }) => !(isMobile && id === 'split')).map((viewMode) => (
+            <Button
+              key={viewMode.id}
+              type="button"
+              variant={activeMode === viewMode.id ? 'secondary' : 'ghost'}
+              size="sm"
+              className="h-8"
+              onClick={() => setMode(viewMode.id)}
+            >
+              <viewMode.icon className="h-4 w-4 mr-1" />
+              {viewMode.label}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      {/* Panes */}
+      <div className="h-[32rem]">
+        {activeMode === 'split' ? (
+          <ResizablePanelGroup direction="horizontal">
+            <ResizablePanel defaultSize={50} minSize={25}>
+              {editorPane}
+            </ResizablePanel>
+            <ResizableHandle withHandle />
+            <ResizablePanel defaultSize={50} minSize={25}>
+              {previewPane}
+            </ResizablePanel>
+          </ResizablePanelGroup>
+        ) : activeMode === 'write' ? (
+          editorPane
+        ) : (
+          previewPane
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MarkdownEditor;
@@ -0,0 +1,247 @@
+import React, { useState, useEffect } from 'react';
+import { blogAPI } from '../../lib/api';
+import { diffWords, collapseUnchanged } from '../../lib/diff';
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from '@/components/ui/sheet';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { cn } from '@/lib/utils';
+import { History, RotateCcw } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const FIELD_LABELS = {
+  title: 'Title',
+  excerpt: 'Excerpt',
+  category: 'Category',
+  tags: 'Tags',
+  featuredImage: 'Featured image',
+  content: 'Content',
+  status: 'Status'
+};
+
+const fieldText = (revision, field) =>
+  field === 'tags' ? (revision.tags || []).join(', ') : revision[field] || '';
+
+const describeRevision = (revision) => {
+  if (revision.restoredFrom) return `Restored revision ${revision.restoredFrom}`;
+  if (revision.changedFields.length === 0) return 'Original version';
+  return `Changed ${revision.changedFields.map(field => FIELD_LABELS[field]?.toLowerCase() || field).join(', ')}`;
+};
+
+const DiffText = ({ before, after }) => {
+  const segments = collapseUnchanged(diffWords(before, after));
+  return (
+    <p className="text-sm leading-relaxed whitespace-pre-wrap break-words">
+      {segments.map((segment, index) =>
+        segment.type === 'insert' ? (
+          <ins key={index} className="bg-green-100 text-green-900 no-underline rounded-sm">{segment.text}</ins>
+        ) : segment.type === 'delete' ? (
+          <del key={index} className="bg-red-100 text-red-900 rounded-sm">{segment.text}</del>
+        ) : (
+          <span key={index} className={cn(segment.collapsed && 'text-muted-foreground')}>{segment.text}</span>
+        )
+      )}
+    </p>
+  );
+};
+
+// Side drawer listing a blog's revisions with a word-level diff between any
+// two of them. `onRestore(blog)` receives the blog after a restore, and
+// `onConflict(blog)` the newer copy when `version` turns out to be stale.
+const RevisionHistory = ({ blogId, version, isDirty, open, onOpenChange, onRestore, onConflict }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedId, setSelectedId] = useState(null);
+  const [compareId, setCompareId] = useState(null);
+  const [details, setDetails] = useState({});
+  const [restoring, setRestoring] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+
+  // Load the list each time the drawer opens, selecting the latest change
+  useEffect(() => {
+    if (!open) return;
+
+    const fetchRevisions = async () => {
+      setLoading(true);
+      try {
+        const response = await blogAPI.getRevisions(blogId);
+        const list = response.data.revisions;
+        setRevisions(list);
+        setSelectedId(list[0]?._id || null);
+        setCompareId(list[1]?._id || null);
+      } catch (error) {
+        console.error('Error fetching revisions:', error);
+        toast.error('Failed to load revision history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchRevisions();
+  }, [open, blogId, reloadKey]);
+
+  // Revisions are immutable, so full copies are fetched once and cached
+  useEffect(() => {
+    const missing = [selectedId, compareId].filter(revisionId => revisionId && !details[revisionId]);
+    if (missing.length === 0) return;
+
+    const fetchDetails = async () => {
+      try {
+        const responses = await Promise.all(missing.map(revisionId => blogAPI.getRevision(blogId, revisionId)));
+        setDetails(prev => ({
+          ...prev,
+          ...Object.fromEntries(responses.map(response => [response.data.revision._id, response.data.revision]))
+        }));
+      } catch (error) {
+        console.error('Error fetching revision:', error);
+        toast.error('Failed to load revision');
+      }
+    };
+
+    fetchDetails();
+  }, [blogId, selectedId, compareId, details]);
+
+  const handleSelect = (revisionId) => {
+    setSelectedId(revisionId);
+    const index = revisions.findIndex(revision => revision._id === revisionId);
+    setCompareId(revisions[index + 1]?._id || null);
+  };
+
+  const selected = revisions.find(revision => revision._id === selectedId);
+  const isLatest = selectedId === revisions[0]?._id;
+
+  const handleRestore = async () => {
+    const prompt = isDirty
+      ? `Restore revision ${selected.number}? Your unsaved changes will be lost; the last saved version stays in the history.`
+      : `Restore revision ${selected.number}? Your current version stays in the history.`;
+    if (!window.confirm(prompt)) {
+      return;
+    }
+
+    setRestoring(true);
+    try {
+      const response = await blogAPI.restoreRevision(blogId, selectedId, { version });
+      toast.success(response.data.message);
+      onRestore(response.data.blog);
+      setReloadKey(key => key + 1);
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      if (error.response?.status === 409) {
+        onConflict(error.response.data.blog);
+        onOpenChange(false);
+      }
+      toast.error(error.response?.data?.message || 'Failed to restore revision');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const after = details[selectedId];
+  const before = compareId ? details[compareId] : null;
+  const changedFields = after
+    ? Object.keys(FIELD_LABELS).filter(field => fieldText(after, field) !== (before ? fieldText(before, field) : ''))
+    : [];
+
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="w-full sm:max-w-2xl overflow-y-auto">
+        <SheetHeader>
+          <SheetTitle className="flex items-center">
+            <History className="h-5 w-5 mr-2" />
+            Revision history
+          </SheetTitle>
+          <SheetDescription>
+            Every save is kept. Pick a revision to see what changed, or restore it.
+          </SheetDescription>
+        </SheetHeader>
+
+        <div className="px-4 pb-6 space-y-6">
+          {loading ? (
+            <p className="text-sm text-muted-foreground">Loading history...</p>
+          ) : revisions.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No revisions yet. One is recorded every time you save.</p>
+          ) : (
+            <>
+              {/* Revision list */}
+              <ul className="max-h-64 overflow-y-auto rounded-lg border divide-y">
+                {revisions.map((revision, index) => (
+                  <li key={revision._id}>
+                    <button
+                      type="button"
+                      onClick={() => handleSelect(revision._id)}
+                      className={cn(
+                        'w-full px-3 py-2 text-left text-sm hover:bg-muted',
+                        revision._id === selectedId && 'bg-muted'
+                      )}
+                    >
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="font-medium">Revision {revision.number}</span>
+                        {index === 0 && <Badge variant="secondary">Current</Badge>}
+                      </div>
+                      <p className="text-xs text-muted-foreground">
+                        {new Date(revision.createdAt).toLocaleString()} · {revision.editor?.fullName || 'Unknown'}
+                      </p>
+                      <p className="text-xs text-muted-foreground truncate">{describeRevision(revision)}</p>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+
+              {/* Comparison */}
+              {selected && (
+                <div className="space-y-4">
+                  <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span>Revision {selected.number} compared with</span>
+                    <Select
+                      value={compareId || 'none'}
+                      onValueChange={(value) => setCompareId(value === 'none' ? null : value)}
+                    >
+                      <SelectTrigger size="sm">
+                        <SelectValue />
+                      </SelectTrigger>
+                      <SelectContent>
+                        <SelectItem value="none">Nothing (show full text)</SelectItem>
+                        {revisions
+                          .filter(revision => revision._id !== selectedId)
+                          .map(revision => (
+                            <SelectItem key={revision._id} value={revision._id}>
+                              Revision {revision.number}
+                            </SelectItem>
+                          ))}
+                      </SelectContent>
+                    </Select>
+                    {!isLatest && (
+                      <Button size="sm" className="ml-auto" onClick={handleRestore} disabled={restoring}>
+                        <RotateCcw className="h-4 w-4 mr-1" />
+                        {restoring ? 'Restoring...' : 'Restore this revision'}
+                      </Button>
+                    )}
+                  </div>
+
+                  {!after || (compareId && !before) ? (
+                    <p className="text-sm text-muted-foreground">Loading revision...</p>
+                  ) : changedFields.length === 0 ? (
+                    <p className="text-sm text-muted-foreground">These revisions are identical.</p>
+                  ) : (
+                    changedFields.map(field => (
+                      <div key={field}>
+                        <h4 className="text-xs font-semibold uppercase tracking-wide text-muted-foreground mb-1">
+                          {FIELD_LABELS[field]}
+                        </h4>
+                        <div className="rounded-md border p-3 font-mono">
+                          <DiffText before={before ? fieldText(before, field) : ''} after={fieldText(after, field)} />
+                        </div>
+                      </div>
+                    ))
+                  )}
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </SheetContent>
+    </Sheet>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+import { Calendar } from '@/components/ui/calendar';
+import { Popover, PopoverContent, PopoverTrigger } from '@/components/ui/popover';
+import { Button } from '@/components/ui/button';
+import { CalendarClock } from 'lucide-react';
+
+// Tomorrow at 09:00, a sensible first suggestion
+const defaultScheduleDate = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(9, 0, 0, 0);
+  return date;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const formatSchedule = (date) =>
+  date.toLocaleString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+// Date and time picker for queueing an article. `value` is the saved schedule
+// (a Date or null); `onConfirm(date)` is called when the author clicks Schedule.
+// The date being picked stays local until then, so browsing changes nothing.
+const SchedulePicker = ({ value, onConfirm, disabled }) => {
+  const [open, setOpen] = useState(false);
+  const [pending, setPending] = useState(null);
+  const date = pending || value || defaultScheduleDate();
+  const isPast = date <= new Date();
+
+  const handleDaySelect = (day) => {
+    if (!day) return;
+    const next = new Date(day);
+    next.setHours(date.getHours(), date.getMinutes(), 0, 0);
+    setPending(next);
+  };
+
+  const handleTimeChange = (e) => {
+    const [hours, minutes] = e.target.value.split(':').map(Number);
+    if (Number.isNaN(hours) || Number.isNaN(minutes)) return;
+    const next = new Date(date);
+    next.setHours(hours, minutes, 0, 0);
+    setPending(next);
+  };
+
+  // Closing without scheduling drops the picked date
+  const handleOpenChange = (next) => {
+    setOpen(next);
+    if (!next) setPending(null);
+  };
+
+  const handleConfirm = () => {
+    handleOpenChange(false);
+    onConfirm(date);
+  };
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  return (
+    <Popover open={open} onOpenChange={handleOpenChange}>
+      <PopoverTrigger asChild>
+        <button
+          type="button"
+          disabled={disabled}
+          className="px-6 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 inline-flex items-center"
+        >
+          <CalendarClock className="h-4 w-4 mr-2" />
+          {value ? 'Reschedule' : 'Schedule'}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent className="w-auto p-0" align="end">
+        <Calendar
+          mode="single"
+          selected={date}
+          onSelect={handleDaySelect}
+          disabled={{ before: today }}
+          initialFocus
+        />
+        <div className="border-t p-3 space-y-3">
+          <label className="flex items-center justify-between gap-3 text-sm">
+            <span className="font-medium">Time</span>
+            <input
+              type="time"
+              value={`${pad(date.getHours())}:${pad(date.getMinutes())}`}
+              onChange={handleTimeChange}
+              className="px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+          <p className={`text-xs ${isPast ? 'text-red-500' : 'text-gray-500'}`}>
+            {isPast ? 'Pick a time in the future' : `Goes live ${formatSchedule(date)}`}
+          </p>
+          <Button type="button" size="sm" className="w-full" disabled={isPast} onClick={handleConfirm}>
+            Schedule
+          </Button>
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default SchedulePicker;
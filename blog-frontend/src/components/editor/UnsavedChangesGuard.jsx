@@ -0,0 +1,60 @@
+import React, { useEffect } from 'react';
+import { useBlocker } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import {
+  AlertDialog,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+
+// Asks before leaving the page while `when` is true: a confirmation dialog for
+// in-app navigation and the browser's own prompt for reloads and closed tabs.
+// Navigations with `state.skipUnsavedGuard` (e.g. right after saving) pass through.
+const UnsavedChangesGuard = ({ when, description }) => {
+  const blocker = useBlocker(({ currentLocation, nextLocation }) =>
+    when &&
+    !nextLocation.state?.skipUnsavedGuard &&
+    currentLocation.pathname !== nextLocation.pathname
+  );
+
+  useEffect(() => {
+    if (!when) return;
+
+    const handleBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = '';
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [when]);
+
+  return (
+    <AlertDialog
+      open={blocker.state === 'blocked'}
+      onOpenChange={(open) => {
+        if (!open && blocker.state === 'blocked') blocker.reset();
+      }}
+    >
+      <AlertDialogContent>
+        <AlertDialogHeader>
+          <AlertDialogTitle>Leave without saving?</AlertDialogTitle>
+          <AlertDialogDescription>
+            {description || 'You have unsaved changes that will be lost if you leave this page.'}
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+        <AlertDialogFooter>
+          <AlertDialogCancel>Stay on page</AlertDialogCancel>
+          {/* Not an AlertDialogAction: closing the dialog would reset the blocker */}
+          <Button onClick={() => blocker.proceed()}>Leave</Button>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  );
+};
+
+export default UnsavedChangesGuard;
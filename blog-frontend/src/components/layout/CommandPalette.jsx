@@ -0,0 +1,171 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { blogAPI } from '../../lib/api';
+import {
+  CommandDialog,
+  CommandEmpty,
+  CommandGroup,
+  CommandInput,
+  CommandItem,
+  CommandList,
+  CommandSeparator,
+  CommandShortcut,
+} from '@/components/ui/command';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { FileText, Hash, Search, PenTool, LayoutDashboard, Settings, BookOpen } from 'lucide-react';
+
+const SUGGEST_DELAY = 200;
+
+const emptySuggestions = { articles: [], authors: [], tags: [] };
+
+const CommandPalette = ({ open, onOpenChange }) => {
+  const { isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState(emptySuggestions);
+  const [loading, setLoading] = useState(false);
+
+  // Fetch suggestions as the user types, dropping responses for stale queries
+  useEffect(() => {
+    const q = query.trim();
+    if (!q) {
+      setSuggestions(emptySuggestions);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    const timer = setTimeout(async () => {
+      try {
+        const response = await blogAPI.getSuggestions(q);
+        if (!cancelled) setSuggestions(response.data);
+      } catch (error) {
+        console.error('Error fetching suggestions:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, SUGGEST_DELAY);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query]);
+
+  // Start fresh each time the palette opens
+  useEffect(() => {
+    if (!open) setQuery('');
+  }, [open]);
+
+  const go = (path) => {
+    onOpenChange(false);
+    navigate(path);
+  };
+
+  const quickActions = [
+    { label: 'Browse all articles', icon: BookOpen, path: '/blogs' },
+    ...(isAuthenticated
+      ? [
+          { label: 'New article', icon: PenTool, path: '/create' },
+          { label: 'Dashboard', icon: LayoutDashboard, path: '/dashboard' },
+          { label: 'Profile', icon: Settings, path: '/profile' },
+        ]
+      : []),
+  ];
+
+  const { articles, authors, tags } = suggestions;
+  const q = query.trim();
+
+  return (
+    <CommandDialog
+      open={open}
+      onOpenChange={onOpenChange}
+      title="Search"
+      description="Search articles, authors and tags"
+    >
+      <CommandInput
+        placeholder="Search articles, authors and tags..."
+        value={query}
+        onValueChange={setQuery}
+      />
+      <CommandList>
+        <CommandEmpty>{loading ? 'Searching...' : 'No results found.'}</CommandEmpty>
+
+        {q && (
+          <CommandGroup heading="Search">
+            <CommandItem value={`search ${q}`} onSelect={() => go(`/blogs?search=${encodeURIComponent(q)}`)}>
+              <Search />
+              Search all articles for “{q}”
+            </CommandItem>
+          </CommandGroup>
+        )}
+
+        {articles.length > 0 && (
+          <CommandGroup heading="Articles">
+            {articles.map(article => (
+              <CommandItem
+                key={article._id}
+                value={`article ${article.slug}`}
+                keywords={[article.title, article.category]}
+                onSelect={() => go(`/blog/${article.slug}`)}
+              >
+                <FileText />
+                <span className="truncate">{article.title}</span>
+                <CommandShortcut>{article.category}</CommandShortcut>
+              </CommandItem>
+            ))}
+          </CommandGroup>
+        )}
+
+        {authors.length > 0 && (
+          <CommandGroup heading="Authors">
+            {authors.map(author => (
+              <CommandItem
+                key={author._id}
+                value={`author ${author.username}`}
+                keywords={[author.fullName]}
+                onSelect={() => go(`/author/${author.username}`)}
+              >
+                <Avatar className="h-5 w-5">
+                  <AvatarImage src={author.avatar} alt={author.fullName} />
+                  <AvatarFallback className="text-[10px]">{author.fullName?.[0]}</AvatarFallback>
+                </Avatar>
+                <span>{author.fullName}</span>
+                <span className="text-muted-foreground">@{author.username}</span>
+              </CommandItem>
+            ))}
+          </CommandGroup>
+        )}
+
+        {tags.length > 0 && (
+          <CommandGroup heading="Tags">
+            {tags.map(tag => (
+              <CommandItem
+                key={tag.name}
+                value={`tag ${tag.name}`}
+                onSelect={() => go(`/blogs?tag=${encodeURIComponent(tag.name)}`)}
+              >
+                <Hash />
+                {tag.name}
+                <CommandShortcut>{tag.count}</CommandShortcut>
+              </CommandItem>
+            ))}
+          </CommandGroup>
+        )}
+
+        <CommandSeparator />
+        <CommandGroup heading="Quick actions">
+          {quickActions.map(action => (
+            <CommandItem key={action.path} value={`action ${action.label}`} onSelect={() => go(action.path)}>
+              <action.icon />
+              {action.label}
+            </CommandItem>
+          ))}
+        </CommandGroup>
+      </CommandList>
+    </CommandDialog>
+  );
+};
+
+export default CommandPalette;
@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { authAPI } from '../../lib/api';
+import { Button } from '@/components/ui/button';
+import { MailWarning } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Shown to signed-in users until they confirm their email; publishing and
+// commenting are refused by the API until then.
+const EmailVerificationBanner = () => {
+  const { user, isAuthenticated } = useAuth();
+  const [sending, setSending] = useState(false);
+
+  if (!isAuthenticated || !user || user.emailVerified) return null;
+
+  const handleResend = async () => {
+    setSending(true);
+    try {
+      const response = await authAPI.resendVerification();
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to send verification email');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="border-b border-amber-200 bg-amber-50 text-amber-900">
+      <div className="container mx-auto flex flex-col gap-2 px-4 py-2 text-sm sm:flex-row sm:items-center sm:justify-between">
+        <div className="flex items-center gap-2">
+          <MailWarning className="h-4 w-4 shrink-0" />
+          <span>
+            Please verify your email address ({user.email}). Until then you can write drafts, but you can't publish articles or comment.
+          </span>
+        </div>
+        <Button
+          variant="outline"
+          size="sm"
+          className="shrink-0 border-amber-300 bg-transparent hover:bg-amber-100"
+          onClick={handleResend}
+          disabled={sending}
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
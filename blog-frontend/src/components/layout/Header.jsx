@@ -1,6 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
+import CommandPalette from './CommandPalette';
 import { Button } from '@/components/ui/button';
 import {
   DropdownMenu,
@@ -18,14 +19,34 @@ import {
   X,
   Home,
   BookOpen,
-  Settings
+  Settings,
+  Search,
+  Shield
 } from 'lucide-react';
 
+const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
 const Header = () => {
   const { user, isAuthenticated, logout } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+
+  // Ctrl+K / Cmd+K opens the command palette from anywhere
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      // Editors that bind the same shortcut (e.g. MarkdownEditor's link) have already handled it
+      if (e.defaultPrevented) return;
+      if ((isMac ? e.metaKey : e.ctrlKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setPaletteOpen(open => !open);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
 
   const handleLogout = () => {
     logout();
@@ -69,6 +90,19 @@ const Header = () => {
 
           {/* Desktop Auth Section */}
           <div className="hidden md:flex items-center space-x-4">
+            <Button
+              variant="outline"
+              size="sm"
+              className="w-48 justify-start text-muted-foreground"
+              onClick={() => setPaletteOpen(true)}
+            >
+              <Search className="h-4 w-4 mr-2" />
+              <span className="flex-1 text-left">Search...</span>
+              <kbd className="pointer-events-none rounded border bg-muted px-1.5 font-mono text-[10px]">
+                {isMac ? '⌘K' : 'Ctrl K'}
+              </kbd>
+            </Button>
+
             {isAuthenticated ? (
               <>
                 <Button asChild variant="outline" size="sm">
@@ -111,6 +145,14 @@ const Header = () => {
                         Profile
                       </Link>
                     </DropdownMenuItem>
+                    {user?.role === 'admin' && (
+                      <DropdownMenuItem asChild>
+                        <Link to="/admin" className="cursor-pointer">
+                          <Shield className="mr-2 h-4 w-4" />
+                          Admin
+                        </Link>
+                      </DropdownMenuItem>
+                    )}
                     <DropdownMenuSeparator />
                     <DropdownMenuItem onClick={handleLogout} className="cursor-pointer">
                       <LogOut className="mr-2 h-4 w-4" />
@@ -131,15 +173,24 @@ const Header = () => {
             )}
           </div>
 
-          {/* Mobile Menu Button */}
-          <Button
-            variant="ghost"
-            size="sm"
-            className="md:hidden"
-            onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
-          >
-            {mobileMenuOpen ? <X className="h-5 w-5" /> : <Menu className="h-5 w-5" />}
-          </Button>
+          {/* Mobile Buttons */}
+          <div className="flex items-center md:hidden">
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setPaletteOpen(true)}
+              aria-label="Search"
+            >
+              <Search className="h-5 w-5" />
+            </Button>
+            <Button
+              variant="ghost"
+              size="sm"
+              onClick={() => setMobileMenuOpen(!mobileMenuOpen)}
+            >
+              {mobileMenuOpen ? <X className="h-5 w-5" /> : <Menu className="h-5 w-5" />}
+            </Button>
+          </div>
         </div>
 
         {/* Mobile Navigation */}
@@ -178,6 +229,16 @@ const Header = () => {
                     <User className="h-4 w-4" />
                     <span>Dashboard</span>
                   </Link>
+                  {user?.role === 'admin' && (
+                    <Link
+                      to="/admin"
+                      className="flex items-center space-x-2 px-2 py-1 text-sm font-medium text-muted-foreground hover:text-primary"
+                      onClick={() => setMobileMenuOpen(false)}
+                    >
+                      <Shield className="h-4 w-4" />
+                      <span>Admin</span>
+                    </Link>
+                  )}
                   <button
                     onClick={() => {
                       handleLogout();
@@ -207,6 +268,7 @@ const Header = () => {
           </div>
         )}
       </div>
+      <CommandPalette open={paletteOpen} onOpenChange={setPaletteOpen} />
     </header>
   );
 };
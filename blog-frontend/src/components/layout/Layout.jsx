@@ -1,11 +1,13 @@
 import React from 'react';
 import Header from './Header';
 import Footer from './Footer';
+import EmailVerificationBanner from './EmailVerificationBanner';
 
 const Layout = ({ children }) => {
   return (
     <div className="min-h-screen flex flex-col">
       <Header />
+      <EmailVerificationBanner />
       <main className="flex-1">
         {children}
       </main>
@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Mail } from 'lucide-react';
+
+const EMPTY_FORM = { email: '', currentPassword: '' };
+
+const ChangeEmailCard = () => {
+  const { user, changeEmail } = useAuth();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.email) {
+      newErrors.email = 'Email is required';
+    } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
+      newErrors.email = 'Email is invalid';
+    } else if (formData.email.toLowerCase() === user.email) {
+      newErrors.email = 'That is already your email address';
+    }
+    if (!formData.currentPassword) {
+      newErrors.currentPassword = 'Current password is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    setSaving(true);
+    const result = await changeEmail(formData);
+    if (result.success) {
+      setFormData(EMPTY_FORM);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Email Address</CardTitle>
+        <CardDescription>
+          You'll need to verify a new address before you can publish or comment again
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex items-center gap-2 text-sm">
+          <Mail className="h-4 w-4 text-muted-foreground" />
+          <span>{user.email}</span>
+          {user.emailVerified ? (
+            <Badge variant="secondary">Verified</Badge>
+          ) : (
+            <Badge variant="outline" className="border-amber-300 text-amber-700">Unverified</Badge>
+          )}
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4 max-w-md">
+          <div>
+            <Label htmlFor="newEmail">New Email</Label>
+            <Input
+              id="newEmail"
+              name="email"
+              type="email"
+              autoComplete="email"
+              value={formData.email}
+              onChange={handleChange}
+              className={`mt-1 ${errors.email ? 'border-destructive' : ''}`}
+              disabled={saving}
+            />
+            {errors.email && (
+              <p className="text-sm text-destructive mt-1">{errors.email}</p>
+            )}
+          </div>
+          <div>
+            <Label htmlFor="emailCurrentPassword">Current Password</Label>
+            <Input
+              id="emailCurrentPassword"
+              name="currentPassword"
+              type="password"
+              autoComplete="current-password"
+              value={formData.currentPassword}
+              onChange={handleChange}
+              className={`mt-1 ${errors.currentPassword ? 'border-destructive' : ''}`}
+              disabled={saving}
+            />
+            {errors.currentPassword && (
+              <p className="text-sm text-destructive mt-1">{errors.currentPassword}</p>
+            )}
+          </div>
+          <Button type="submit" disabled={saving}>
+            {saving ? 'Saving...' : 'Change Email'}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ChangeEmailCard;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+
+const EMPTY_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+
+const ChangePasswordCard = () => {
+  const { changePassword } = useAuth();
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [errors, setErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.currentPassword) {
+      newErrors.currentPassword = 'Current password is required';
+    }
+    if (formData.newPassword.length < 6) {
+      newErrors.newPassword = 'New password must be at least 6 characters';
+    }
+    if (formData.newPassword !== formData.confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!validateForm()) return;
+
+    setSaving(true);
+    const result = await changePassword({
+      currentPassword: formData.currentPassword,
+      newPassword: formData.newPassword
+    });
+    if (result.success) {
+      setFormData(EMPTY_FORM);
+    }
+    setSaving(false);
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Change Password</CardTitle>
+        <CardDescription>
+          Changing your password signs you out on every other device
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4 max-w-md">
+          <div>
+            <Label htmlFor="currentPassword">Current Password</Label>
+            <Input
+              id="currentPassword"
+              name="currentPassword"
+              type="password"
+              autoComplete="current-password"
+              value={formData.currentPassword}
+              onChange={handleChange}
+              className={`mt-1 ${errors.currentPassword ? 'border-destructive' : ''}`}
+              disabled={saving}
+            />
+            {errors.currentPassword && (
+              <p className="text-sm text-destructive mt-1">{errors.currentPassword}</p>
+            )}
+          </div>
+          <div>
+            <Label htmlFor="newPassword">New Password</Label>
+            <Input
+              id="newPassword"
+              name="newPassword"
+              type="password"
+              autoComplete="new-password"
+              value={formData.newPassword}
+              onChange={handleChange}
+              className={`mt-1 ${errors.newPassword ? 'border-destructive' : ''}`}
+              disabled={saving}
+            />
+            {errors.newPassword && (
+              <p className="text-sm text-destructive mt-1">{errors.newPassword}</p>
+            )}
+          </div>
+          <div>
+            <Label htmlFor="confirmPassword">Confirm New Password</Label>
+            <Input
+              id="confirmPassword"
+              name="confirmPassword"
+              type="password"
+              autoComplete="new-password"
+              value={formData.confirmPassword}
+              onChange={handleChange}
+              className={`mt-1 ${errors.confirmPassword ? 'border-destructive' : ''}`}
+              disabled={saving}
+            />
+            {errors.confirmPassword && (
+              <p className="text-sm text-destructive mt-1">{errors.confirmPassword}</p>
+            )}
+          </div>
+          <Button type="submit" disabled={saving}>
+            {saving ? 'Saving...' : 'Change Password'}
+          </Button>
+        </form>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default ChangePasswordCard;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { useAuth } from '../../contexts/AuthContext';
+import { authAPI } from '../../lib/api';
+import { describeUserAgent, isMobileUserAgent } from '../../lib/userAgent';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogTrigger,
+} from '@/components/ui/alert-dialog';
+import { LogOut, Monitor, Smartphone } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const SessionsCard = () => {
+  const { logout, logoutEverywhere } = useAuth();
+  const navigate = useNavigate();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [revokingId, setRevokingId] = useState(null);
+  const [loggingOut, setLoggingOut] = useState(false);
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const response = await authAPI.getSessions();
+        setSessions(response.data.sessions);
+      } catch (error) {
+        console.error('Error fetching sessions:', error);
+        toast.error('Failed to load sessions');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchSessions();
+  }, []);
+
+  const handleRevoke = async (session) => {
+    setRevokingId(session.id);
+    try {
+      await authAPI.revokeSession(session.id);
+      if (session.current) {
+        await logout();
+        navigate('/login');
+        return;
+      }
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+      toast.success('Session revoked');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke session');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    setLoggingOut(true);
+    const result = await logoutEverywhere();
+    setLoggingOut(false);
+    if (result.success) {
+      navigate('/login');
+    }
+  };
+
+  const formatRelative = (date) => formatDistanceToNow(new Date(date), { addSuffix: true });
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Sessions</CardTitle>
+        <CardDescription>
+          Devices signed in to your account. Revoke any you don't recognise.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {loading ? (
+          <div className="space-y-2 animate-pulse">
+            {[0, 1].map((i) => (
+              <div key={i} className="h-10 bg-muted rounded-md"></div>
+            ))}
+          </div>
+        ) : sessions.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No active sessions.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Device</TableHead>
+                <TableHead>IP Address</TableHead>
+                <TableHead>Signed In</TableHead>
+                <TableHead>Last Active</TableHead>
+                <TableHead className="text-right"><span className="sr-only">Actions</span></TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {sessions.map((session) => (
+                <TableRow key={session.id}>
+                  <TableCell>
+                    <div className="flex items-center gap-2" title={session.userAgent}>
+                      {isMobileUserAgent(session.userAgent) ? (
+                        <Smartphone className="h-4 w-4 text-muted-foreground" />
+                      ) : (
+                        <Monitor className="h-4 w-4 text-muted-foreground" />
+                      )}
+                      <span>{describeUserAgent(session.userAgent)}</span>
+                      {session.current && <Badge variant="secondary">This device</Badge>}
+                    </div>
+                  </TableCell>
+                  <TableCell className="text-muted-foreground">{session.ip || '—'}</TableCell>
+                  <TableCell className="text-muted-foreground">
+                    {new Date(session.createdAt).toLocaleDateString()}
+                  </TableCell>
+                  <TableCell className="text-muted-foreground">
+                    {session.current ? 'Now' : formatRelative(session.lastSeenAt)}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => handleRevoke(session)}
+                      disabled={revokingId === session.id}
+                    >
+                      {session.current ? 'Log out' : 'Revoke'}
+                    </Button>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+
+        <AlertDialog>
+          <AlertDialogTrigger asChild>
+            <Button variant="outline" disabled={loggingOut}>
+              <LogOut className="h-4 w-4 mr-2" />
+              {loggingOut ? 'Logging out...' : 'Log out everywhere'}
+            </Button>
+          </AlertDialogTrigger>
+          <AlertDialogContent>
+            <AlertDialogHeader>
+              <AlertDialogTitle>Log out on all devices?</AlertDialogTitle>
+              <AlertDialogDescription>
+                Every session, including this one, will be signed out. You'll need to log in again.
+              </AlertDialogDescription>
+            </AlertDialogHeader>
+            <AlertDialogFooter>
+              <AlertDialogCancel>Cancel</AlertDialogCancel>
+              <AlertDialogAction onClick={handleLogoutEverywhere}>
+                Log out everywhere
+              </AlertDialogAction>
+            </AlertDialogFooter>
+          </AlertDialogContent>
+        </AlertDialog>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default SessionsCard;
@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { REGEXP_ONLY_DIGITS } from 'input-otp';
+import { useAuth } from '../../contexts/AuthContext';
+import { authAPI } from '../../lib/api';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '@/components/ui/input-otp';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Copy, Download, ShieldCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const CodeInput = ({ value, onChange, disabled }) => (
+  <InputOTP
+    maxLength={6}
+    pattern={REGEXP_ONLY_DIGITS}
+    value={value}
+    onChange={onChange}
+    disabled={disabled}
+  >
+    <InputOTPGroup>
+      {[0, 1, 2, 3, 4, 5].map((slot) => (
+        <InputOTPSlot key={slot} index={slot} />
+      ))}
+    </InputOTPGroup>
+  </InputOTP>
+);
+
+// Recovery codes are only ever shown right after they're generated
+const RecoveryCodes = ({ codes, onDone }) => {
+  const text = codes.join('\n');
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      toast.success('Recovery codes copied');
+    } catch {
+      toast.error('Failed to copy recovery codes');
+    }
+  };
+
+  const handleDownload = () => {
+    const url = URL.createObjectURL(new Blob([`${text}\n`], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'bloghub-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-muted-foreground">
+        Save these recovery codes somewhere safe. Each one signs you in once if you lose access to your
+        authenticator app. They won't be shown again.
+      </p>
+      <div className="grid grid-cols-2 gap-2 rounded-md bg-muted p-4 font-mono text-sm max-w-sm">
+        {codes.map((code) => (
+          <span key={code}>{code}</span>
+        ))}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+          <Copy className="h-4 w-4 mr-2" />
+          Copy
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={handleDownload}>
+          <Download className="h-4 w-4 mr-2" />
+          Download
+        </Button>
+        <Button type="button" size="sm" onClick={onDone}>
+          I've saved them
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactorCard = () => {
+  const { setTwoFactorEnabled } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [dialog, setDialog] = useState(null); // 'disable' | 'regenerate'
+  const [dialogForm, setDialogForm] = useState({ password: '', code: '' });
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await authAPI.getTwoFactorStatus();
+        setStatus(response.data);
+      } catch (error) {
+        console.error('Error fetching two-factor status:', error);
+        toast.error('Failed to load two-factor settings');
+      }
+    };
+
+    fetchStatus();
+  }, []);
+
+  const handleStartSetup = async () => {
+    setBusy(true);
+    try {
+      const response = await authAPI.setupTwoFactor();
+      setSetup(response.data);
+      setCode('');
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to start two-factor setup');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const response = await authAPI.enableTwoFactor(code);
+      setSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      setStatus({ enabled: true, recoveryCodesRemaining: response.data.recoveryCodes.length });
+      setTwoFactorEnabled(true);
+      toast.success(response.data.message);
+    } catch (error) {
+      setCode('');
+      toast.error(error.response?.data?.message || 'Failed to enable two-factor authentication');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openDialog = (name) => {
+    setDialogForm({ password: '', code: '' });
+    setDialog(name);
+  };
+
+  const handleDialogSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      if (dialog === 'disable') {
+        const response = await authAPI.disableTwoFactor(dialogForm);
+        setStatus({ enabled: false, recoveryCodesRemaining: 0 });
+        setTwoFactorEnabled(false);
+        toast.success(response.data.message);
+      } else {
+        const response = await authAPI.regenerateRecoveryCodes(dialogForm.code);
+        setRecoveryCodes(response.data.recoveryCodes);
+        setStatus(prev => ({ ...prev, recoveryCodesRemaining: response.data.recoveryCodes.length }));
+        toast.success(response.data.message);
+      }
+      setDialog(null);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderBody = () => {
+    if (recoveryCodes) {
+      return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+    }
+
+    if (setup) {
+      return (
+        <form onSubmit={handleEnable} className="space-y-4">
+          <p className="text-sm text-muted-foreground">
+            Scan this QR code with an authenticator app such as Google Authenticator, 1Password or Authy,
+            then enter the 6-digit code it shows.
+          </p>
+          <div className="flex flex-col gap-4 sm:flex-row sm:items-center">
+            <a href={setup.otpauthUri} className="w-fit rounded-md border bg-white p-3">
+              <QRCodeSVG value={setup.otpauthUri} size={160} />
+            </a>
+            <div className="space-y-1 text-sm">
+              <p className="text-muted-foreground">Can't scan it? Enter this key instead:</p>
+              <code className="block break-all rounded bg-muted px-2 py-1 font-mono">
+                {setup.secret.match(/.{1,4}/g).join(' ')}
+              </code>
+            </div>
+          </div>
+          <div className="space-y-2">
+            <Label>Verification code</Label>
+            <CodeInput value={code} onChange={setCode} disabled={busy} />
+          </div>
+          <div className="flex gap-2">
+            <Button type="submit" disabled={busy || code.length !== 6}>
+              {busy ? 'Verifying...' : 'Turn on'}
+            </Button>
+            <Button type="button" variant="outline" onClick={() => setSetup(null)} disabled={busy}>
+              Cancel
+            </Button>
+          </div>
+        </form>
+      );
+    }
+
+    if (status?.enabled) {
+      return (
+        <div className="space-y-4">
+          <p className="text-sm text-muted-foreground">
+            You'll be asked for a code from your authenticator app when you sign in.
+            {' '}{status.recoveryCodesRemaining} recovery {status.recoveryCodesRemaining === 1 ? 'code' : 'codes'} left.
+          </p>
+          <div className="flex flex-wrap gap-2">
+            <Button variant="outline" onClick={() => openDialog('regenerate')}>
+              New recovery codes
+            </Button>
+            <Button variant="outline" className="text-destructive" onClick={() => openDialog('disable')}>
+              Turn off
+            </Button>
+          </div>
+        </div>
+      );
+    }
+
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Protect your account with a code from an authenticator app in addition to your password.
+        </p>
+        <Button onClick={handleStartSetup} disabled={busy || !status}>
+          <ShieldCheck className="h-4 w-4 mr-2" />
+          Set up two-factor authentication
+        </Button>
+      </div>
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          Two-Factor Authentication
+          {status?.enabled && <Badge variant="secondary">On</Badge>}
+        </CardTitle>
+        <CardDescription>Require a one-time code from your phone when signing in</CardDescription>
+      </CardHeader>
+      <CardContent>
+        {renderBody()}
+
+        <Dialog open={dialog !== null} onOpenChange={(open) => !open && setDialog(null)}>
+          <DialogContent>
+            <form onSubmit={handleDialogSubmit} className="space-y-4">
+              <DialogHeader>
+                <DialogTitle>
+                  {dialog === 'disable' ? 'Turn off two-factor authentication?' : 'Generate new recovery codes?'}
+                </DialogTitle>
+                <DialogDescription>
+                  {dialog === 'disable'
+                    ? 'Your account will be protected by your password only.'
+                    : 'Your current recovery codes will stop working.'}
+                  {' '}Confirm with a code from your authenticator app or a recovery code.
+                </DialogDescription>
+              </DialogHeader>
+              {dialog === 'disable' && (
+                <div>
+                  <Label htmlFor="twoFactorPassword">Password</Label>
+                  <Input
+                    id="twoFactorPassword"
+                    type="password"
+                    autoComplete="current-password"
+                    value={dialogForm.password}
+                    onChange={(e) => setDialogForm(prev => ({ ...prev, password: e.target.value }))}
+                    className="mt-1"
+                    disabled={busy}
+                  />
+                </div>
+              )}
+              <div>
+                <Label htmlFor="twoFactorCode">Authentication code</Label>
+                <Input
+                  id="twoFactorCode"
+                  autoComplete="one-time-code"
+                  placeholder="123456 or xxxxx-xxxxx"
+                  value={dialogForm.code}
+                  onChange={(e) => setDialogForm(prev => ({ ...prev, code: e.target.value }))}
+                  className="mt-1"
+                  disabled={busy}
+                />
+              </div>
+              <DialogFooter>
+                <Button type="button" variant="outline" onClick={() => setDialog(null)} disabled={busy}>
+                  Cancel
+                </Button>
+                <Button
+                  type="submit"
+                  variant={dialog === 'disable' ? 'destructive' : 'default'}
+                  disabled={busy || !dialogForm.code.trim() || (dialog === 'disable' && !dialogForm.password)}
+                >
+                  {dialog === 'disable' ? 'Turn off' : 'Generate codes'}
+                </Button>
+              </DialogFooter>
+            </form>
+          </DialogContent>
+        </Dialog>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default TwoFactorCard;
@@ -26,13 +26,16 @@ export const AuthProvider = ({ children }) => {
 
       if (token && savedUser) {
         try {
-          // Verify token validity via backend
-          await authAPI.verifyToken(); 
-          setUser(JSON.parse(savedUser));
+          // Verify token validity via backend and pick up any server-side changes (e.g. role)
+          const response = await authAPI.verifyToken();
+          const userData = { ...JSON.parse(savedUser), ...response.data.user };
+          localStorage.setItem('user', JSON.stringify(userData));
+          setUser(userData);
           setIsAuthenticated(true);
         } catch (error) {
           // Token invalid or expired
           localStorage.removeItem('token');
+          localStorage.removeItem('refreshToken');
           localStorage.removeItem('user');
           setUser(null);
           setIsAuthenticated(false);
@@ -44,23 +47,57 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
-  // Login function
+  const storeLogin = ({ token, refreshToken, user: userData }) => {
+    localStorage.setItem('token', token);
+    localStorage.setItem('refreshToken', refreshToken);
+    localStorage.setItem('user', JSON.stringify(userData));
+    setUser(userData);
+    setIsAuthenticated(true);
+  };
+
+  // 429s carry how long to wait (rate limited, or locked out after failed
+  // sign-ins); keep that toast up long enough to read and don't stack repeats
+  const showAuthError = (error, fallback) => {
+    const message = error.response?.data?.message || fallback;
+    if (error.response?.status === 429) {
+      toast.error(message, { id: 'auth-rate-limit', duration: 8000 });
+    } else {
+      toast.error(message);
+    }
+    return { success: false, error: message, retryAfter: error.response?.data?.retryAfter };
+  };
+
+  // Login function. Accounts with 2FA get { twoFactorRequired, challengeToken }
+  // back and finish with completeTwoFactorLogin.
   const login = async (credentials) => {
     try {
       const response = await authAPI.login(credentials);
-      const { token, user: userData } = response.data;
 
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(userData));
-      setUser(userData);
-      setIsAuthenticated(true);
+      if (response.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: response.data.challengeToken };
+      }
 
+      storeLogin(response.data);
       toast.success('Login successful!');
       return { success: true };
     } catch (error) {
-      const message = error.response?.data?.message || 'Login failed';
-      toast.error(message);
-      return { success: false, error: message };
+      return showAuthError(error, 'Login failed');
+    }
+  };
+
+  // Second login step: an authenticator or recovery code
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const response = await authAPI.loginTwoFactor({ challengeToken, code });
+
+      storeLogin(response.data);
+      toast.success('Login successful!');
+      return { success: true };
+    } catch (error) {
+      return {
+        ...showAuthError(error, 'Login failed'),
+        expired: error.response?.data?.code === 'TWO_FACTOR_CHALLENGE_EXPIRED'
+      };
     }
   };
 
@@ -68,29 +105,56 @@ export const AuthProvider = ({ children }) => {
   const register = async (userData) => {
     try {
       const response = await authAPI.register(userData);
-      const { token, user: newUser } = response.data;
+      const { token, refreshToken, user: newUser } = response.data;
 
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       localStorage.setItem('user', JSON.stringify(newUser));
       setUser(newUser);
       setIsAuthenticated(true);
 
-      toast.success('Registration successful!');
+      toast.success('Registration successful! Check your email to verify your account.');
       return { success: true };
     } catch (error) {
-      const message = error.response?.data?.message || 'Registration failed';
-      toast.error(message);
-      return { success: false, error: message };
+      return showAuthError(error, 'Registration failed');
     }
   };
 
-  // Logout function
-  const logout = () => {
+  const clearSession = () => {
     localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
     setUser(null);
     setIsAuthenticated(false);
+  };
+
+  // Logout function: revokes this device's session on the server
+  const logout = async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    clearSession();
     toast.success('Logged out successfully');
+
+    if (refreshToken) {
+      try {
+        await authAPI.logout(refreshToken);
+      } catch (error) {
+        console.error('Error revoking session:', error);
+      }
+    }
+  };
+
+  // Revoke every session, including this one
+  const logoutEverywhere = async () => {
+    try {
+      await authAPI.logoutAll();
+      clearSession();
+      toast.success('Logged out on all devices');
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Logout failed';
+      toast.error(message);
+      return { success: false, error: message };
+    }
   };
 
   // Update profile function
@@ -111,14 +175,73 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Change password; the API signs out other sessions and returns a new token for this one
+  const changePassword = async (passwordData) => {
+    try {
+      const response = await authAPI.changePassword(passwordData);
+      localStorage.setItem('token', response.data.token);
+
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Password change failed';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Change email; the new address starts out unverified
+  const changeEmail = async (emailData) => {
+    try {
+      const response = await authAPI.changeEmail(emailData);
+      const updatedUser = { ...user, ...response.data.user };
+
+      localStorage.setItem('user', JSON.stringify(updatedUser));
+      setUser(updatedUser);
+
+      toast.success(response.data.message);
+      return { success: true };
+    } catch (error) {
+      const message = error.response?.data?.message || 'Email change failed';
+      toast.error(message);
+      return { success: false, error: message };
+    }
+  };
+
+  // Keep the cached user in step after enabling or disabling 2FA
+  const setTwoFactorEnabled = (enabled) => {
+    setUser(prev => {
+      if (!prev) return prev;
+      const updatedUser = { ...prev, twoFactorEnabled: enabled };
+      localStorage.setItem('user', JSON.stringify(updatedUser));
+      return updatedUser;
+    });
+  };
+
+  // Called after the verification link succeeds, so gated features unlock without a reload
+  const markEmailVerified = () => {
+    setUser(prev => {
+      if (!prev) return prev;
+      const updatedUser = { ...prev, emailVerified: true };
+      localStorage.setItem('user', JSON.stringify(updatedUser));
+      return updatedUser;
+    });
+  };
+
   const value = {
     user,
     loading,
     isAuthenticated,
     login,
+    completeTwoFactorLogin,
     register,
     logout,
+    logoutEverywhere,
     updateProfile,
+    changePassword,
+    changeEmail,
+    markEmailVerified,
+    setTwoFactorEnabled,
   };
 
   return (
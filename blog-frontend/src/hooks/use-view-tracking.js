@@ -0,0 +1,86 @@
+import * as React from "react"
+import { blogAPI } from "@/lib/api"
+
+// How often time on page is reported while the article is visible
+const PING_INTERVAL_MS = 15000
+
+const VISITOR_ID_KEY = "visitorId"
+
+// The page the app was loaded on; articles reached from it inherit its referrer
+const entryUrl = window.location.href
+
+// Random per-browser ID so anonymous readers count once a day across reloads
+const getVisitorId = () => {
+  let id = localStorage.getItem(VISITOR_ID_KEY)
+  if (!id) {
+    id = crypto.randomUUID()
+    localStorage.setItem(VISITOR_ID_KEY, id)
+  }
+  return id
+}
+
+// document.referrer only describes how the app was entered; later articles
+// were reached by navigating within the site
+const getReferrer = () =>
+  window.location.href === entryUrl ? document.referrer : window.location.origin
+
+// Record a view of the article and report visible time on page and how far
+// through `articleRef` the reader scrolled until they leave. Pass enabled=false
+// for the article's own author, whose views aren't counted.
+export function useViewTracking(blogId, articleRef, enabled) {
+  React.useEffect(() => {
+    if (!blogId || !enabled) return
+
+    let viewId = null
+    let visibleMs = 0
+    let visibleSince = document.visibilityState === "visible" ? Date.now() : null
+    let scrollDepth = 0
+
+    const measureDepth = () => {
+      const rect = articleRef.current?.getBoundingClientRect()
+      if (!rect || rect.height <= 0) return
+      const depth = ((window.innerHeight - rect.top) / rect.height) * 100
+      scrollDepth = Math.max(scrollDepth, Math.round(Math.min(100, Math.max(0, depth))))
+    }
+
+    const ping = () => {
+      if (!viewId) return
+      const current = visibleSince ? Date.now() - visibleSince : 0
+      blogAPI
+        .pingView(blogId, viewId, { seconds: Math.round((visibleMs + current) / 1000), scrollDepth })
+        .catch(() => {})
+    }
+
+    const onVisibilityChange = () => {
+      if (document.visibilityState === "hidden" && visibleSince) {
+        visibleMs += Date.now() - visibleSince
+        visibleSince = null
+        ping()
+      } else if (document.visibilityState === "visible" && !visibleSince) {
+        visibleSince = Date.now()
+      }
+    }
+
+    blogAPI
+      .recordView(blogId, { referrer: getReferrer(), visitorId: getVisitorId() })
+      .then((response) => {
+        viewId = response.data.viewId
+        measureDepth()
+      })
+      .catch(() => {})
+
+    const interval = setInterval(() => {
+      if (visibleSince) ping()
+    }, PING_INTERVAL_MS)
+    window.addEventListener("scroll", measureDepth, { passive: true })
+    document.addEventListener("visibilitychange", onVisibilityChange)
+
+    return () => {
+      ping()
+      viewId = null
+      clearInterval(interval)
+      window.removeEventListener("scroll", measureDepth)
+      document.removeEventListener("visibilitychange", onVisibilityChange)
+    }
+  }, [blogId, articleRef, enabled])
+}
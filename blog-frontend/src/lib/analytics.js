@@ -0,0 +1,26 @@
+// Seconds as "45s" or "3m 20s"
+export const formatDuration = (seconds) => {
+  if (!seconds) return '0s';
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  if (minutes === 0) return `${rest}s`;
+  return rest ? `${minutes}m ${rest}s` : `${minutes}m`;
+};
+
+// "2026-03-14" (a UTC day from the analytics API) as "Mar 14"
+export const formatChartDay = (day) =>
+  new Date(`${day}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+// Ranges accepted by the analytics and stats endpoints
+export const ANALYTICS_RANGES = [
+  { value: '7d', label: 'Last 7 days', previous: 'previous 7 days' },
+  { value: '30d', label: 'Last 30 days', previous: 'previous 30 days' },
+  { value: '90d', label: 'Last 90 days', previous: 'previous 90 days' },
+  { value: '365d', label: 'Last year', previous: 'previous year' },
+];
+
+// Change between two periods as a whole percentage, or null when there is nothing to compare with
+export const percentChange = (current, previous) => {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 100);
+};
@@ -21,15 +21,56 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
-// Handle auth errors
+// A 401 from these means bad credentials, not an expired access token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/login/2fa', '/auth/refresh', '/auth/logout'];
+
+// Shared by concurrent 401s so only one refresh request is made
+let refreshPromise = null;
+
+const refreshAccessToken = async () => {
+  const refreshToken = localStorage.getItem('refreshToken');
+  try {
+    // Plain axios so the refresh itself skips these interceptors
+    const response = await axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+    localStorage.setItem('token', response.data.token);
+    localStorage.setItem('refreshToken', response.data.refreshToken);
+    return response.data.token;
+  } catch (error) {
+    // Another tab may have rotated the token first; use its result
+    if (localStorage.getItem('refreshToken') !== refreshToken) {
+      return localStorage.getItem('token');
+    }
+    throw error;
+  }
+};
+
+// Handle auth errors: refresh the access token once and retry, otherwise sign out
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+  async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || !config || NO_REFRESH_URLS.includes(config.url)) {
+      return Promise.reject(error);
+    }
+
+    if (!config._retried && localStorage.getItem('refreshToken')) {
+      config._retried = true;
+      try {
+        refreshPromise = refreshPromise || refreshAccessToken().finally(() => {
+          refreshPromise = null;
+        });
+        const token = await refreshPromise;
+        config.headers.Authorization = `Bearer ${token}`;
+        return api(config);
+      } catch {
+        // Refresh token expired or revoked; sign out below
+      }
     }
+
+    localStorage.removeItem('token');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+    window.location.href = '/login';
     return Promise.reject(error);
   }
 );
@@ -38,24 +79,93 @@ api.interceptors.response.use(
 export const authAPI = {
   register: (userData) => api.post('/auth/register', userData),
   login: (credentials) => api.post('/auth/login', credentials),
+  loginTwoFactor: (data) => api.post('/auth/login/2fa', data),
   getProfile: () => api.get('/auth/profile'),
   updateProfile: (userData) => api.put('/auth/profile', userData),
+  changePassword: (data) => api.put('/auth/password', data),
+  changeEmail: (data) => api.put('/auth/email', data),
   verifyToken: () => api.get('/auth/verify'),
+  logout: (refreshToken) => api.post('/auth/logout', { refreshToken }),
+  logoutAll: () => api.post('/auth/logout-all'),
+  getTwoFactorStatus: () => api.get('/auth/2fa'),
+  setupTwoFactor: () => api.post('/auth/2fa/setup'),
+  enableTwoFactor: (code) => api.post('/auth/2fa/enable', { code }),
+  disableTwoFactor: (data) => api.post('/auth/2fa/disable', data),
+  regenerateRecoveryCodes: (code) => api.post('/auth/2fa/recovery-codes', { code }),
+  getSessions: () => api.get('/auth/sessions'),
+  revokeSession: (id) => api.delete(`/auth/sessions/${id}`),
+  verifyEmail: (token) => api.get(`/auth/verify-email/${token}`),
+  resendVerification: () => api.post('/auth/resend-verification'),
+  forgotPassword: (email) => api.post('/auth/forgot-password', { email }),
+  resetPassword: (token, password) => api.post('/auth/reset-password', { token, password }),
+};
+
+// User API
+export const userAPI = {
+  getUser: (username) => api.get(`/users/${username}`),
+  followUser: (username) => api.post(`/users/${username}/follow`),
+  unfollowUser: (username) => api.delete(`/users/${username}/follow`),
 };
 
 // Blog API
 export const blogAPI = {
   getBlogs: (params = {}) => api.get('/blogs', { params }),
+  getFeed: (params = {}) => api.get('/blogs/feed', { params }),
   getBlog: (slug) => api.get(`/blogs/${slug}`),
   getBlogForEdit: (id) => api.get(`/blogs/edit/${id}`),
   createBlog: (blogData) => api.post('/blogs', blogData),
   updateBlog: (id, blogData) => api.put(`/blogs/${id}`, blogData),
+  autosaveBlog: (id, blogData) => api.put(`/blogs/${id}/autosave`, blogData),
   deleteBlog: (id) => api.delete(`/blogs/${id}`),
+  previewMarkdown: (content) => api.post('/blogs/preview', { content }),
+  getRevisions: (id) => api.get(`/blogs/${id}/revisions`),
+  getRevision: (id, revisionId) => api.get(`/blogs/${id}/revisions/${revisionId}`),
+  restoreRevision: (id, revisionId, data) => api.post(`/blogs/${id}/revisions/${revisionId}/restore`, data),
   getUserBlogs: (params = {}) => api.get('/blogs/user/my-blogs', { params }),
+  getUserStats: (params = {}) => api.get('/blogs/user/stats', { params }),
   likeBlog: (id) => api.post(`/blogs/${id}/like`),
+  recordView: (id, data) => api.post(`/blogs/${id}/views`, data),
+  pingView: (id, viewId, data) => api.post(`/blogs/${id}/views/${viewId}/ping`, data),
+  getAnalytics: (id, params = {}) => api.get(`/blogs/${id}/analytics`, { params }),
+  getComments: (id, params = {}) => api.get(`/blogs/${id}/comments`, { params }),
   addComment: (id, comment) => api.post(`/blogs/${id}/comments`, comment),
+  replyToComment: (id, commentId, reply) => api.post(`/blogs/${id}/comments/${commentId}/replies`, reply),
+  updateComment: (id, commentId, comment) => api.put(`/blogs/${id}/comments/${commentId}`, comment),
+  deleteComment: (id, commentId) => api.delete(`/blogs/${id}/comments/${commentId}`),
+  approveComment: (id, commentId) => api.post(`/blogs/${id}/comments/${commentId}/approve`),
+  markCommentSpam: (id, commentId) => api.post(`/blogs/${id}/comments/${commentId}/spam`),
   getCategories: () => api.get('/blogs/meta/categories'),
   getTags: () => api.get('/blogs/meta/tags'),
+  getSuggestions: (q) => api.get('/blogs/meta/suggest', { params: { q } }),
+};
+
+// Admin API (admins only)
+export const adminAPI = {
+  getUsers: (params = {}) => api.get('/admin/users', { params }),
+  updateUser: (id, data) => api.patch(`/admin/users/${id}`, data),
+  getBlogs: (params = {}) => api.get('/admin/blogs', { params }),
+  updateBlog: (id, data) => api.patch(`/admin/blogs/${id}`, data),
+  getComments: (params = {}) => api.get('/admin/comments', { params }),
+  getReports: (params = {}) => api.get('/admin/reports', { params }),
+  moderateReport: (id, data) => api.post(`/admin/reports/${id}/actions`, data),
+  getModerationLog: (params = {}) => api.get('/admin/moderation-log', { params }),
+};
+
+// Report API
+export const reportAPI = {
+  createReport: (data) => api.post('/reports', data),
+};
+
+// Upload API
+export const uploadAPI = {
+  uploadImage: (file, onUploadProgress) => {
+    const data = new FormData();
+    data.append('image', file);
+    return api.post('/uploads/images', data, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      onUploadProgress,
+    });
+  },
 };
 
 export default api;
@@ -0,0 +1,82 @@
+// Word-level diff used by the revision history. Text is split into words and
+// the whitespace between them, then compared with Myers' O(ND) algorithm so
+// long articles with small edits stay cheap to diff.
+
+const tokenize = (text = '') => text.split(/(\s+)/).filter(Boolean);
+
+// Edit script from `a` to `b` as a list of ['equal' | 'delete' | 'insert', token]
+const myers = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const max = n + m;
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  // For each d, the slice of v covering diagonals -d-1..d+1 before that round
+  const trace = [];
+
+  outer: for (let d = 0; d <= max; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) break outer;
+    }
+  }
+
+  // Walk back from the end to recover the path
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = (k) => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push(['equal', a[x - 1]]);
+      x--;
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push(['insert', b[y - 1]]);
+      else ops.push(['delete', a[x - 1]]);
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  return ops.reverse();
+};
+
+// Diff two strings word by word. Returns segments of { type, text } where
+// type is 'equal', 'insert' or 'delete'; adjacent tokens are merged.
+export const diffWords = (before = '', after = '') => {
+  const segments = [];
+  for (const [type, token] of myers(tokenize(before), tokenize(after))) {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) last.text += token;
+    else segments.push({ type, text: token });
+  }
+  return segments;
+};
+
+// Collapse long unchanged runs so large articles show only the edited parts
+export const collapseUnchanged = (segments, context = 30) =>
+  segments.map((segment, index) => {
+    if (segment.type !== 'equal' || segment.text.length <= context * 2 + 5) return segment;
+    const isFirst = index === 0;
+    const isLast = index === segments.length - 1;
+    const head = isFirst ? '' : segment.text.slice(0, context);
+    const tail = isLast ? '' : segment.text.slice(-context);
+    return { ...segment, text: `${head} … ${tail}`.trim(), collapsed: true };
+  });
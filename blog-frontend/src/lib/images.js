@@ -0,0 +1,14 @@
+// Mirrors the upload limits enforced by the API so bad files fail before uploading
+export const ACCEPTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+export const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Returns an error message for files the API would reject, or null
+export const validateImageFile = (file) => {
+  if (!ACCEPTED_IMAGE_TYPES.includes(file.type)) {
+    return 'Choose a JPEG, PNG, WebP or GIF image';
+  }
+  if (file.size > MAX_IMAGE_BYTES) {
+    return `Image must be smaller than ${MAX_IMAGE_BYTES / 1024 / 1024} MB`;
+  }
+  return null;
+};
@@ -0,0 +1,93 @@
+// Pure text transforms used by the Markdown editor toolbar and shortcuts.
+// Each helper takes the current value and selection and returns the new
+// text plus the range that should be selected afterwards.
+
+// Wrap the selection in `before`/`after`, or unwrap it if it is already wrapped
+export const wrapSelection = (value, start, end, before, after = before, placeholder = '') => {
+  const selected = value.slice(start, end);
+  const isWrapped =
+    value.slice(start - before.length, start) === before &&
+    value.slice(end, end + after.length) === after;
+
+  if (isWrapped) {
+    return {
+      text: value.slice(0, start - before.length) + selected + value.slice(end + after.length),
+      selection: [start - before.length, end - before.length]
+    };
+  }
+
+  const inner = selected || placeholder;
+  const innerStart = start + before.length;
+  return {
+    text: value.slice(0, start) + before + inner + after + value.slice(end),
+    selection: [innerStart, innerStart + inner.length]
+  };
+};
+
+// Add a prefix to every line touched by the selection, or remove it if all of
+// them already have it. `prefix` may be a function of the line index for
+// numbered lists, in which case `match` detects an existing prefix.
+export const prefixLines = (value, start, end, prefix, { match, replace } = {}) => {
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+  const nextBreak = value.indexOf('\n', end > start && value[end - 1] === '\n' ? end - 1 : end);
+  const lineEnd = nextBreak === -1 ? value.length : nextBreak;
+  const lines = value.slice(lineStart, lineEnd).split('\n');
+
+  const prefixFor = (index) => (typeof prefix === 'function' ? prefix(index) : prefix);
+  const existing = (line, index) => {
+    if (match) return line.match(match)?.[0];
+    return line.startsWith(prefixFor(index)) ? prefixFor(index) : undefined;
+  };
+
+  const allPrefixed = lines.every((line, index) => existing(line, index) !== undefined);
+  const block = lines
+    .map((line, index) => {
+      if (allPrefixed) return line.slice(existing(line, index).length);
+      const stripped = replace ? line.replace(replace, '') : line;
+      return prefixFor(index) + stripped;
+    })
+    .join('\n');
+
+  return {
+    text: value.slice(0, lineStart) + block + value.slice(lineEnd),
+    selection: [lineStart, lineStart + block.length]
+  };
+};
+
+// Insert a link or image, selecting the URL so it can be typed over
+export const insertLink = (value, start, end, { image = false } = {}) => {
+  const label = value.slice(start, end) || (image ? 'alt text' : 'link text');
+  const url = 'https://';
+  const snippet = `${image ? '!' : ''}[${label}](${url})`;
+  const urlStart = start + snippet.length - url.length - 1;
+  return {
+    text: value.slice(0, start) + snippet + value.slice(end),
+    selection: [urlStart, urlStart + url.length]
+  };
+};
+
+// Inline code for a single line, a fenced block when the selection spans lines
+export const insertCode = (value, start, end) => {
+  const selected = value.slice(start, end);
+  if (!selected.includes('\n')) {
+    return wrapSelection(value, start, end, '`', '`', 'code');
+  }
+
+  // Fenced blocks always cover whole lines
+  const lineStart = value.lastIndexOf('\n', start - 1) + 1;
+  const nextBreak = value.indexOf('\n', value[end - 1] === '\n' ? end - 1 : end);
+  const lineEnd = nextBreak === -1 ? value.length : nextBreak;
+  const fence = '```';
+  const block = `${fence}\n${value.slice(lineStart, lineEnd)}\n${fence}`;
+  return {
+    text: value.slice(0, lineStart) + block + value.slice(lineEnd),
+    selection: [lineStart + fence.length + 1, lineStart + block.length - fence.length - 1]
+  };
+};
+
+const HEADING_PREFIX = /^#{1,6}\s+/;
+
+export const setHeading = (value, start, end, level) => {
+  const prefix = `${'#'.repeat(level)} `;
+  return prefixLines(value, start, end, prefix, { replace: HEADING_PREFIX });
+};
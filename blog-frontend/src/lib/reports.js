@@ -0,0 +1,22 @@
+// Report reasons accepted by POST /api/reports, in the order readers see them
+export const REPORT_REASONS = [
+  { value: 'spam', label: 'Spam', description: 'Advertising, scams or repetitive content' },
+  { value: 'harassment', label: 'Harassment', description: 'Bullying or targeting a person' },
+  { value: 'hate_speech', label: 'Hate speech', description: 'Attacks on people based on who they are' },
+  { value: 'violence', label: 'Violence', description: 'Threats or encouraging harm' },
+  { value: 'sexual_content', label: 'Sexual content', description: 'Explicit or inappropriate material' },
+  { value: 'misinformation', label: 'Misinformation', description: 'False or misleading claims' },
+  { value: 'copyright', label: 'Copyright', description: 'Uses someone else\'s work without permission' },
+  { value: 'other', label: 'Something else', description: 'Tell us more below' },
+];
+
+export const reportReasonLabel = (value) =>
+  REPORT_REASONS.find(reason => reason.value === value)?.label || value;
+
+// Moderator decisions, as shown in the queue and the moderation log
+export const MODERATION_ACTIONS = {
+  dismiss: 'Dismissed',
+  hide: 'Hid content',
+  warn: 'Warned author',
+  suspend: 'Suspended author',
+};
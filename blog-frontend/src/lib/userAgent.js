@@ -0,0 +1,31 @@
+// Rough browser / OS detection for showing sessions. Order matters: Edge and
+// Opera also claim to be Chrome, and Chrome also claims to be Safari.
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Safari\//]
+];
+
+const OPERATING_SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+const match = (list, userAgent) => list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+// "Chrome on macOS", or a fallback when the user agent is missing or unknown
+export const describeUserAgent = (userAgent = '') => {
+  const browser = match(BROWSERS, userAgent);
+  const os = match(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+export const isMobileUserAgent = (userAgent = '') => /Mobi|Android|iPhone|iPad|iPod/.test(userAgent);
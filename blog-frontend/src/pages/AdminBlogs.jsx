@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { adminAPI } from '../lib/api';
+import { getStatusColor } from '../lib/blogStatus';
+import AdminPagination from '../components/admin/AdminPagination';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { Eye, Heart, MoreHorizontal, Search } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const AdminBlogs = () => {
+  const [blogs, setBlogs] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('all');
+  const [visibility, setVisibility] = useState('all');
+  const [page, setPage] = useState(1);
+  // The change waiting for confirmation: { blog, updates, title, description }
+  const [pending, setPending] = useState(null);
+
+  useEffect(() => {
+    const fetchBlogs = async () => {
+      setLoading(true);
+      try {
+        const params = { page, limit: 20 };
+        if (search) params.search = search;
+        if (status !== 'all') params.status = status;
+        if (visibility !== 'all') params.visibility = visibility;
+
+        const response = await adminAPI.getBlogs(params);
+        setBlogs(response.data.blogs);
+        setPagination(response.data.pagination);
+      } catch (error) {
+        console.error('Error fetching blogs:', error);
+        toast.error('Failed to load blogs');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchBlogs();
+  }, [search, status, visibility, page]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(searchInput.trim());
+  };
+
+  const handleFilterChange = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const confirmChange = (blog, updates) => {
+    if (updates.status === 'archived') {
+      setPending({
+        blog,
+        updates,
+        title: 'Archive this article?',
+        description: `"${blog.title}" will be taken off the site. The author can still see it in their dashboard.`,
+      });
+    } else if (updates.isActive === false) {
+      setPending({
+        blog,
+        updates,
+        title: 'Hide this article?',
+        description: `"${blog.title}" will be hidden everywhere, including the author's dashboard, until an admin unhides it.`,
+      });
+    } else {
+      applyChange(blog, updates);
+    }
+  };
+
+  const applyChange = async (blog, updates) => {
+    try {
+      const response = await adminAPI.updateBlog(blog._id, updates);
+      setBlogs(prev => prev.map(b => (b._id === blog._id ? response.data.blog : b)));
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update blog');
+    }
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center">
+        <form onSubmit={handleSearch} className="relative flex-1 md:max-w-sm">
+          <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+          <Input
+            placeholder="Search titles"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            className="pl-9"
+          />
+        </form>
+        <Select value={status} onValueChange={handleFilterChange(setStatus)}>
+          <SelectTrigger className="md:w-36">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">Any status</SelectItem>
+            <SelectItem value="published">Published</SelectItem>
+            <SelectItem value="scheduled">Scheduled</SelectItem>
+            <SelectItem value="draft">Draft</SelectItem>
+            <SelectItem value="archived">Archived</SelectItem>
+          </SelectContent>
+        </Select>
+        <Select value={visibility} onValueChange={handleFilterChange(setVisibility)}>
+          <SelectTrigger className="md:w-36">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">Visible or hidden</SelectItem>
+            <SelectItem value="visible">Visible</SelectItem>
+            <SelectItem value="hidden">Hidden</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Title</TableHead>
+            <TableHead>Author</TableHead>
+            <TableHead>Status</TableHead>
+            <TableHead>Engagement</TableHead>
+            <TableHead>Created</TableHead>
+            <TableHead className="text-right"><span className="sr-only">Actions</span></TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {loading ? (
+            <TableRow>
+              <TableCell colSpan={6} className="h-24 text-center text-muted-foreground">Loading blogs...</TableCell>
+            </TableRow>
+          ) : blogs.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={6} className="h-24 text-center text-muted-foreground">No blogs found.</TableCell>
+            </TableRow>
+          ) : (
+            blogs.map((blog) => (
+              <TableRow key={blog._id} className={blog.isActive ? '' : 'opacity-60'}>
+                <TableCell className="max-w-xs">
+                  {blog.status === 'published' && blog.isActive ? (
+                    <Link to={`/blog/${blog.slug}`} className="block truncate font-medium hover:underline">
+                      {blog.title}
+                    </Link>
+                  ) : (
+                    <span className="block truncate font-medium">{blog.title}</span>
+                  )}
+                  <span className="text-xs text-muted-foreground">{blog.category}</span>
+                </TableCell>
+                <TableCell>
+                  {blog.author ? (
+                    <Link to={`/author/${blog.author.username}`} className="hover:underline">
+                      {blog.author.fullName}
+                    </Link>
+                  ) : (
+                    <span className="text-muted-foreground">Deleted user</span>
+                  )}
+                </TableCell>
+                <TableCell>
+                  <div className="flex items-center gap-1">
+                    <Badge className={getStatusColor(blog.status)}>{blog.status}</Badge>
+                    {!blog.isActive && <Badge variant="destructive">Hidden</Badge>}
+                  </div>
+                </TableCell>
+                <TableCell className="text-muted-foreground">
+                  <div className="flex items-center gap-3">
+                    <span className="flex items-center gap-1">
+                      <Eye className="h-3 w-3" />
+                      {blog.views}
+                    </span>
+                    <span className="flex items-center gap-1">
+                      <Heart className="h-3 w-3" />
+                      {blog.likes?.length || 0}
+                    </span>
+                  </div>
+                </TableCell>
+                <TableCell className="text-muted-foreground">{formatDate(blog.createdAt)}</TableCell>
+                <TableCell className="text-right">
+                  <DropdownMenu>
+                    <DropdownMenuTrigger asChild>
+                      <Button variant="ghost" size="sm" aria-label="Blog actions">
+                        <MoreHorizontal className="h-4 w-4" />
+                      </Button>
+                    </DropdownMenuTrigger>
+                    <DropdownMenuContent align="end">
+                      <DropdownMenuItem
+                        disabled={blog.status === 'archived'}
+                        onClick={() => confirmChange(blog, { status: 'archived' })}
+                      >
+                        Archive
+                      </DropdownMenuItem>
+                      <DropdownMenuSeparator />
+                      {blog.isActive ? (
+                        <DropdownMenuItem
+                          className="text-destructive"
+                          onClick={() => confirmChange(blog, { isActive: false })}
+                        >
+                          Hide
+                        </DropdownMenuItem>
+                      ) : (
+                        <DropdownMenuItem onClick={() => confirmChange(blog, { isActive: true })}>
+                          Unhide
+                        </DropdownMenuItem>
+                      )}
+                    </DropdownMenuContent>
+                  </DropdownMenu>
+                </TableCell>
+              </TableRow>
+            ))
+          )}
+        </TableBody>
+      </Table>
+
+      <AdminPagination
+        pagination={pagination}
+        summary={`${pagination.totalBlogs ?? 0} blogs`}
+        onPageChange={setPage}
+      />
+
+      <AlertDialog open={pending !== null} onOpenChange={(open) => !open && setPending(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>{pending?.title}</AlertDialogTitle>
+            <AlertDialogDescription>{pending?.description}</AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={() => applyChange(pending.blog, pending.updates)}>
+              Confirm
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default AdminBlogs;
@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { adminAPI, blogAPI } from '../lib/api';
+import AdminPagination from '../components/admin/AdminPagination';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Check, ShieldAlert } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Names of the screening checks (blog-backend/utils/commentScreening.js) that held a comment
+const SCREENING_REASONS = {
+  bannedWords: 'Banned words',
+  links: 'Too many links',
+  duplicates: 'Duplicate',
+  newAccount: 'New account',
+  spamScore: 'Spam score',
+};
+
+const AdminComments = () => {
+  const [comments, setComments] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+  // Comments reviewed on this page leave the queue
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    const fetchComments = async () => {
+      setLoading(true);
+      try {
+        const response = await adminAPI.getComments({ status: 'held', page, limit: 20 });
+        setComments(response.data.comments);
+        setPagination(response.data.pagination);
+      } catch (error) {
+        console.error('Error fetching held comments:', error);
+        toast.error('Failed to load held comments');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchComments();
+  }, [page, refreshKey]);
+
+  const review = async (comment, action) => {
+    setBusyId(comment._id);
+    try {
+      const response = action === 'approve'
+        ? await blogAPI.approveComment(comment.blog._id, comment._id)
+        : await blogAPI.markCommentSpam(comment.blog._id, comment._id);
+      toast.success(response.data.message);
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review comment');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const formatRelative = (date) => formatDistanceToNow(new Date(date), { addSuffix: true });
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-muted-foreground">
+        Comments held back by automatic screening. Only the article's author and admins can see them until they are approved.
+        Approving or deleting as spam also trains the spam filter.
+      </p>
+
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Comment</TableHead>
+            <TableHead>Author</TableHead>
+            <TableHead>Held For</TableHead>
+            <TableHead>Posted</TableHead>
+            <TableHead className="text-right"><span className="sr-only">Actions</span></TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {loading ? (
+            <TableRow>
+              <TableCell colSpan={5} className="h-24 text-center text-muted-foreground">Loading comments...</TableCell>
+            </TableRow>
+          ) : comments.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={5} className="h-24 text-center text-muted-foreground">
+                No comments are waiting for review.
+              </TableCell>
+            </TableRow>
+          ) : (
+            comments.map((comment) => (
+              <TableRow key={comment._id}>
+                <TableCell className="max-w-md">
+                  <span className="block whitespace-pre-wrap break-words">{comment.content}</span>
+                  {comment.blog && (
+                    <Link
+                      to={`/blog/${comment.blog.slug}#comment-${comment._id}`}
+                      className="text-xs text-muted-foreground hover:underline"
+                    >
+                      on {comment.blog.title}
+                    </Link>
+                  )}
+                </TableCell>
+                <TableCell>
+                  {comment.author ? (
+                    <>
+                      <span className="block">{comment.author.fullName}</span>
+                      <span className="text-xs text-muted-foreground">
+                        joined {formatRelative(comment.author.createdAt)}
+                      </span>
+                    </>
+                  ) : (
+                    <span className="text-muted-foreground">Deleted user</span>
+                  )}
+                </TableCell>
+                <TableCell>
+                  <div className="flex flex-wrap gap-1">
+                    {comment.screeningReasons.map((reason) => (
+                      <Badge key={reason} variant="secondary">{SCREENING_REASONS[reason] || reason}</Badge>
+                    ))}
+                    {typeof comment.spamScore === 'number' && (
+                      <span className="text-xs text-muted-foreground">
+                        {Math.round(comment.spamScore * 100)}% spam
+                      </span>
+                    )}
+                  </div>
+                </TableCell>
+                <TableCell className="whitespace-nowrap text-muted-foreground">{formatRelative(comment.createdAt)}</TableCell>
+                <TableCell className="text-right">
+                  <div className="flex justify-end gap-2">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={busyId === comment._id || !comment.blog}
+                      onClick={() => review(comment, 'approve')}
+                    >
+                      <Check className="h-4 w-4 mr-1" />
+                      Approve
+                    </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="text-destructive"
+                      disabled={busyId === comment._id || !comment.blog}
+                      onClick={() => review(comment, 'spam')}
+                    >
+                      <ShieldAlert className="h-4 w-4 mr-1" />
+                      Spam
+                    </Button>
+                  </div>
+                </TableCell>
+              </TableRow>
+            ))
+          )}
+        </TableBody>
+      </Table>
+
+      <AdminPagination
+        pagination={pagination}
+        summary={`${pagination.totalComments ?? 0} held comments`}
+        onPageChange={setPage}
+      />
+    </div>
+  );
+};
+
+export default AdminComments;
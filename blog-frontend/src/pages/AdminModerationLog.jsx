@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { adminAPI } from '../lib/api';
+import { reportReasonLabel, MODERATION_ACTIONS } from '../lib/reports';
+import AdminPagination from '../components/admin/AdminPagination';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import toast from 'react-hot-toast';
+
+const actionVariant = (action) => {
+  if (action === 'suspend') return 'destructive';
+  if (action === 'dismiss') return 'outline';
+  return 'secondary';
+};
+
+const AdminModerationLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [action, setAction] = useState('all');
+  const [page, setPage] = useState(1);
+
+  useEffect(() => {
+    const fetchEntries = async () => {
+      setLoading(true);
+      try {
+        const params = { page, limit: 20 };
+        if (action !== 'all') params.action = action;
+
+        const response = await adminAPI.getModerationLog(params);
+        setEntries(response.data.entries);
+        setPagination(response.data.pagination);
+      } catch (error) {
+        console.error('Error fetching moderation log:', error);
+        toast.error('Failed to load moderation log');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEntries();
+  }, [action, page]);
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+        <p className="text-sm text-muted-foreground">
+          Every moderation decision, with the content as it read when the decision was made.
+        </p>
+        <Select value={action} onValueChange={(value) => { setAction(value); setPage(1); }}>
+          <SelectTrigger className="md:w-44">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All actions</SelectItem>
+            {Object.entries(MODERATION_ACTIONS).map(([value, label]) => (
+              <SelectItem key={value} value={value}>{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Date</TableHead>
+            <TableHead>Moderator</TableHead>
+            <TableHead>Action</TableHead>
+            <TableHead>Content</TableHead>
+            <TableHead>Author</TableHead>
+            <TableHead>Reasons</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {loading ? (
+            <TableRow>
+              <TableCell colSpan={6} className="h-24 text-center text-muted-foreground">Loading moderation log...</TableCell>
+            </TableRow>
+          ) : entries.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={6} className="h-24 text-center text-muted-foreground">No moderation actions yet.</TableCell>
+            </TableRow>
+          ) : (
+            entries.map((entry) => (
+              <TableRow key={entry._id}>
+                <TableCell className="whitespace-nowrap text-muted-foreground">{formatDate(entry.createdAt)}</TableCell>
+                <TableCell>{entry.moderator?.fullName || 'Deleted user'}</TableCell>
+                <TableCell>
+                  <Badge variant={actionVariant(entry.action)}>{MODERATION_ACTIONS[entry.action]}</Badge>
+                </TableCell>
+                <TableCell className="max-w-sm">
+                  <span className="text-xs text-muted-foreground">
+                    {entry.targetType === 'blog' ? 'Article' : `Comment on ${entry.blog?.title || 'a deleted article'}`}
+                  </span>
+                  <span className="block truncate">{entry.targetSummary}</span>
+                  {entry.note && (
+                    <span className="block truncate text-xs text-muted-foreground" title={entry.note}>
+                      Note: {entry.note}
+                    </span>
+                  )}
+                </TableCell>
+                <TableCell>{entry.subject?.fullName || 'Deleted user'}</TableCell>
+                <TableCell>
+                  <div className="flex flex-wrap gap-1">
+                    {entry.reasons.map((reason) => (
+                      <Badge key={reason} variant="outline">{reportReasonLabel(reason)}</Badge>
+                    ))}
+                  </div>
+                </TableCell>
+              </TableRow>
+            ))
+          )}
+        </TableBody>
+      </Table>
+
+      <AdminPagination
+        pagination={pagination}
+        summary={`${pagination.totalEntries ?? 0} entries`}
+        onPageChange={setPage}
+      />
+    </div>
+  );
+};
+
+export default AdminModerationLog;
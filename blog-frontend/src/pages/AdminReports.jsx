@@ -0,0 +1,284 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { adminAPI } from '../lib/api';
+import { reportReasonLabel } from '../lib/reports';
+import AdminPagination from '../components/admin/AdminPagination';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { ExternalLink } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const authorName = (author) => (author ? `${author.firstName} ${author.lastName}` : 'Unknown user');
+
+const contentLink = (entry) => {
+  if (!entry.blog) return null;
+  return entry.targetType === 'comment' && entry.comment
+    ? `/blog/${entry.blog.slug}#comment-${entry.comment._id}`
+    : `/blog/${entry.blog.slug}`;
+};
+
+// The reported article title or comment text, as it reads now
+const ContentPreview = ({ entry, className }) => {
+  if (entry.targetType === 'blog') {
+    return <span className={className}>{entry.blog?.title || 'Deleted article'}</span>;
+  }
+  return (
+    <span className={className}>
+      {entry.comment ? `"${entry.comment.content}"` : 'Deleted comment'}
+      {entry.blog && <span className="text-muted-foreground"> on {entry.blog.title}</span>}
+    </span>
+  );
+};
+
+const isContentHidden = (entry) =>
+  entry.targetType === 'blog' ? entry.blog?.isActive === false : entry.comment?.isActive === false;
+
+const AdminReports = () => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [targetType, setTargetType] = useState('all');
+  const [page, setPage] = useState(1);
+  const [reviewing, setReviewing] = useState(null);
+  const [note, setNote] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  // Bumped after an action so the queue reloads with the next page's entries moved up
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const fetchReports = async () => {
+      setLoading(true);
+      try {
+        const params = { page, limit: 20 };
+        if (targetType !== 'all') params.targetType = targetType;
+
+        const response = await adminAPI.getReports(params);
+        setEntries(response.data.reports);
+        setPagination(response.data.pagination);
+      } catch (error) {
+        console.error('Error fetching reports:', error);
+        toast.error('Failed to load reports');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchReports();
+  }, [targetType, page, refreshKey]);
+
+  const openReview = (entry) => {
+    setNote('');
+    setReviewing(entry);
+  };
+
+  const handleAction = async (action) => {
+    setSubmitting(true);
+    try {
+      const response = await adminAPI.moderateReport(reviewing._id, { action, note: note.trim() });
+      toast.success(response.data.message);
+      setReviewing(null);
+      setRefreshKey(key => key + 1);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to apply action');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const formatRelative = (date) => formatDistanceToNow(new Date(date), { addSuffix: true });
+
+  const author = reviewing?.targetAuthor;
+  const canSuspend = author && author.isActive && author.role !== 'admin';
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+        <p className="text-sm text-muted-foreground">
+          Open reports, grouped by the content they are about. Acting on one closes all reports for that content.
+        </p>
+        <Select value={targetType} onValueChange={(value) => { setTargetType(value); setPage(1); }}>
+          <SelectTrigger className="md:w-40">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All content</SelectItem>
+            <SelectItem value="blog">Articles</SelectItem>
+            <SelectItem value="comment">Comments</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>Content</TableHead>
+            <TableHead>Author</TableHead>
+            <TableHead>Reasons</TableHead>
+            <TableHead>Reports</TableHead>
+            <TableHead>Last Reported</TableHead>
+            <TableHead className="text-right"><span className="sr-only">Actions</span></TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {loading ? (
+            <TableRow>
+              <TableCell colSpan={6} className="h-24 text-center text-muted-foreground">Loading reports...</TableCell>
+            </TableRow>
+          ) : entries.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={6} className="h-24 text-center text-muted-foreground">
+                The queue is empty. Nothing needs review.
+              </TableCell>
+            </TableRow>
+          ) : (
+            entries.map((entry) => (
+              <TableRow key={entry._id}>
+                <TableCell className="max-w-sm">
+                  <div className="flex items-center gap-2">
+                    <Badge variant="outline">{entry.targetType === 'blog' ? 'Article' : 'Comment'}</Badge>
+                    {isContentHidden(entry) && <Badge variant="secondary">Hidden</Badge>}
+                  </div>
+                  <ContentPreview entry={entry} className="mt-1 block truncate" />
+                </TableCell>
+                <TableCell>
+                  <div className="flex items-center gap-2">
+                    <span>{authorName(entry.targetAuthor)}</span>
+                    {entry.targetAuthor && !entry.targetAuthor.isActive && (
+                      <Badge variant="destructive">Suspended</Badge>
+                    )}
+                  </div>
+                </TableCell>
+                <TableCell>
+                  <div className="flex flex-wrap gap-1">
+                    {entry.reasons.map((reason) => (
+                      <Badge key={reason} variant="secondary">{reportReasonLabel(reason)}</Badge>
+                    ))}
+                  </div>
+                </TableCell>
+                <TableCell className="font-medium">{entry.reportCount}</TableCell>
+                <TableCell className="text-muted-foreground">{formatRelative(entry.latestReportAt)}</TableCell>
+                <TableCell className="text-right">
+                  <Button variant="outline" size="sm" onClick={() => openReview(entry)}>
+                    Review
+                  </Button>
+                </TableCell>
+              </TableRow>
+            ))
+          )}
+        </TableBody>
+      </Table>
+
+      <AdminPagination
+        pagination={pagination}
+        summary={`${pagination.totalReports ?? 0} items to review`}
+        onPageChange={setPage}
+      />
+
+      <Dialog open={reviewing !== null} onOpenChange={(open) => !open && setReviewing(null)}>
+        <DialogContent className="sm:max-w-2xl">
+          {reviewing && (
+            <>
+              <DialogHeader>
+                <DialogTitle>
+                  Review reported {reviewing.targetType === 'blog' ? 'article' : 'comment'}
+                </DialogTitle>
+                <DialogDescription>
+                  By {authorName(author)}
+                  {author && ` (@${author.username})`}
+                  {' · '}{reviewing.reportCount} {reviewing.reportCount === 1 ? 'report' : 'reports'}
+                </DialogDescription>
+              </DialogHeader>
+
+              <div className="rounded-md border bg-muted/40 p-3 text-sm">
+                <ContentPreview entry={reviewing} className="whitespace-pre-wrap break-words" />
+                {contentLink(reviewing) && !isContentHidden(reviewing) && (
+                  <Link
+                    to={contentLink(reviewing)}
+                    target="_blank"
+                    className="mt-2 flex items-center gap-1 text-xs text-primary hover:underline"
+                  >
+                    <ExternalLink className="h-3 w-3" />
+                    Open in a new tab
+                  </Link>
+                )}
+              </div>
+
+              <div className="max-h-48 space-y-3 overflow-y-auto">
+                {reviewing.reports.map((report) => (
+                  <div key={`${report.reporter?._id}-${report.createdAt}`} className="text-sm">
+                    <div className="flex items-center gap-2">
+                      <Badge variant="secondary">{reportReasonLabel(report.reason)}</Badge>
+                      <span className="text-muted-foreground">
+                        {report.reporter ? `@${report.reporter.username}` : 'Unknown user'} · {formatRelative(report.createdAt)}
+                      </span>
+                    </div>
+                    {report.details && <p className="mt-1 whitespace-pre-wrap break-words">{report.details}</p>}
+                  </div>
+                ))}
+                {reviewing.reportCount > reviewing.reports.length && (
+                  <p className="text-xs text-muted-foreground">
+                    and {reviewing.reportCount - reviewing.reports.length} earlier reports
+                  </p>
+                )}
+              </div>
+
+              <div>
+                <Label htmlFor="moderation-note">Note (optional)</Label>
+                <Textarea
+                  id="moderation-note"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  placeholder="Recorded in the moderation log and included in warning or suspension emails"
+                  maxLength={1000}
+                  rows={2}
+                  className="mt-1"
+                />
+              </div>
+
+              <DialogFooter className="flex-wrap gap-2">
+                <Button variant="outline" onClick={() => handleAction('dismiss')} disabled={submitting}>
+                  Dismiss
+                </Button>
+                <Button
+                  variant="outline"
+                  onClick={() => handleAction('hide')}
+                  disabled={submitting || isContentHidden(reviewing)}
+                >
+                  Hide content
+                </Button>
+                <Button variant="outline" onClick={() => handleAction('warn')} disabled={submitting || !author}>
+                  Warn author
+                </Button>
+                <Button variant="destructive" onClick={() => handleAction('suspend')} disabled={submitting || !canSuspend}>
+                  Suspend author
+                </Button>
+              </DialogFooter>
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default AdminReports;
@@ -0,0 +1,277 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { adminAPI } from '../lib/api';
+import AdminPagination from '../components/admin/AdminPagination';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { MoreHorizontal, Search } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const AdminUsers = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [searchInput, setSearchInput] = useState('');
+  const [search, setSearch] = useState('');
+  const [role, setRole] = useState('all');
+  const [status, setStatus] = useState('all');
+  const [page, setPage] = useState(1);
+  // The change waiting for confirmation: { user, updates, title, description }
+  const [pending, setPending] = useState(null);
+
+  useEffect(() => {
+    const fetchUsers = async () => {
+      setLoading(true);
+      try {
+        const params = { page, limit: 20 };
+        if (search) params.search = search;
+        if (role !== 'all') params.role = role;
+        if (status !== 'all') params.status = status;
+
+        const response = await adminAPI.getUsers(params);
+        setUsers(response.data.users);
+        setPagination(response.data.pagination);
+      } catch (error) {
+        console.error('Error fetching users:', error);
+        toast.error('Failed to load users');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchUsers();
+  }, [search, role, status, page]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setSearch(searchInput.trim());
+  };
+
+  const handleFilterChange = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const confirmChange = (user, updates) => {
+    const name = `${user.fullName} (@${user.username})`;
+    if (updates.isActive === false) {
+      setPending({
+        user,
+        updates,
+        title: 'Deactivate account?',
+        description: `${name} will be signed out everywhere and won't be able to log in until the account is reactivated.`,
+      });
+    } else if (updates.role === 'admin') {
+      setPending({
+        user,
+        updates,
+        title: 'Make admin?',
+        description: `${name} will get full access to this admin console.`,
+      });
+    } else {
+      applyChange(user, updates);
+    }
+  };
+
+  const applyChange = async (user, updates) => {
+    try {
+      const response = await adminAPI.updateUser(user._id, updates);
+      setUsers(prev => prev.map(u => (u._id === user._id ? response.data.user : u)));
+      toast.success(response.data.message);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update user');
+    }
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center">
+        <form onSubmit={handleSearch} className="relative flex-1 md:max-w-sm">
+          <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+          <Input
+            placeholder="Search name, username or email"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            className="pl-9"
+          />
+        </form>
+        <Select value={role} onValueChange={handleFilterChange(setRole)}>
+          <SelectTrigger className="md:w-36">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All roles</SelectItem>
+            <SelectItem value="user">Users</SelectItem>
+            <SelectItem value="admin">Admins</SelectItem>
+          </SelectContent>
+        </Select>
+        <Select value={status} onValueChange={handleFilterChange(setStatus)}>
+          <SelectTrigger className="md:w-36">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">Any status</SelectItem>
+            <SelectItem value="active">Active</SelectItem>
+            <SelectItem value="inactive">Deactivated</SelectItem>
+          </SelectContent>
+        </Select>
+      </div>
+
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>User</TableHead>
+            <TableHead>Email</TableHead>
+            <TableHead>Role</TableHead>
+            <TableHead>Status</TableHead>
+            <TableHead>Joined</TableHead>
+            <TableHead className="text-right"><span className="sr-only">Actions</span></TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {loading ? (
+            <TableRow>
+              <TableCell colSpan={6} className="h-24 text-center text-muted-foreground">Loading users...</TableCell>
+            </TableRow>
+          ) : users.length === 0 ? (
+            <TableRow>
+              <TableCell colSpan={6} className="h-24 text-center text-muted-foreground">No users found.</TableCell>
+            </TableRow>
+          ) : (
+            users.map((user) => {
+              const isSelf = user._id === currentUser?.id;
+              return (
+                <TableRow key={user._id} className={user.isActive ? '' : 'opacity-60'}>
+                  <TableCell>
+                    <div className="flex items-center gap-2">
+                      <Avatar className="h-8 w-8">
+                        <AvatarImage src={user.avatar} alt={user.fullName} />
+                        <AvatarFallback>{user.firstName?.[0]}{user.lastName?.[0]}</AvatarFallback>
+                      </Avatar>
+                      <div className="leading-tight">
+                        <Link to={`/author/${user.username}`} className="font-medium hover:underline">
+                          {user.fullName}
+                        </Link>
+                        <p className="text-xs text-muted-foreground">@{user.username}</p>
+                      </div>
+                    </div>
+                  </TableCell>
+                  <TableCell>
+                    <div className="flex items-center gap-2">
+                      <span>{user.email}</span>
+                      {!user.emailVerified && <Badge variant="outline">Unverified</Badge>}
+                    </div>
+                  </TableCell>
+                  <TableCell>
+                    <Badge variant={user.role === 'admin' ? 'default' : 'secondary'}>{user.role}</Badge>
+                  </TableCell>
+                  <TableCell>
+                    {user.isActive ? (
+                      <Badge variant="outline">Active</Badge>
+                    ) : (
+                      <Badge variant="destructive">Deactivated</Badge>
+                    )}
+                  </TableCell>
+                  <TableCell className="text-muted-foreground">{formatDate(user.createdAt)}</TableCell>
+                  <TableCell className="text-right">
+                    <DropdownMenu>
+                      <DropdownMenuTrigger asChild>
+                        <Button variant="ghost" size="sm" disabled={isSelf} aria-label="User actions">
+                          <MoreHorizontal className="h-4 w-4" />
+                        </Button>
+                      </DropdownMenuTrigger>
+                      <DropdownMenuContent align="end">
+                        {user.role === 'admin' ? (
+                          <DropdownMenuItem onClick={() => confirmChange(user, { role: 'user' })}>
+                            Remove admin
+                          </DropdownMenuItem>
+                        ) : (
+                          <DropdownMenuItem onClick={() => confirmChange(user, { role: 'admin' })}>
+                            Make admin
+                          </DropdownMenuItem>
+                        )}
+                        <DropdownMenuSeparator />
+                        {user.isActive ? (
+                          <DropdownMenuItem
+                            className="text-destructive"
+                            onClick={() => confirmChange(user, { isActive: false })}
+                          >
+                            Deactivate
+                          </DropdownMenuItem>
+                        ) : (
+                          <DropdownMenuItem onClick={() => confirmChange(user, { isActive: true })}>
+                            Reactivate
+                          </DropdownMenuItem>
+                        )}
+                      </DropdownMenuContent>
+                    </DropdownMenu>
+                  </TableCell>
+                </TableRow>
+              );
+            })
+          )}
+        </TableBody>
+      </Table>
+
+      <AdminPagination
+        pagination={pagination}
+        summary={`${pagination.totalUsers ?? 0} users`}
+        onPageChange={setPage}
+      />
+
+      <AlertDialog open={pending !== null} onOpenChange={(open) => !open && setPending(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>{pending?.title}</AlertDialogTitle>
+            <AlertDialogDescription>{pending?.description}</AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={() => applyChange(pending.user, pending.updates)}>
+              Confirm
+            </AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
+
+export default AdminUsers;
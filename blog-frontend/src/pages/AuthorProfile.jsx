@@ -0,0 +1,294 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { userAPI, blogAPI } from '../lib/api';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
+import { ArrowLeft, Calendar, Clock, Eye, Heart, BookOpen, ChevronLeft, ChevronRight, UserPlus, UserCheck } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const ARTICLES_PER_PAGE = 9;
+
+const AuthorProfile = () => {
+  const { username } = useParams();
+  const { user, isAuthenticated } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [author, setAuthor] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [isFollowing, setIsFollowing] = useState(false);
+  const [updatingFollow, setUpdatingFollow] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [blogs, setBlogs] = useState([]);
+  const [pagination, setPagination] = useState({});
+  const [loadingBlogs, setLoadingBlogs] = useState(true);
+  const currentPage = parseInt(searchParams.get('page')) || 1;
+
+  useEffect(() => {
+    const fetchAuthor = async () => {
+      setLoading(true);
+      try {
+        const response = await userAPI.getUser(username);
+        setAuthor(response.data.user);
+        setStats(response.data.stats);
+        setIsFollowing(response.data.isFollowing);
+      } catch (error) {
+        console.error('Error fetching author:', error);
+        setAuthor(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAuthor();
+  }, [username]);
+
+  const authorId = author?.id;
+
+  useEffect(() => {
+    if (!authorId) return;
+
+    const fetchBlogs = async () => {
+      setLoadingBlogs(true);
+      try {
+        const response = await blogAPI.getBlogs({
+          author: authorId,
+          page: currentPage,
+          limit: ARTICLES_PER_PAGE,
+        });
+        setBlogs(response.data.blogs);
+        setPagination(response.data.pagination);
+      } catch (error) {
+        console.error('Error fetching author articles:', error);
+      } finally {
+        setLoadingBlogs(false);
+      }
+    };
+
+    fetchBlogs();
+  }, [authorId, currentPage]);
+
+  const handleFollow = async () => {
+    if (!isAuthenticated) {
+      toast.error('Please login to follow authors');
+      return;
+    }
+
+    setUpdatingFollow(true);
+    try {
+      const response = isFollowing
+        ? await userAPI.unfollowUser(author.username)
+        : await userAPI.followUser(author.username);
+      setIsFollowing(response.data.isFollowing);
+      setStats(prev => ({ ...prev, followers: response.data.followers }));
+    } catch (error) {
+      console.error('Error updating follow:', error);
+      toast.error(error.response?.data?.message || 'Failed to update follow');
+    } finally {
+      setUpdatingFollow(false);
+    }
+  };
+
+  const handlePageChange = (page) => {
+    setSearchParams(page > 1 ? { page: page.toString() } : {});
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen py-8">
+        <div className="container mx-auto px-4 max-w-5xl animate-pulse">
+          <div className="flex items-center space-x-6 mb-12">
+            <div className="h-24 w-24 bg-muted rounded-full"></div>
+            <div className="flex-1 space-y-3">
+              <div className="h-8 bg-muted rounded w-1/3"></div>
+              <div className="h-4 bg-muted rounded w-1/2"></div>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!author) {
+    return (
+      <div className="min-h-screen flex items-center justify-center">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold mb-4">Author not found</h1>
+          <Button asChild>
+            <Link to="/blogs">Back to Blogs</Link>
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  const isOwnProfile = user?.id === author.id;
+
+  const statItems = [
+    { label: 'Articles', value: stats.articles, icon: BookOpen },
+    { label: 'Total views', value: stats.totalViews, icon: Eye },
+    { label: 'Total likes', value: stats.totalLikes, icon: Heart },
+  ];
+
+  return (
+    <div className="min-h-screen py-8">
+      <div className="container mx-auto px-4 max-w-5xl">
+        <Button variant="ghost" asChild className="mb-6">
+          <Link to="/blogs">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Back to Articles
+          </Link>
+        </Button>
+
+        {/* Author Header */}
+        <header className="flex flex-col md:flex-row md:items-center gap-6 mb-8">
+          <Avatar className="h-24 w-24">
+            <AvatarImage src={author.avatar} alt={author.fullName} />
+            <AvatarFallback className="text-2xl">
+              {author.firstName?.[0]}{author.lastName?.[0]}
+            </AvatarFallback>
+          </Avatar>
+          <div className="flex-1">
+            <h1 className="text-3xl md:text-4xl font-bold">{author.fullName}</h1>
+            <p className="text-muted-foreground">@{author.username}</p>
+            {author.bio && <p className="mt-3 max-w-2xl">{author.bio}</p>}
+            <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-muted-foreground mt-3">
+              <span>
+                <strong className="text-foreground">{stats.followers.toLocaleString()}</strong>{' '}
+                {stats.followers === 1 ? 'follower' : 'followers'}
+              </span>
+              <span>
+                <strong className="text-foreground">{stats.following.toLocaleString()}</strong> following
+              </span>
+              <span className="flex items-center">
+                <Calendar className="h-4 w-4 mr-1" />
+                Joined {formatDate(author.joinedAt)}
+              </span>
+            </div>
+          </div>
+          {!isOwnProfile && (
+            <Button
+              variant={isFollowing ? 'outline' : 'default'}
+              onClick={handleFollow}
+              disabled={updatingFollow}
+            >
+              {isFollowing ? <UserCheck className="h-4 w-4 mr-2" /> : <UserPlus className="h-4 w-4 mr-2" />}
+              {isFollowing ? 'Following' : 'Follow'}
+            </Button>
+          )}
+        </header>
+
+        {/* Stats */}
+        <div className="grid grid-cols-3 gap-4 mb-12">
+          {statItems.map((item) => (
+            <Card key={item.label}>
+              <CardContent className="pt-6 text-center">
+                <item.icon className="h-5 w-5 mx-auto mb-2 text-muted-foreground" />
+                <p className="text-2xl font-bold">{item.value.toLocaleString()}</p>
+                <p className="text-sm text-muted-foreground">{item.label}</p>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+
+        {/* Articles */}
+        <h2 className="text-2xl font-bold mb-6">Published articles</h2>
+        {loadingBlogs ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {[0, 1, 2].map((i) => (
+              <Card key={i} className="animate-pulse">
+                <CardHeader>
+                  <div className="h-4 bg-muted rounded w-3/4 mb-2"></div>
+                  <div className="h-3 bg-muted rounded w-1/2"></div>
+                </CardHeader>
+                <CardContent>
+                  <div className="h-16 bg-muted rounded"></div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        ) : blogs.length > 0 ? (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {blogs.map((blog) => (
+              <Card key={blog._id} className="group hover:shadow-lg transition-all duration-300">
+                <CardHeader className="pb-3">
+                  <div className="flex items-center justify-between mb-2">
+                    <Badge variant="secondary" className="text-xs">
+                      {blog.category}
+                    </Badge>
+                    <div className="flex items-center text-xs text-muted-foreground">
+                      <Clock className="h-3 w-3 mr-1" />
+                      {blog.readingTime || 1} min read
+                    </div>
+                  </div>
+                  <CardTitle className="line-clamp-2 group-hover:text-primary transition-colors">
+                    <Link to={`/blog/${blog.slug}`}>{blog.title}</Link>
+                  </CardTitle>
+                </CardHeader>
+                <CardContent className="pt-0">
+                  <CardDescription className="line-clamp-3 mb-4">{blog.excerpt}</CardDescription>
+                  <div className="flex items-center justify-between text-xs text-muted-foreground">
+                    <span>{formatDate(blog.publishedAt)}</span>
+                    <div className="flex items-center space-x-3">
+                      <span className="flex items-center">
+                        <Eye className="h-3 w-3 mr-1" />
+                        {blog.views}
+                      </span>
+                      <span className="flex items-center">
+                        <Heart className="h-3 w-3 mr-1" />
+                        {blog.likeCount}
+                      </span>
+                    </div>
+                  </div>
+                </CardContent>
+              </Card>
+            ))}
+          </div>
+        ) : (
+          <p className="text-center text-muted-foreground py-12">
+            {author.firstName} hasn't published any articles yet.
+          </p>
+        )}
+
+        {/* Pagination */}
+        {pagination.totalPages > 1 && (
+          <div className="flex justify-center items-center space-x-4 mt-10">
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={!pagination.hasPrev}
+              onClick={() => handlePageChange(currentPage - 1)}
+            >
+              <ChevronLeft className="h-4 w-4 mr-1" />
+              Previous
+            </Button>
+            <span className="text-sm text-muted-foreground">
+              Page {pagination.currentPage} of {pagination.totalPages}
+            </span>
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={!pagination.hasNext}
+              onClick={() => handlePageChange(currentPage + 1)}
+            >
+              Next
+              <ChevronRight className="h-4 w-4 ml-1" />
+            </Button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AuthorProfile;
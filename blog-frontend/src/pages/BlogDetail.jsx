@@ -1,13 +1,23 @@
-import React, { useState, useEffect } from 'react';
-import { useParams, Link, useNavigate } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { blogAPI } from '../lib/api';
+import ArticleContent from '../components/ArticleContent';
+import { useViewTracking } from '../hooks/use-view-tracking';
+import CommentThread from '../components/comments/CommentThread';
+import ReportDialog from '../components/ReportDialog';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
 import { Textarea } from '@/components/ui/textarea';
 import { Separator } from '@/components/ui/separator';
+import {
+  DropdownMenu,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuTrigger,
+} from '@/components/ui/dropdown-menu';
 import { 
   Clock, 
   Eye, 
@@ -16,7 +26,9 @@ import {
   ArrowLeft,
   Share2,
   Edit,
-  Trash2
+  Trash2,
+  Flag,
+  MoreHorizontal
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
@@ -24,23 +36,56 @@ const BlogDetail = () => {
   const { slug } = useParams();
   const { user, isAuthenticated } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
   const [blog, setBlog] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isLiked, setIsLiked] = useState(false);
   const [likeCount, setLikeCount] = useState(0);
   const [comment, setComment] = useState('');
   const [submittingComment, setSubmittingComment] = useState(false);
+  const [highlightedCommentId, setHighlightedCommentId] = useState(null);
+  const [comments, setComments] = useState([]);
+  const [commentsCursor, setCommentsCursor] = useState(null);
+  const [hasMoreComments, setHasMoreComments] = useState(false);
+  const [loadingComments, setLoadingComments] = useState(false);
+  // What the report dialog is open for: { type: 'blog' | 'comment', id }
+  const [reportTarget, setReportTarget] = useState(null);
+  const articleRef = useRef(null);
 
   useEffect(() => {
     fetchBlog();
   }, [slug]);
 
+  const blogId = blog?._id;
+  const isOwnArticle = isAuthenticated && Boolean(blog) && user?.id === blog.author._id;
+  // The blog's author and admins see held comments and review them in place
+  const canModerateComments = isOwnArticle || user?.role === 'admin';
+  useViewTracking(blogId, articleRef, !isOwnArticle);
+  const targetCommentId = location.hash.match(/^#comment-(\w+)$/)?.[1];
+  const targetCommentLoaded = Boolean(targetCommentId) && comments.some(c => c._id === targetCommentId);
+
+  // Keep loading pages until a permalinked comment is available, then scroll to and highlight it
+  useEffect(() => {
+    if (!blogId || !targetCommentId) return;
+
+    if (!targetCommentLoaded) {
+      if (hasMoreComments && !loadingComments) fetchComments(blogId, commentsCursor);
+      return;
+    }
+
+    setHighlightedCommentId(targetCommentId);
+    requestAnimationFrame(() => {
+      document.getElementById(`comment-${targetCommentId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+  }, [blogId, targetCommentId, targetCommentLoaded, hasMoreComments, loadingComments, commentsCursor]);
+
   const fetchBlog = async () => {
     try {
       const response = await blogAPI.getBlog(slug);
       const blogData = response.data.blog;
       setBlog(blogData);
       setLikeCount(blogData.likeCount);
+      fetchComments(blogData._id);
       
       // Check if current user has liked this blog
       if (isAuthenticated && user) {
@@ -57,6 +102,32 @@ const BlogDetail = () => {
     }
   };
 
+  const fetchComments = async (id, cursor = null) => {
+    setLoadingComments(true);
+    try {
+      const response = await blogAPI.getComments(id, cursor ? { cursor } : {});
+      const { comments: page, nextCursor, hasMore } = response.data;
+
+      // Comments posted during this visit may already be in the list
+      setComments(prev => {
+        const existing = cursor ? prev : [];
+        const seen = new Set(existing.map(c => c._id));
+        return [...existing, ...page.filter(c => !seen.has(c._id))];
+      });
+      setCommentsCursor(nextCursor);
+      setHasMoreComments(hasMore);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      toast.error('Failed to load comments');
+    } finally {
+      setLoadingComments(false);
+    }
+  };
+
+  const adjustCommentCount = (delta) => {
+    setBlog(prev => ({ ...prev, commentCount: prev.commentCount + delta }));
+  };
+
   const handleLike = async () => {
     if (!isAuthenticated) {
       toast.error('Please login to like this article');
@@ -74,6 +145,24 @@ const BlogDetail = () => {
     }
   };
 
+  // Held comments stay out of the list: only the blog's author and admins see them until approved
+  const addPostedComment = ({ comment: posted, message }) => {
+    if (posted.status !== 'held') {
+      setComments(prev => [...prev, posted]);
+      adjustCommentCount(1);
+    }
+    toast.success(message);
+  };
+
+  // Drop a deleted comment; its replies move up a level, as they do on the server
+  const removeComment = (commentId, parentId) => {
+    const removed = comments.find(c => c._id === commentId);
+    setComments(prev => prev
+      .filter(c => c._id !== commentId)
+      .map(c => (c.parentId === commentId ? { ...c, parentId } : c)));
+    if (removed?.status !== 'held') adjustCommentCount(-1);
+  };
+
   const handleComment = async (e) => {
     e.preventDefault();
     if (!isAuthenticated) {
@@ -89,20 +178,78 @@ const BlogDetail = () => {
     setSubmittingComment(true);
     try {
       const response = await blogAPI.addComment(blog._id, { content: comment });
-      setBlog(prev => ({
-        ...prev,
-        comments: [...prev.comments, response.data.comment]
-      }));
+      addPostedComment(response.data);
       setComment('');
-      toast.success('Comment added successfully');
     } catch (error) {
       console.error('Error adding comment:', error);
-      toast.error('Failed to add comment');
+      toast.error(error.response?.data?.message || 'Failed to add comment');
     } finally {
       setSubmittingComment(false);
     }
   };
 
+  const handleReply = async (parentId, content) => {
+    try {
+      const response = await blogAPI.replyToComment(blog._id, parentId, { content });
+      addPostedComment(response.data);
+      return true;
+    } catch (error) {
+      console.error('Error adding reply:', error);
+      toast.error(error.response?.data?.message || 'Failed to add reply');
+      return false;
+    }
+  };
+
+  const handleEditComment = async (commentId, content) => {
+    try {
+      const response = await blogAPI.updateComment(blog._id, commentId, { content });
+      const updated = response.data.comment;
+      // An edit that gets held disappears for other commenters, but moderators keep reviewing it
+      if (updated.status === 'held' && !canModerateComments) removeComment(commentId, updated.parentId);
+      else setComments(prev => prev.map(c => (c._id === commentId ? updated : c)));
+      toast.success(response.data.message);
+      return true;
+    } catch (error) {
+      console.error('Error updating comment:', error);
+      toast.error(error.response?.data?.message || 'Failed to update comment');
+      return false;
+    }
+  };
+
+  const handleDeleteComment = async (commentId) => {
+    try {
+      const response = await blogAPI.deleteComment(blog._id, commentId);
+      removeComment(commentId, response.data.parentId);
+      toast.success('Comment deleted successfully');
+    } catch (error) {
+      console.error('Error deleting comment:', error);
+      toast.error(error.response?.data?.message || 'Failed to delete comment');
+    }
+  };
+
+  const handleApproveComment = async (commentId) => {
+    try {
+      const response = await blogAPI.approveComment(blog._id, commentId);
+      setComments(prev => prev.map(c => (c._id === commentId ? response.data.comment : c)));
+      adjustCommentCount(1);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error approving comment:', error);
+      toast.error(error.response?.data?.message || 'Failed to approve comment');
+    }
+  };
+
+  const handleMarkCommentSpam = async (commentId) => {
+    try {
+      const response = await blogAPI.markCommentSpam(blog._id, commentId);
+      removeComment(commentId, response.data.parentId);
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Error removing comment:', error);
+      toast.error(error.response?.data?.message || 'Failed to remove comment');
+    }
+  };
+
   const handleShare = async () => {
     if (navigator.share) {
       try {
@@ -121,21 +268,6 @@ const BlogDetail = () => {
     }
   };
 
-  const formatCommentDate = (dateString) => {
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffInHours = Math.floor((now - date) / (1000 * 60 * 60));
-    
-    if (diffInHours < 1) {
-      return 'Just now';
-    } else if (diffInHours < 24) {
-      return `${diffInHours}h ago`;
-    } else {
-      const diffInDays = Math.floor(diffInHours / 24);
-      return `${diffInDays}d ago`;
-    }
-  };
-
   if (loading) {
     return (
       <div className="min-h-screen py-8">
@@ -188,7 +320,7 @@ const BlogDetail = () => {
               <span className="text-sm text-muted-foreground">•</span>
               <div className="flex items-center text-sm text-muted-foreground">
                 <Clock className="h-3 w-3 mr-1" />
-                {formatReadTime(blog.readTime)}
+                {formatReadTime(blog.readingTime)}
               </div>
             </div>
             
@@ -202,7 +334,7 @@ const BlogDetail = () => {
 
             {/* Author Info */}
             <div className="flex items-center justify-between">
-              <div className="flex items-center space-x-4">
+              <Link to={`/author/${blog.author.username}`} className="group flex items-center space-x-4">
                 <Avatar className="h-12 w-12">
                   <AvatarImage src={blog.author.avatar} alt={blog.author.fullName} />
                   <AvatarFallback>
@@ -210,12 +342,12 @@ const BlogDetail = () => {
                   </AvatarFallback>
                 </Avatar>
                 <div>
-                  <p className="font-semibold">{blog.author.fullName}</p>
+                  <p className="font-semibold group-hover:underline">{blog.author.fullName}</p>
                   <p className="text-sm text-muted-foreground">
                     Published on {formatDate(blog.publishedAt)}
                   </p>
                 </div>
-              </div>
+              </Link>
 
               {/* Action Buttons */}
               <div className="flex items-center space-x-2">
@@ -233,6 +365,21 @@ const BlogDetail = () => {
                   <Share2 className="h-4 w-4 mr-2" />
                   Share
                 </Button>
+                {isAuthenticated && user?.id !== blog.author._id && (
+                  <DropdownMenu>
+                    <DropdownMenuTrigger asChild>
+                      <Button variant="outline" size="sm" aria-label="More actions">
+                        <MoreHorizontal className="h-4 w-4" />
+                      </Button>
+                    </DropdownMenuTrigger>
+                    <DropdownMenuContent align="end">
+                      <DropdownMenuItem onClick={() => setReportTarget({ type: 'blog', id: blog._id })}>
+                        <Flag className="h-4 w-4 mr-2" />
+                        Report article
+                      </DropdownMenuItem>
+                    </DropdownMenuContent>
+                  </DropdownMenu>
+                )}
               </div>
             </div>
           </header>
@@ -249,11 +396,7 @@ const BlogDetail = () => {
           )}
 
           {/* Article Content */}
-          <div className="prose prose-lg max-w-none mb-8">
-            <div className="whitespace-pre-wrap leading-relaxed">
-              {blog.content}
-            </div>
-          </div>
+          <ArticleContent ref={articleRef} html={blog.contentHtml} className="mb-8" />
 
           {/* Tags */}
           {blog.tags && blog.tags.length > 0 && (
@@ -297,11 +440,17 @@ const BlogDetail = () => {
         {/* Comments Section */}
         <section className="mb-8">
           <h2 className="text-2xl font-bold mb-6">
-            Comments ({blog.comments.length})
+            Comments ({blog.commentCount})
           </h2>
 
           {/* Add Comment Form */}
-          {isAuthenticated ? (
+          {isAuthenticated && !user?.emailVerified ? (
+            <Card className="mb-6">
+              <CardContent className="pt-6 text-center text-muted-foreground">
+                Verify your email address to join the conversation. Check your inbox for the link we sent you.
+              </CardContent>
+            </Card>
+          ) : isAuthenticated ? (
             <Card className="mb-6">
               <CardContent className="pt-6">
                 <form onSubmit={handleComment}>
@@ -342,42 +491,42 @@ const BlogDetail = () => {
           )}
 
           {/* Comments List */}
-          <div className="space-y-6">
-            {blog.comments.map((comment) => (
-              <Card key={comment._id}>
-                <CardContent className="pt-6">
-                  <div className="flex space-x-4">
-                    <Avatar className="h-8 w-8">
-                      <AvatarImage src={comment.author.avatar} alt={comment.author.fullName} />
-                      <AvatarFallback>
-                        {comment.author.firstName?.[0]}{comment.author.lastName?.[0]}
-                      </AvatarFallback>
-                    </Avatar>
-                    <div className="flex-1">
-                      <div className="flex items-center space-x-2 mb-2">
-                        <p className="font-semibold text-sm">{comment.author.fullName}</p>
-                        <span className="text-xs text-muted-foreground">
-                          {formatCommentDate(comment.createdAt)}
-                        </span>
-                      </div>
-                      <p className="text-sm leading-relaxed">{comment.content}</p>
-                    </div>
-                  </div>
-                </CardContent>
-              </Card>
-            ))}
-            
-            {blog.comments.length === 0 && (
-              <div className="text-center py-8">
-                <MessageCircle className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
-                <p className="text-muted-foreground">
-                  No comments yet. Be the first to share your thoughts!
-                </p>
-              </div>
-            )}
-          </div>
+          {loadingComments && comments.length === 0 ? (
+            <div className="space-y-4 animate-pulse">
+              {[0, 1, 2].map((i) => (
+                <div key={i} className="h-24 bg-muted rounded-lg"></div>
+              ))}
+            </div>
+          ) : (
+            <CommentThread
+              comments={comments}
+              currentUser={isAuthenticated ? user : null}
+              blogAuthorId={blog.author._id}
+              highlightedId={highlightedCommentId}
+              onReply={handleReply}
+              onEdit={handleEditComment}
+              onDelete={handleDeleteComment}
+              onApprove={handleApproveComment}
+              onMarkSpam={handleMarkCommentSpam}
+              onReport={(commentId) => setReportTarget({ type: 'comment', id: commentId })}
+            />
+          )}
+
+          {hasMoreComments && comments.length > 0 && (
+            <div className="mt-6 text-center">
+              <Button
+                variant="outline"
+                onClick={() => fetchComments(blog._id, commentsCursor)}
+                disabled={loadingComments}
+              >
+                {loadingComments ? 'Loading...' : 'Load more comments'}
+              </Button>
+            </div>
+          )}
         </section>
       </div>
+
+      <ReportDialog target={reportTarget} onClose={() => setReportTarget(null)} />
     </div>
   );
 };
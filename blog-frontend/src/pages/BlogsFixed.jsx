@@ -1,8 +1,13 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
 import { blogAPI } from '../lib/api';
 
+// Search highlights arrive as escaped HTML with the matches wrapped in <mark>
+const MATCH_CLASSES = '[&_mark]:bg-yellow-200 [&_mark]:text-inherit [&_mark]:rounded-sm [&_mark]:px-0.5';
+
 const BlogsFixed = () => {
+  const { isAuthenticated } = useAuth();
   const [searchParams, setSearchParams] = useSearchParams();
   const [blogs, setBlogs] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -10,7 +15,12 @@ const BlogsFixed = () => {
   const [categories, setCategories] = useState([]);
   const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
   const [selectedCategory, setSelectedCategory] = useState(searchParams.get('category') || '');
+  const [selectedTag, setSelectedTag] = useState(searchParams.get('tag') || '');
+  const [selectedAuthor, setSelectedAuthor] = useState(searchParams.get('author') || '');
   const [currentPage, setCurrentPage] = useState(parseInt(searchParams.get('page')) || 1);
+  // 'following' shows the feed of followed authors instead of all articles
+  const [view, setView] = useState(searchParams.get('view') || 'all');
+  const writtenParams = useRef(searchParams.toString());
 
   useEffect(() => {
     fetchCategories();
@@ -18,7 +28,19 @@ const BlogsFixed = () => {
 
   useEffect(() => {
     fetchBlogs();
-  }, [currentPage, selectedCategory, searchTerm]);
+  }, [currentPage, selectedCategory, selectedTag, selectedAuthor, searchTerm, view]);
+
+  // Pick up filters changed from outside this page, e.g. by the command palette
+  useEffect(() => {
+    if (searchParams.toString() === writtenParams.current) return;
+    writtenParams.current = searchParams.toString();
+    setSearchTerm(searchParams.get('search') || '');
+    setSelectedCategory(searchParams.get('category') || '');
+    setSelectedTag(searchParams.get('tag') || '');
+    setSelectedAuthor(searchParams.get('author') || '');
+    setCurrentPage(parseInt(searchParams.get('page')) || 1);
+    setView(searchParams.get('view') || 'all');
+  }, [searchParams]);
 
   const fetchCategories = async () => {
     try {
@@ -29,6 +51,8 @@ const BlogsFixed = () => {
     }
   };
 
+  const isFeed = view === 'following' && isAuthenticated;
+
   const fetchBlogs = async () => {
     setLoading(true);
     try {
@@ -36,8 +60,22 @@ const BlogsFixed = () => {
         page: currentPage,
         limit: 9,
       };
+
+      if (isFeed) {
+        const response = await blogAPI.getFeed(params);
+        setBlogs(response.data.blogs);
+        setPagination(response.data.pagination);
+
+        const newParams = new URLSearchParams({ view: 'following' });
+        if (currentPage > 1) newParams.set('page', currentPage.toString());
+        writtenParams.current = newParams.toString();
+        setSearchParams(newParams);
+        return;
+      }
       
       if (selectedCategory) params.category = selectedCategory;
+      if (selectedTag) params.tag = selectedTag;
+      if (selectedAuthor) params.author = selectedAuthor;
       if (searchTerm) params.search = searchTerm;
 
       const response = await blogAPI.getBlogs(params);
@@ -48,7 +86,10 @@ const BlogsFixed = () => {
       const newParams = new URLSearchParams();
       if (currentPage > 1) newParams.set('page', currentPage.toString());
       if (selectedCategory) newParams.set('category', selectedCategory);
+      if (selectedTag) newParams.set('tag', selectedTag);
+      if (selectedAuthor) newParams.set('author', selectedAuthor);
       if (searchTerm) newParams.set('search', searchTerm);
+      writtenParams.current = newParams.toString();
       setSearchParams(newParams);
       
     } catch (error) {
@@ -69,6 +110,11 @@ const BlogsFixed = () => {
     setCurrentPage(1);
   };
 
+  const handleViewChange = (newView) => {
+    setView(newView);
+    setCurrentPage(1);
+  };
+
   const handlePageChange = (page) => {
     setCurrentPage(page);
     window.scrollTo({ top: 0, behavior: 'smooth' });
@@ -90,44 +136,68 @@ const BlogsFixed = () => {
           </p>
         </div>
 
-        {/* Filters */}
-        <div className="mb-8">
-          <div className="flex flex-col md:flex-row gap-4 items-center justify-between">
-            {/* Search */}
-            <form onSubmit={handleSearch} className="flex gap-2 w-full md:w-auto">
-              <div className="relative flex-1 md:w-80">
-                <input
-                  type="text"
-                  placeholder="Search articles..."
-                  value={searchTerm}
-                  onChange={(e) => setSearchTerm(e.target.value)}
-                  className="w-full px-4 py-2 pl-10 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-                />
-                <div className="absolute left-3 top-3 h-4 w-4 text-gray-400">🔍</div>
-              </div>
-              <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
-                Search
+        {/* Feed Tabs */}
+        {isAuthenticated && (
+          <div className="flex justify-center gap-2 mb-8">
+            {[
+              { id: 'all', label: 'All Articles' },
+              { id: 'following', label: 'Following' },
+            ].map((tab) => (
+              <button
+                key={tab.id}
+                onClick={() => handleViewChange(tab.id)}
+                className={`px-4 py-2 rounded-lg ${
+                  (isFeed ? 'following' : 'all') === tab.id
+                    ? 'bg-blue-600 text-white'
+                    : 'border border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                {tab.label}
               </button>
-            </form>
+            ))}
+          </div>
+        )}
 
-            {/* Category Filter */}
-            <div className="flex items-center gap-2">
-              <span className="text-gray-600">Filter:</span>
-              <select 
-                value={selectedCategory} 
-                onChange={(e) => handleCategoryChange(e.target.value)}
-                className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
-              >
-                <option value="">All Categories</option>
-                {categories.map((category) => (
-                  <option key={category} value={category}>
-                    {category}
-                  </option>
-                ))}
-              </select>
+        {/* Filters */}
+        {!isFeed && (
+          <div className="mb-8">
+            <div className="flex flex-col md:flex-row gap-4 items-center justify-between">
+              {/* Search */}
+              <form onSubmit={handleSearch} className="flex gap-2 w-full md:w-auto">
+                <div className="relative flex-1 md:w-80">
+                  <input
+                    type="text"
+                    placeholder="Search articles..."
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                    className="w-full px-4 py-2 pl-10 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <div className="absolute left-3 top-3 h-4 w-4 text-gray-400">🔍</div>
+                </div>
+                <button type="submit" className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700">
+                  Search
+                </button>
+              </form>
+
+              {/* Category Filter */}
+              <div className="flex items-center gap-2">
+                <span className="text-gray-600">Filter:</span>
+                <select 
+                  value={selectedCategory} 
+                  onChange={(e) => handleCategoryChange(e.target.value)}
+                  className="px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="">All Categories</option>
+                  {categories.map((category) => (
+                    <option key={category} value={category}>
+                      {category}
+                    </option>
+                  ))}
+                </select>
+              </div>
             </div>
           </div>
-        </div>
+        )}
 
         {/* Results Info */}
         {!loading && (
@@ -136,8 +206,11 @@ const BlogsFixed = () => {
               {pagination.totalBlogs > 0 ? (
                 <>
                   Showing {((currentPage - 1) * 9) + 1}-{Math.min(currentPage * 9, pagination.totalBlogs)} of {pagination.totalBlogs} articles
+                  {isFeed && ' from authors you follow'}
                   {selectedCategory && ` in ${selectedCategory}`}
-                  {searchTerm && ` matching "${searchTerm}"`}
+                  {selectedTag && ` tagged #${selectedTag}`}
+                  {selectedAuthor && blogs[0]?.author && ` by ${blogs[0].author.firstName} ${blogs[0].author.lastName}`}
+                  {searchTerm && ` matching "${searchTerm}", most relevant first`}
                 </>
               ) : (
                 'No articles found'
@@ -181,28 +254,42 @@ const BlogsFixed = () => {
                       to={`/blog/${blog.slug}`}
                       className="hover:text-blue-600 transition-colors"
                     >
-                      {blog.title}
+                      {blog.highlights ? (
+                        <span
+                          className={MATCH_CLASSES}
+                          dangerouslySetInnerHTML={{ __html: blog.highlights.title }}
+                        />
+                      ) : (
+                        blog.title
+                      )}
                     </Link>
                   </h3>
                   
-                  <p className="text-gray-600 mb-4 line-clamp-3">
-                    {blog.excerpt || blog.content?.substring(0, 150) + '...'}
-                  </p>
+                  {blog.highlights ? (
+                    <p
+                      className={`text-gray-600 mb-4 line-clamp-3 ${MATCH_CLASSES}`}
+                      dangerouslySetInnerHTML={{ __html: blog.highlights.snippet }}
+                    />
+                  ) : (
+                    <p className="text-gray-600 mb-4 line-clamp-3">
+                      {blog.excerpt || blog.content?.substring(0, 150) + '...'}
+                    </p>
+                  )}
                   
                   <div className="flex items-center justify-between">
-                    <div className="flex items-center space-x-2">
+                    <Link to={`/author/${blog.author?.username}`} className="flex items-center space-x-2 group">
                       <div className="h-8 w-8 bg-gray-300 rounded-full flex items-center justify-center">
                         {blog.author?.firstName?.[0] || 'A'}
                       </div>
                       <div>
-                        <p className="text-sm font-medium">
+                        <p className="text-sm font-medium group-hover:text-blue-600">
                           {blog.author?.firstName} {blog.author?.lastName}
                         </p>
                         <p className="text-xs text-gray-500">
                           {new Date(blog.createdAt).toLocaleDateString()}
                         </p>
                       </div>
-                    </div>
+                    </Link>
                     
                     <div className="flex items-center space-x-3 text-sm text-gray-500">
                       <span className="flex items-center">
@@ -222,16 +309,27 @@ const BlogsFixed = () => {
             <div className="text-6xl mb-4">📝</div>
             <h3 className="text-2xl font-semibold mb-2">No Articles Found</h3>
             <p className="text-gray-600 mb-6">
-              {searchTerm || selectedCategory 
+              {isFeed
+                ? "Authors you follow haven't published anything yet. Follow writers from their profile pages to fill this feed."
+                : searchTerm || selectedCategory || selectedTag || selectedAuthor
                 ? "Try adjusting your search criteria or browse all articles."
                 : "Be the first to share your story with our community!"
               }
             </p>
-            {searchTerm || selectedCategory ? (
+            {isFeed ? (
+              <button
+                onClick={() => handleViewChange('all')}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+              >
+                Browse All Articles
+              </button>
+            ) : searchTerm || selectedCategory || selectedTag || selectedAuthor ? (
               <button 
                 onClick={() => {
                   setSearchTerm('');
                   setSelectedCategory('');
+                  setSelectedTag('');
+                  setSelectedAuthor('');
                   setCurrentPage(1);
                 }}
                 className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
@@ -1,23 +1,66 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
-import { blogAPI } from '../lib/api';
+import { blogAPI, uploadAPI } from '../lib/api';
+import ImageDropzone from '../components/ImageDropzone';
+import MarkdownEditor from '../components/editor/MarkdownEditor';
+import SchedulePicker from '../components/editor/SchedulePicker';
+import RevisionHistory from '../components/editor/RevisionHistory';
+import UnsavedChangesGuard from '../components/editor/UnsavedChangesGuard';
+import { History } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+// Idle time after the last keystroke before an autosave
+const AUTOSAVE_DELAY = 3000;
+// New articles have no server copy yet, so they are kept in this browser
+const NEW_DRAFT_KEY = 'blog-draft:new';
+
+const EMPTY_FORM = {
+  title: '',
+  content: '',
+  excerpt: '',
+  category: '',
+  featuredImage: '',
+  tags: []
+};
+
+const toFormData = (blog) => ({
+  title: blog.title,
+  content: blog.content,
+  excerpt: blog.excerpt || '',
+  category: blog.category,
+  featuredImage: blog.featuredImage || '',
+  tags: blog.tags || []
+});
+
+// The server rejects drafts missing these, so there is no point autosaving before
+const canAutosave = (data) =>
+  Boolean(data.title.trim() && data.category && data.content.length >= 50);
+
+const readLocalDraft = () => {
+  try {
+    return JSON.parse(localStorage.getItem(NEW_DRAFT_KEY));
+  } catch {
+    return null;
+  }
+};
+
 const CreateBlogFixed = () => {
   const navigate = useNavigate();
   const { id } = useParams();
   const isEditing = Boolean(id);
 
-  const [formData, setFormData] = useState({
-    title: '',
-    content: '',
-    excerpt: '',
-    category: '',
-    featuredImage: '',
-    tags: []
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  // What the server (or, for new articles, nobody) last saw; compared to detect unsaved changes
+  const [savedData, setSavedData] = useState(JSON.stringify(EMPTY_FORM));
+  const [version, setVersion] = useState(null);
+  const [blogStatus, setBlogStatus] = useState('draft');
+  const [autosave, setAutosave] = useState({ state: 'idle', at: null });
+  const [conflictBlog, setConflictBlog] = useState(null);
+  const [localDraft, setLocalDraft] = useState(() => (isEditing ? null : readLocalDraft()));
 
+  const [scheduledFor, setScheduledFor] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [historyOpen, setHistoryOpen] = useState(false);
   const [tagInput, setTagInput] = useState('');
   const [errors, setErrors] = useState({});
 
@@ -32,18 +75,86 @@ const CreateBlogFixed = () => {
     }
   }, [id, isEditing]);
 
+  const isDirty = JSON.stringify(formData) !== savedData;
+
+  // Autosave existing drafts once typing pauses. Published and scheduled
+  // articles are live, so they only change on an explicit save.
+  useEffect(() => {
+    if (!isEditing || blogStatus !== 'draft' || !isDirty || conflictBlog || !canAutosave(formData)) return;
+
+    const timer = setTimeout(async () => {
+      const snapshot = JSON.stringify(formData);
+      setAutosave({ state: 'saving', at: null });
+      try {
+        const response = await blogAPI.autosaveBlog(id, { ...formData, version });
+        setVersion(response.data.version);
+        setSavedData(snapshot);
+        setAutosave({ state: 'saved', at: new Date(response.data.updatedAt) });
+      } catch (error) {
+        if (error.response?.status === 409) {
+          setConflictBlog(error.response.data.blog);
+          setAutosave({ state: 'conflict', at: null });
+        } else {
+          console.error('Error autosaving blog:', error);
+          setAutosave({ state: 'error', at: null });
+        }
+      }
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [formData, isDirty, isEditing, blogStatus, conflictBlog, version, id]);
+
+  // Keep new articles in localStorage, unless an older draft is still waiting to be restored
+  useEffect(() => {
+    if (isEditing || localDraft || !isDirty) return;
+
+    const timer = setTimeout(() => {
+      localStorage.setItem(NEW_DRAFT_KEY, JSON.stringify({ formData, savedAt: new Date().toISOString() }));
+      setAutosave({ state: 'local', at: new Date() });
+    }, AUTOSAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [formData, isDirty, isEditing, localDraft]);
+
+  const loadBlogIntoForm = (blog) => {
+    const data = toFormData(blog);
+    setFormData(data);
+    setSavedData(JSON.stringify(data));
+    setVersion(blog.version || 0);
+    setBlogStatus(blog.status);
+  };
+
+  const handleRestoreLocalDraft = () => {
+    setFormData({ ...EMPTY_FORM, ...localDraft.formData });
+    setLocalDraft(null);
+  };
+
+  const handleDiscardLocalDraft = () => {
+    localStorage.removeItem(NEW_DRAFT_KEY);
+    setLocalDraft(null);
+  };
+
+  // Conflict resolution: take the other copy, or keep ours and overwrite it on the next save
+  const handleLoadTheirs = () => {
+    loadBlogIntoForm(conflictBlog);
+    setConflictBlog(null);
+    setAutosave({ state: 'idle', at: null });
+  };
+
+  const handleKeepMine = () => {
+    setVersion(conflictBlog.version || 0);
+    setConflictBlog(null);
+    setAutosave({ state: 'idle', at: null });
+  };
+
   const fetchBlog = async () => {
     try {
-      const response = await blogAPI.getBlog(id);
+      const response = await blogAPI.getBlogForEdit(id);
       const blog = response.data.blog;
-      setFormData({
-        title: blog.title,
-        content: blog.content,
-        excerpt: blog.excerpt || '',
-        category: blog.category,
-        featuredImage: blog.featuredImage || '',
-        tags: blog.tags || []
-      });
+      loadBlogIntoForm(blog);
+      if (blog.status === 'scheduled' && blog.scheduledFor) {
+        setScheduledFor(new Date(blog.scheduledFor));
+      }
     } catch (error) {
       console.error('Error fetching blog:', error);
       toast.error('Failed to load blog');
@@ -67,6 +178,16 @@ const CreateBlogFixed = () => {
     }
   };
 
+  const handleContentChange = (content) => {
+    handleInputChange({ target: { name: 'content', value: content } });
+  };
+
+  // Inline images use the medium variant, which is wide enough for the article column
+  const handleImageUpload = async (file) => {
+    const response = await uploadAPI.uploadImage(file);
+    return response.data.image.urls.medium;
+  };
+
   const handleTagAdd = (e) => {
     e.preventDefault();
     const tag = tagInput.trim().toLowerCase();
@@ -127,8 +248,8 @@ const CreateBlogFixed = () => {
     }
   };
 
-  const handleSubmit = async (e, status = 'draft') => {
-    e.preventDefault();
+  const handleSubmit = async (e, status = 'draft', publishAt = null) => {
+    e?.preventDefault();
     
     if (!validateForm()) {
       toast.error('Please fix the validation errors');
@@ -141,27 +262,42 @@ const CreateBlogFixed = () => {
         ...formData,
         status
       };
+      if (isEditing) {
+        blogData.version = version;
+      }
 
       console.log('Submitting blog data:', blogData);
+      if (status === 'scheduled') {
+        blogData.scheduledFor = publishAt.toISOString();
+      }
 
       let response;
       if (isEditing) {
         response = await blogAPI.updateBlog(id, blogData);
-        toast.success('Article updated successfully!');
       } else {
         response = await blogAPI.createBlog(blogData);
-        toast.success('Article created successfully!');
+        localStorage.removeItem(NEW_DRAFT_KEY);
+      }
+
+      if (status === 'scheduled') {
+        toast.success(`Article scheduled for ${publishAt.toLocaleString()}`);
+      } else {
+        toast.success(isEditing ? 'Article updated successfully!' : 'Article created successfully!');
       }
 
       const blog = response.data.blog;
       
+      const navigateOptions = { state: { skipUnsavedGuard: true } };
       if (status === 'published') {
-        navigate(`/blog/${blog.slug}`);
+        navigate(`/blog/${blog.slug}`, navigateOptions);
       } else {
-        navigate('/dashboard');
+        navigate('/dashboard', navigateOptions);
       }
     } catch (error) {
       console.error('Error submitting blog:', error);
+      if (error.response?.status === 409) {
+        setConflictBlog(error.response.data.blog);
+      }
       const message = error.response?.data?.message || 'Failed to save article';
       toast.error(message);
     } finally {
@@ -178,9 +314,28 @@ const CreateBlogFixed = () => {
             <h1 className="text-3xl font-bold">
               {isEditing ? 'Edit Article' : 'Create New Article'}
             </h1>
-            <p className="text-gray-600 mt-1">Share your thoughts with the world</p>
+            <p className="text-gray-600 mt-1">
+              Share your thoughts with the world
+              <span className="ml-2 text-sm text-gray-500">
+                {autosave.state === 'saving' && '· Saving…'}
+                {autosave.state === 'saved' && !isDirty && `· Saved at ${autosave.at.toLocaleTimeString()}`}
+                {autosave.state === 'local' && `· Draft kept in this browser at ${autosave.at.toLocaleTimeString()}`}
+                {autosave.state === 'error' && '· Autosave failed, save manually to keep your changes'}
+                {isDirty && ['idle', 'saved'].includes(autosave.state) && '· Unsaved changes'}
+              </span>
+            </p>
           </div>
           <div className="flex gap-2">
+            {isEditing && (
+              <button
+                type="button"
+                onClick={() => setHistoryOpen(true)}
+                className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 inline-flex items-center"
+              >
+                <History className="h-4 w-4 mr-2" />
+                History
+              </button>
+            )}
             <button
               onClick={() => navigate('/dashboard')}
               className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
@@ -190,6 +345,60 @@ const CreateBlogFixed = () => {
           </div>
         </div>
 
+        {/* Unsaved draft from an earlier visit */}
+        {localDraft && (
+          <div className="mb-6 flex flex-col md:flex-row md:items-center justify-between gap-3 rounded-lg border border-blue-200 bg-blue-50 p-4 text-sm">
+            <p>
+              You have an unsaved article
+              {localDraft.formData?.title && <> “<strong>{localDraft.formData.title}</strong>”</>}
+              {' '}from {new Date(localDraft.savedAt).toLocaleString()}.
+            </p>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={handleRestoreLocalDraft}
+                className="px-3 py-1.5 bg-blue-600 text-white rounded-lg hover:bg-blue-700"
+              >
+                Restore
+              </button>
+              <button
+                type="button"
+                onClick={handleDiscardLocalDraft}
+                className="px-3 py-1.5 border border-gray-300 bg-white rounded-lg hover:bg-gray-50"
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        )}
+
+        {/* Saved elsewhere since this page loaded */}
+        {conflictBlog && (
+          <div className="mb-6 flex flex-col md:flex-row md:items-center justify-between gap-3 rounded-lg border border-amber-300 bg-amber-50 p-4 text-sm">
+            <p>
+              This article was changed in another tab or device
+              {conflictBlog.updatedAt && ` at ${new Date(conflictBlog.updatedAt).toLocaleString()}`}.
+              Load that version, or keep yours and overwrite it when you next save.
+            </p>
+            <div className="flex gap-2 shrink-0">
+              <button
+                type="button"
+                onClick={handleLoadTheirs}
+                className="px-3 py-1.5 border border-gray-300 bg-white rounded-lg hover:bg-gray-50"
+              >
+                Load their version
+              </button>
+              <button
+                type="button"
+                onClick={handleKeepMine}
+                className="px-3 py-1.5 bg-amber-600 text-white rounded-lg hover:bg-amber-700"
+              >
+                Keep mine
+              </button>
+            </div>
+          </div>
+        )}
+
         <form onSubmit={(e) => handleSubmit(e, 'published')} className="space-y-6">
           {/* Article Details */}
           <div className="bg-white rounded-lg shadow-sm border p-6">
@@ -278,6 +487,30 @@ const CreateBlogFixed = () => {
                 {errors.featuredImage && (
                   <p className="text-red-500 text-sm mt-1">{errors.featuredImage}</p>
                 )}
+                {formData.featuredImage && isValidUrl(formData.featuredImage) ? (
+                  <div className="relative mt-2">
+                    <img
+                      src={formData.featuredImage}
+                      alt="Featured"
+                      className="h-32 w-full rounded-lg object-cover"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setFormData(prev => ({ ...prev, featuredImage: '' }))}
+                      className="absolute top-2 right-2 px-2 py-1 text-xs bg-white/90 border border-gray-300 rounded hover:bg-white"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                ) : (
+                  <ImageDropzone
+                    className="mt-2"
+                    label="Or drop an image here to upload it"
+                    onUploaded={(image) =>
+                      handleInputChange({ target: { name: 'featuredImage', value: image.url } })
+                    }
+                  />
+                )}
               </div>
             </div>
 
@@ -331,15 +564,13 @@ const CreateBlogFixed = () => {
           <div className="bg-white rounded-lg shadow-sm border p-6">
             <h2 className="text-xl font-semibold mb-4">Content *</h2>
             <p className="text-gray-600 mb-4">
-              Write your article content. Use line breaks to separate paragraphs.
+              Write your article content. Markdown is supported: headings, lists, links, code blocks and images.
             </p>
-            <textarea
-              name="content"
+            <MarkdownEditor
               value={formData.content}
-              onChange={handleInputChange}
+              onChange={handleContentChange}
+              onImageUpload={handleImageUpload}
               placeholder="Start writing your amazing article..."
-              rows={15}
-              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
             <div className="text-xs text-gray-500 mt-1">
               {formData.content.length} characters
@@ -352,7 +583,9 @@ const CreateBlogFixed = () => {
           {/* Action Buttons */}
           <div className="flex justify-between items-center">
             <div className="text-sm text-gray-600">
-              Your article will be saved to your dashboard
+              {scheduledFor
+                ? `Scheduled to publish ${scheduledFor.toLocaleString()}. Saving as a draft or publishing now cancels the schedule.`
+                : 'Your article will be saved to your dashboard'}
             </div>
             <div className="flex gap-3">
               <button
@@ -363,6 +596,11 @@ const CreateBlogFixed = () => {
               >
                 {loading ? 'Saving...' : 'Save as Draft'}
               </button>
+              <SchedulePicker
+                value={scheduledFor}
+                onConfirm={(date) => handleSubmit(null, 'scheduled', date)}
+                disabled={loading}
+              />
               <button
                 type="submit"
                 disabled={loading}
@@ -373,6 +611,27 @@ const CreateBlogFixed = () => {
             </div>
           </div>
         </form>
+
+        <UnsavedChangesGuard
+          when={isDirty}
+          description={
+            isEditing
+              ? 'You have changes that have not been saved yet. They will be lost if you leave this page.'
+              : 'Your article has not been saved yet. A copy is kept in this browser, but it will not appear in your dashboard.'
+          }
+        />
+
+        {isEditing && (
+          <RevisionHistory
+            blogId={id}
+            version={version}
+            isDirty={isDirty}
+            open={historyOpen}
+            onOpenChange={setHistoryOpen}
+            onRestore={loadBlogIntoForm}
+            onConflict={setConflictBlog}
+          />
+        )}
       </div>
     </div>
   );
@@ -2,10 +2,22 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { blogAPI } from '../lib/api';
+import { getStatusColor } from '../lib/blogStatus';
+import { ANALYTICS_RANGES } from '../lib/analytics';
+import ArticleAnalytics from '../components/dashboard/ArticleAnalytics';
+import AuthorOverview from '../components/dashboard/AuthorOverview';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
 import { 
   DropdownMenu,
   DropdownMenuContent,
@@ -22,58 +34,96 @@ import {
   Edit,
   Trash2,
   Plus,
-  TrendingUp,
-  FileText,
-  Clock
+  Clock,
+  CalendarClock,
+  BarChart3
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+// Article status shown by each tab
+const TAB_STATUS = {
+  all: undefined,
+  published: 'published',
+  drafts: 'draft',
+  scheduled: 'scheduled',
+  archived: 'archived',
+};
+
+const BLOGS_PER_PAGE = 20;
+
 const Dashboard = () => {
   const { user, isAuthenticated } = useAuth();
   const navigate = useNavigate();
+  const [stats, setStats] = useState(null);
+  const [loadingStats, setLoadingStats] = useState(true);
+  const [range, setRange] = useState('30d');
+  // Bumped to reload stats after an article is deleted
+  const [statsKey, setStatsKey] = useState(0);
   const [blogs, setBlogs] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [stats, setStats] = useState({
-    total: 0,
-    published: 0,
-    drafts: 0,
-    totalViews: 0,
-    totalLikes: 0
-  });
+  const [blogsPagination, setBlogsPagination] = useState(null);
+  const [loadingBlogs, setLoadingBlogs] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [activeTab, setActiveTab] = useState('all');
+  // The article whose analytics dialog is open
+  const [analyticsBlog, setAnalyticsBlog] = useState(null);
 
   useEffect(() => {
-    if (!isAuthenticated) {
-      navigate('/login');
-      return;
-    }
+    if (!isAuthenticated) navigate('/login');
+  }, [isAuthenticated, navigate]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const fetchStats = async () => {
+      try {
+        const response = await blogAPI.getUserStats({ range });
+        setStats(response.data);
+      } catch (error) {
+        console.error('Error fetching stats:', error);
+        toast.error('Failed to load your stats');
+      } finally {
+        setLoadingStats(false);
+      }
+    };
+
+    fetchStats();
+  }, [isAuthenticated, range, statsKey]);
+
+  useEffect(() => {
+    if (!isAuthenticated) return;
+
+    const fetchUserBlogs = async () => {
+      setLoadingBlogs(true);
+      try {
+        const response = await blogAPI.getUserBlogs({ status: TAB_STATUS[activeTab], limit: BLOGS_PER_PAGE });
+        setBlogs(response.data.blogs);
+        setBlogsPagination(response.data.pagination);
+      } catch (error) {
+        console.error('Error fetching user blogs:', error);
+        toast.error('Failed to load your articles');
+      } finally {
+        setLoadingBlogs(false);
+      }
+    };
+
     fetchUserBlogs();
-  }, [isAuthenticated]);
+  }, [isAuthenticated, activeTab]);
 
-  const fetchUserBlogs = async () => {
+  const loadMoreBlogs = async () => {
+    setLoadingMore(true);
     try {
-      const response = await blogAPI.getUserBlogs({ limit: 50 });
-      const userBlogs = response.data.blogs;
-      setBlogs(userBlogs);
-      
-      // Calculate stats
-      const published = userBlogs.filter(blog => blog.status === 'published');
-      const drafts = userBlogs.filter(blog => blog.status === 'draft');
-      const totalViews = userBlogs.reduce((sum, blog) => sum + blog.views, 0);
-      const totalLikes = userBlogs.reduce((sum, blog) => sum + blog.likeCount, 0);
-      
-      setStats({
-        total: userBlogs.length,
-        published: published.length,
-        drafts: drafts.length,
-        totalViews,
-        totalLikes
+      const response = await blogAPI.getUserBlogs({
+        status: TAB_STATUS[activeTab],
+        page: blogsPagination.currentPage + 1,
+        limit: BLOGS_PER_PAGE
       });
+      setBlogs(prev => [...prev, ...response.data.blogs.filter(blog => !prev.some(b => b._id === blog._id))]);
+      setBlogsPagination(response.data.pagination);
     } catch (error) {
       console.error('Error fetching user blogs:', error);
-      toast.error('Failed to load your articles');
+      toast.error('Failed to load more articles');
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
     }
   };
 
@@ -86,19 +136,7 @@ const Dashboard = () => {
       await blogAPI.deleteBlog(blogId);
       setBlogs(prev => prev.filter(blog => blog._id !== blogId));
       toast.success('Article deleted successfully');
-      
-      // Update stats
-      const deletedBlog = blogs.find(blog => blog._id === blogId);
-      if (deletedBlog) {
-        setStats(prev => ({
-          ...prev,
-          total: prev.total - 1,
-          published: deletedBlog.status === 'published' ? prev.published - 1 : prev.published,
-          drafts: deletedBlog.status === 'draft' ? prev.drafts - 1 : prev.drafts,
-          totalViews: prev.totalViews - deletedBlog.views,
-          totalLikes: prev.totalLikes - deletedBlog.likeCount
-        }));
-      }
+      setStatsKey(key => key + 1);
     } catch (error) {
       console.error('Error deleting blog:', error);
       toast.error('Failed to delete article');
@@ -113,33 +151,12 @@ const Dashboard = () => {
     });
   };
 
-  const getStatusColor = (status) => {
-    switch (status) {
-      case 'published':
-        return 'bg-green-100 text-green-800 dark:bg-green-900 dark:text-green-300';
-      case 'draft':
-        return 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-300';
-      case 'archived':
-        return 'bg-gray-100 text-gray-800 dark:bg-gray-900 dark:text-gray-300';
-      default:
-        return 'bg-gray-100 text-gray-800 dark:bg-gray-900 dark:text-gray-300';
-    }
+  const tabCount = (status) => {
+    if (!stats) return '';
+    return ` (${status ? stats.totals.byStatus[status] : stats.totals.articles})`;
   };
 
-  const filteredBlogs = blogs.filter(blog => {
-    switch (activeTab) {
-      case 'published':
-        return blog.status === 'published';
-      case 'drafts':
-        return blog.status === 'draft';
-      case 'archived':
-        return blog.status === 'archived';
-      default:
-        return true;
-    }
-  });
-
-  if (loading) {
+  if (!stats && loadingStats) {
     return (
       <div className="min-h-screen py-8">
         <div className="container mx-auto px-4">
@@ -180,55 +197,30 @@ const Dashboard = () => {
           </Button>
         </div>
 
-        {/* Stats Cards */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 mb-8">
-          <Card>
-            <CardContent className="p-6">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-sm font-medium text-muted-foreground">Total Articles</p>
-                  <p className="text-2xl font-bold">{stats.total}</p>
-                </div>
-                <FileText className="h-8 w-8 text-muted-foreground" />
-              </div>
-            </CardContent>
-          </Card>
-          
-          <Card>
-            <CardContent className="p-6">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-sm font-medium text-muted-foreground">Published</p>
-                  <p className="text-2xl font-bold">{stats.published}</p>
-                </div>
-                <TrendingUp className="h-8 w-8 text-muted-foreground" />
-              </div>
-            </CardContent>
-          </Card>
-          
-          <Card>
-            <CardContent className="p-6">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-sm font-medium text-muted-foreground">Total Views</p>
-                  <p className="text-2xl font-bold">{stats.totalViews}</p>
-                </div>
-                <Eye className="h-8 w-8 text-muted-foreground" />
-              </div>
-            </CardContent>
-          </Card>
-          
-          <Card>
-            <CardContent className="p-6">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="text-sm font-medium text-muted-foreground">Total Likes</p>
-                  <p className="text-2xl font-bold">{stats.totalLikes}</p>
-                </div>
-                <Heart className="h-8 w-8 text-muted-foreground" />
-              </div>
-            </CardContent>
-          </Card>
+        {/* Overview */}
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mb-4">
+          <h2 className="text-xl font-semibold">Overview</h2>
+          <Select value={range} onValueChange={setRange}>
+            <SelectTrigger className="sm:w-40">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {ANALYTICS_RANGES.map((option) => (
+                <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="mb-8">
+          {stats ? (
+            <AuthorOverview stats={stats} />
+          ) : (
+            <Card>
+              <CardContent className="p-6 text-center text-muted-foreground">
+                Your stats couldn't be loaded. Try refreshing the page.
+              </CardContent>
+            </Card>
+          )}
         </div>
 
         {/* Articles Section */}
@@ -241,17 +233,24 @@ const Dashboard = () => {
           </CardHeader>
           <CardContent>
             <Tabs value={activeTab} onValueChange={setActiveTab}>
-              <TabsList className="grid w-full grid-cols-4">
-                <TabsTrigger value="all">All ({stats.total})</TabsTrigger>
-                <TabsTrigger value="published">Published ({stats.published})</TabsTrigger>
-                <TabsTrigger value="drafts">Drafts ({stats.drafts})</TabsTrigger>
-                <TabsTrigger value="archived">Archived</TabsTrigger>
+              <TabsList className="grid w-full grid-cols-5">
+                <TabsTrigger value="all">All{tabCount()}</TabsTrigger>
+                <TabsTrigger value="published">Published{tabCount('published')}</TabsTrigger>
+                <TabsTrigger value="drafts">Drafts{tabCount('draft')}</TabsTrigger>
+                <TabsTrigger value="scheduled">Scheduled{tabCount('scheduled')}</TabsTrigger>
+                <TabsTrigger value="archived">Archived{tabCount('archived')}</TabsTrigger>
               </TabsList>
               
               <TabsContent value={activeTab} className="mt-6">
-                {filteredBlogs.length > 0 ? (
+                {loadingBlogs ? (
+                  <div className="space-y-4 animate-pulse">
+                    {[0, 1, 2].map((i) => (
+                      <div key={i} className="h-32 bg-muted rounded-lg"></div>
+                    ))}
+                  </div>
+                ) : blogs.length > 0 ? (
                   <div className="space-y-4">
-                    {filteredBlogs.map((blog) => (
+                    {blogs.map((blog) => (
                       <Card key={blog._id} className="hover:shadow-md transition-shadow">
                         <CardContent className="p-6">
                           <div className="flex items-start justify-between">
@@ -285,6 +284,12 @@ const Dashboard = () => {
                                   <Clock className="h-3 w-3 mr-1" />
                                   {formatDate(blog.updatedAt)}
                                 </div>
+                                {blog.status === 'scheduled' && (
+                                  <div className="flex items-center text-blue-700 dark:text-blue-300">
+                                    <CalendarClock className="h-3 w-3 mr-1" />
+                                    Publishes {new Date(blog.scheduledFor).toLocaleString()}
+                                  </div>
+                                )}
                                 {blog.status === 'published' && (
                                   <>
                                     <div className="flex items-center">
@@ -319,6 +324,12 @@ const Dashboard = () => {
                                     </Link>
                                   </DropdownMenuItem>
                                 )}
+                                {(blog.status === 'published' || blog.status === 'archived') && (
+                                  <DropdownMenuItem onClick={() => setAnalyticsBlog(blog)}>
+                                    <BarChart3 className="h-4 w-4 mr-2" />
+                                    Analytics
+                                  </DropdownMenuItem>
+                                )}
                                 <DropdownMenuItem asChild>
                                   <Link to={`/edit/${blog._id}`}>
                                     <Edit className="h-4 w-4 mr-2" />
@@ -339,6 +350,13 @@ const Dashboard = () => {
                         </CardContent>
                       </Card>
                     ))}
+                    {blogsPagination?.hasNext && (
+                      <div className="text-center">
+                        <Button variant="outline" onClick={loadMoreBlogs} disabled={loadingMore}>
+                          {loadingMore ? 'Loading...' : 'Load more articles'}
+                        </Button>
+                      </div>
+                    )}
                   </div>
                 ) : (
                   <div className="text-center py-12">
@@ -366,6 +384,16 @@ const Dashboard = () => {
             </Tabs>
           </CardContent>
         </Card>
+
+        <Dialog open={analyticsBlog !== null} onOpenChange={(open) => !open && setAnalyticsBlog(null)}>
+          <DialogContent className="sm:max-w-4xl max-h-[90vh] overflow-y-auto">
+            <DialogHeader>
+              <DialogTitle>Article analytics</DialogTitle>
+              <DialogDescription className="line-clamp-1">{analyticsBlog?.title}</DialogDescription>
+            </DialogHeader>
+            {analyticsBlog && <ArticleAnalytics blogId={analyticsBlog._id} />}
+          </DialogContent>
+        </Dialog>
       </div>
     </div>
   );
@@ -182,17 +182,17 @@ const Home = () => {
                     </CardDescription>
                     
                     <div className="flex items-center justify-between">
-                      <div className="flex items-center space-x-2">
+                      <Link to={`/author/${blog.author.username}`} className="group flex items-center space-x-2">
                         <Avatar className="h-6 w-6">
                           <AvatarImage src={blog.author.avatar} alt={blog.author.fullName} />
                           <AvatarFallback className="text-xs">
                             {blog.author.firstName?.[0]}{blog.author.lastName?.[0]}
                           </AvatarFallback>
                         </Avatar>
-                        <span className="text-sm text-muted-foreground">
+                        <span className="text-sm text-muted-foreground group-hover:text-foreground">
                           {blog.author.fullName}
                         </span>
-                      </div>
+                      </Link>
                       
                       <div className="flex items-center space-x-3 text-xs text-muted-foreground">
                         <div className="flex items-center">
@@ -6,10 +6,12 @@ import { Input } from '@/components/ui/input';
 import { Label } from '@/components/ui/label';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Alert, AlertDescription } from '@/components/ui/alert';
-import { Eye, EyeOff, Mail, Lock, PenTool } from 'lucide-react';
+import { InputOTP, InputOTPGroup, InputOTPSlot } from '@/components/ui/input-otp';
+import { REGEXP_ONLY_DIGITS } from 'input-otp';
+import { Eye, EyeOff, Mail, Lock, PenTool, ShieldCheck } from 'lucide-react';
 
 const Login = () => {
-  const { login, loading } = useAuth();
+  const { login, completeTwoFactorLogin, loading } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
   
@@ -20,6 +22,10 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [errors, setErrors] = useState({});
   const [isSubmitting, setIsSubmitting] = useState(false);
+  // Second step for accounts with two-factor authentication
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   const from = location.state?.from?.pathname || '/';
 
@@ -65,10 +71,35 @@ const Login = () => {
     
     if (result.success) {
       navigate(from, { replace: true });
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
     }
     setIsSubmitting(false);
   };
 
+  const handleTwoFactorSubmit = async (code = twoFactorCode) => {
+    if (!code.trim()) return;
+
+    setIsSubmitting(true);
+    const result = await completeTwoFactorLogin(challengeToken, code);
+
+    if (result.success) {
+      navigate(from, { replace: true });
+      return;
+    }
+    setTwoFactorCode('');
+    if (result.expired) {
+      resetTwoFactor();
+    }
+    setIsSubmitting(false);
+  };
+
+  const resetTwoFactor = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+  };
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background to-muted/20 px-4">
       <div className="w-full max-w-md">
@@ -82,89 +113,179 @@ const Login = () => {
           </Link>
         </div>
 
-        <Card className="shadow-lg">
-          <CardHeader className="space-y-1">
-            <CardTitle className="text-2xl text-center">Welcome back</CardTitle>
-            <CardDescription className="text-center">
-              Enter your credentials to access your account
-            </CardDescription>
-          </CardHeader>
-          <CardContent>
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div className="space-y-2">
-                <Label htmlFor="email">Email</Label>
-                <div className="relative">
-                  <Mail className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+        {challengeToken ? (
+          <Card className="shadow-lg">
+            <CardHeader className="space-y-1">
+              <div className="flex justify-center mb-2">
+                <ShieldCheck className="h-10 w-10 text-primary" />
+              </div>
+              <CardTitle className="text-2xl text-center">Two-factor authentication</CardTitle>
+              <CardDescription className="text-center">
+                {useRecoveryCode
+                  ? 'Enter one of the recovery codes you saved when you turned on two-factor authentication'
+                  : 'Enter the 6-digit code from your authenticator app'}
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <form
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  handleTwoFactorSubmit();
+                }}
+                className="space-y-4"
+              >
+                {useRecoveryCode ? (
                   <Input
-                    id="email"
-                    name="email"
-                    type="email"
-                    placeholder="Enter your email"
-                    value={formData.email}
-                    onChange={handleChange}
-                    className={`pl-10 ${errors.email ? 'border-destructive' : ''}`}
+                    value={twoFactorCode}
+                    onChange={(e) => setTwoFactorCode(e.target.value)}
+                    placeholder="xxxxx-xxxxx"
+                    autoComplete="one-time-code"
+                    autoFocus
                     disabled={isSubmitting}
                   />
-                </div>
-                {errors.email && (
-                  <p className="text-sm text-destructive">{errors.email}</p>
+                ) : (
+                  <div className="flex justify-center">
+                    <InputOTP
+                      maxLength={6}
+                      pattern={REGEXP_ONLY_DIGITS}
+                      value={twoFactorCode}
+                      onChange={setTwoFactorCode}
+                      onComplete={handleTwoFactorSubmit}
+                      autoFocus
+                      disabled={isSubmitting}
+                    >
+                      <InputOTPGroup>
+                        {[0, 1, 2, 3, 4, 5].map((slot) => (
+                          <InputOTPSlot key={slot} index={slot} />
+                        ))}
+                      </InputOTPGroup>
+                    </InputOTP>
+                  </div>
                 )}
+
+                <Button
+                  type="submit"
+                  className="w-full"
+                  disabled={isSubmitting || !twoFactorCode.trim()}
+                >
+                  {isSubmitting ? 'Verifying...' : 'Verify'}
+                </Button>
+              </form>
+
+              <div className="mt-6 flex justify-between text-sm">
+                <button
+                  type="button"
+                  className="text-muted-foreground hover:text-primary hover:underline"
+                  onClick={() => {
+                    setUseRecoveryCode(!useRecoveryCode);
+                    setTwoFactorCode('');
+                  }}
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+                <button
+                  type="button"
+                  className="text-muted-foreground hover:text-primary hover:underline"
+                  onClick={resetTwoFactor}
+                >
+                  Back to sign in
+                </button>
               </div>
+            </CardContent>
+          </Card>
+        ) : (
+          <Card className="shadow-lg">
+            <CardHeader className="space-y-1">
+              <CardTitle className="text-2xl text-center">Welcome back</CardTitle>
+              <CardDescription className="text-center">
+                Enter your credentials to access your account
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <form onSubmit={handleSubmit} className="space-y-4">
+                <div className="space-y-2">
+                  <Label htmlFor="email">Email</Label>
+                  <div className="relative">
+                    <Mail className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                    <Input
+                      id="email"
+                      name="email"
+                      type="email"
+                      placeholder="Enter your email"
+                      value={formData.email}
+                      onChange={handleChange}
+                      className={`pl-10 ${errors.email ? 'border-destructive' : ''}`}
+                      disabled={isSubmitting}
+                    />
+                  </div>
+                  {errors.email && (
+                    <p className="text-sm text-destructive">{errors.email}</p>
+                  )}
+                </div>
 
-              <div className="space-y-2">
-                <Label htmlFor="password">Password</Label>
-                <div className="relative">
-                  <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
-                  <Input
-                    id="password"
-                    name="password"
-                    type={showPassword ? 'text' : 'password'}
-                    placeholder="Enter your password"
-                    value={formData.password}
-                    onChange={handleChange}
-                    className={`pl-10 pr-10 ${errors.password ? 'border-destructive' : ''}`}
-                    disabled={isSubmitting}
-                  />
-                  <Button
-                    type="button"
-                    variant="ghost"
-                    size="sm"
-                    className="absolute right-0 top-0 h-full px-3 py-2 hover:bg-transparent"
-                    onClick={() => setShowPassword(!showPassword)}
-                    disabled={isSubmitting}
-                  >
-                    {showPassword ? (
-                      <EyeOff className="h-4 w-4 text-muted-foreground" />
-                    ) : (
-                      <Eye className="h-4 w-4 text-muted-foreground" />
-                    )}
-                  </Button>
+                <div className="space-y-2">
+                  <div className="flex items-center justify-between">
+                    <Label htmlFor="password">Password</Label>
+                    <Link
+                      to="/forgot-password"
+                      className="text-sm text-muted-foreground hover:text-primary hover:underline"
+                    >
+                      Forgot password?
+                    </Link>
+                  </div>
+                  <div className="relative">
+                    <Lock className="absolute left-3 top-3 h-4 w-4 text-muted-foreground" />
+                    <Input
+                      id="password"
+                      name="password"
+                      type={showPassword ? 'text' : 'password'}
+                      placeholder="Enter your password"
+                      value={formData.password}
+                      onChange={handleChange}
+                      className={`pl-10 pr-10 ${errors.password ? 'border-destructive' : ''}`}
+                      disabled={isSubmitting}
+                    />
+                    <Button
+                      type="button"
+                      variant="ghost"
+                      size="sm"
+                      className="absolute right-0 top-0 h-full px-3 py-2 hover:bg-transparent"
+                      onClick={() => setShowPassword(!showPassword)}
+                      disabled={isSubmitting}
+                    >
+                      {showPassword ? (
+                        <EyeOff className="h-4 w-4 text-muted-foreground" />
+                      ) : (
+                        <Eye className="h-4 w-4 text-muted-foreground" />
+                      )}
+                    </Button>
+                  </div>
+                  {errors.password && (
+                    <p className="text-sm text-destructive">{errors.password}</p>
+                  )}
                 </div>
-                {errors.password && (
-                  <p className="text-sm text-destructive">{errors.password}</p>
-                )}
-              </div>
 
-              <Button 
-                type="submit" 
-                className="w-full" 
-                disabled={isSubmitting}
-              >
-                {isSubmitting ? 'Signing in...' : 'Sign in'}
-              </Button>
-            </form>
-
-            <div className="mt-6 text-center text-sm">
-              <span className="text-muted-foreground">Don't have an account? </span>
-              <Link 
-                to="/register" 
-                className="font-medium text-primary hover:underline"
-              >
-                Sign up
-              </Link>
-            </div>
-          </CardContent>
-        </Card>
+                <Button 
+                  type="submit" 
+                  className="w-full" 
+                  disabled={isSubmitting}
+                >
+                  {isSubmitting ? 'Signing in...' : 'Sign in'}
+                </Button>
+              </form>
+
+              <div className="mt-6 text-center text-sm">
+                <span className="text-muted-foreground">Don't have an account? </span>
+                <Link 
+                  to="/register" 
+                  className="font-medium text-primary hover:underline"
+                >
+                  Sign up
+                </Link>
+              </div>
+            </CardContent>
+          </Card>
+        )}
 
         <div className="mt-8 text-center">
           <Link 
@@ -1,5 +1,11 @@
 import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import ImageDropzone from '../components/ImageDropzone';
+import ChangeEmailCard from '../components/profile/ChangeEmailCard';
+import ChangePasswordCard from '../components/profile/ChangePasswordCard';
+import SessionsCard from '../components/profile/SessionsCard';
+import TwoFactorCard from '../components/profile/TwoFactorCard';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
@@ -7,11 +13,14 @@ import { Label } from '@/components/ui/label';
 import { Textarea } from '@/components/ui/textarea';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
 import { Separator } from '@/components/ui/separator';
-import { User, Mail, Calendar, Edit3, Save, X } from 'lucide-react';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import { User, Mail, Calendar, Edit3, Save, X, Shield } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 const Profile = () => {
   const { user, updateProfile } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const tab = searchParams.get('tab') === 'security' ? 'security' : 'profile';
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({
     firstName: '',
@@ -86,7 +95,7 @@ const Profile = () => {
             <h1 className="text-3xl font-bold">Profile</h1>
             <p className="text-muted-foreground">Manage your account settings and preferences</p>
           </div>
-          {!isEditing ? (
+          {tab !== 'profile' ? null : !isEditing ? (
             <Button onClick={() => setIsEditing(true)} variant="outline">
               <Edit3 className="h-4 w-4 mr-2" />
               Edit Profile
@@ -107,137 +116,174 @@ const Profile = () => {
 
         <Separator />
 
-        {/* Profile Information */}
-        <div className="grid gap-6 md:grid-cols-3">
-          {/* Avatar Section */}
-          <Card>
-            <CardHeader>
-              <CardTitle>Profile Picture</CardTitle>
-              <CardDescription>Your avatar image</CardDescription>
-            </CardHeader>
-            <CardContent className="flex flex-col items-center space-y-4">
-              <Avatar className="h-24 w-24">
-                <AvatarImage src={formData.avatar || user.avatar} alt={user.fullName} />
-                <AvatarFallback className="text-lg">
-                  {user.firstName?.[0]}{user.lastName?.[0]}
-                </AvatarFallback>
-              </Avatar>
-              {isEditing && (
-                <div className="w-full">
-                  <Label htmlFor="avatar">Avatar URL</Label>
-                  <Input
-                    id="avatar"
-                    name="avatar"
-                    type="url"
-                    value={formData.avatar}
-                    onChange={handleInputChange}
-                    placeholder="https://example.com/avatar.jpg"
-                    className="mt-1"
-                  />
-                </div>
-              )}
-            </CardContent>
-          </Card>
-
-          {/* Personal Information */}
-          <Card className="md:col-span-2">
-            <CardHeader>
-              <CardTitle>Personal Information</CardTitle>
-              <CardDescription>Your basic account details</CardDescription>
-            </CardHeader>
-            <CardContent className="space-y-4">
-              <div className="grid gap-4 md:grid-cols-2">
-                <div>
-                  <Label htmlFor="firstName">First Name</Label>
-                  {isEditing ? (
-                    <Input
-                      id="firstName"
-                      name="firstName"
-                      value={formData.firstName}
-                      onChange={handleInputChange}
-                      className="mt-1"
-                    />
-                  ) : (
-                    <div className="mt-1 p-2 bg-muted rounded-md">
-                      {user.firstName}
+        <Tabs
+          value={tab}
+          onValueChange={(value) => {
+            handleCancel();
+            setSearchParams(value === 'profile' ? {} : { tab: value }, { replace: true });
+          }}
+          className="gap-6"
+        >
+          <TabsList>
+            <TabsTrigger value="profile">
+              <User className="h-4 w-4" />
+              Profile
+            </TabsTrigger>
+            <TabsTrigger value="security">
+              <Shield className="h-4 w-4" />
+              Security
+            </TabsTrigger>
+          </TabsList>
+
+          <TabsContent value="profile">
+            {/* Profile Information */}
+            <div className="grid gap-6 md:grid-cols-3">
+              {/* Avatar Section */}
+              <Card>
+                <CardHeader>
+                  <CardTitle>Profile Picture</CardTitle>
+                  <CardDescription>Your avatar image</CardDescription>
+                </CardHeader>
+                <CardContent className="flex flex-col items-center space-y-4">
+                  <Avatar className="h-24 w-24">
+                    <AvatarImage src={formData.avatar || user.avatar} alt={user.fullName} />
+                    <AvatarFallback className="text-lg">
+                      {user.firstName?.[0]}{user.lastName?.[0]}
+                    </AvatarFallback>
+                  </Avatar>
+                  {isEditing && (
+                    <div className="w-full">
+                      <Label htmlFor="avatar">Avatar URL</Label>
+                      <Input
+                        id="avatar"
+                        name="avatar"
+                        type="url"
+                        value={formData.avatar}
+                        onChange={handleInputChange}
+                        placeholder="https://example.com/avatar.jpg"
+                        className="mt-1"
+                      />
+                      {/* The thumbnail variant is a 200px square crop */}
+                      <ImageDropzone
+                        className="mt-2"
+                        label="Drop a photo or click to upload"
+                        onUploaded={(image) =>
+                          setFormData(prev => ({ ...prev, avatar: image.urls.thumbnail }))
+                        }
+                      />
                     </div>
                   )}
-                </div>
-                <div>
-                  <Label htmlFor="lastName">Last Name</Label>
-                  {isEditing ? (
-                    <Input
-                      id="lastName"
-                      name="lastName"
-                      value={formData.lastName}
-                      onChange={handleInputChange}
-                      className="mt-1"
-                    />
-                  ) : (
-                    <div className="mt-1 p-2 bg-muted rounded-md">
-                      {user.lastName}
+                </CardContent>
+              </Card>
+
+              {/* Personal Information */}
+              <Card className="md:col-span-2">
+                <CardHeader>
+                  <CardTitle>Personal Information</CardTitle>
+                  <CardDescription>Your basic account details</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  <div className="grid gap-4 md:grid-cols-2">
+                    <div>
+                      <Label htmlFor="firstName">First Name</Label>
+                      {isEditing ? (
+                        <Input
+                          id="firstName"
+                          name="firstName"
+                          value={formData.firstName}
+                          onChange={handleInputChange}
+                          className="mt-1"
+                        />
+                      ) : (
+                        <div className="mt-1 p-2 bg-muted rounded-md">
+                          {user.firstName}
+                        </div>
+                      )}
+                    </div>
+                    <div>
+                      <Label htmlFor="lastName">Last Name</Label>
+                      {isEditing ? (
+                        <Input
+                          id="lastName"
+                          name="lastName"
+                          value={formData.lastName}
+                          onChange={handleInputChange}
+                          className="mt-1"
+                        />
+                      ) : (
+                        <div className="mt-1 p-2 bg-muted rounded-md">
+                          {user.lastName}
+                        </div>
+                      )}
                     </div>
-                  )}
-                </div>
-              </div>
-
-              <div>
-                <Label htmlFor="email">Email</Label>
-                <div className="mt-1 p-2 bg-muted rounded-md flex items-center">
-                  <Mail className="h-4 w-4 mr-2 text-muted-foreground" />
-                  {user.email}
-                </div>
-                <p className="text-sm text-muted-foreground mt-1">
-                  Email cannot be changed
-                </p>
-              </div>
-
-              <div>
-                <Label htmlFor="username">Username</Label>
-                <div className="mt-1 p-2 bg-muted rounded-md flex items-center">
-                  <User className="h-4 w-4 mr-2 text-muted-foreground" />
-                  {user.username}
-                </div>
-                <p className="text-sm text-muted-foreground mt-1">
-                  Username cannot be changed
-                </p>
-              </div>
-
-              <div>
-                <Label htmlFor="bio">Bio</Label>
-                {isEditing ? (
-                  <Textarea
-                    id="bio"
-                    name="bio"
-                    value={formData.bio}
-                    onChange={handleInputChange}
-                    placeholder="Tell us about yourself..."
-                    className="mt-1"
-                    rows={3}
-                  />
-                ) : (
-                  <div className="mt-1 p-2 bg-muted rounded-md min-h-[80px]">
-                    {user.bio || 'No bio provided'}
                   </div>
-                )}
-              </div>
-
-              {user.createdAt && (
-                <div>
-                  <Label>Member Since</Label>
-                  <div className="mt-1 p-2 bg-muted rounded-md flex items-center">
-                    <Calendar className="h-4 w-4 mr-2 text-muted-foreground" />
-                    {new Date(user.createdAt).toLocaleDateString('en-US', {
-                      year: 'numeric',
-                      month: 'long',
-                      day: 'numeric'
-                    })}
+
+                  <div>
+                    <Label htmlFor="email">Email</Label>
+                    <div className="mt-1 p-2 bg-muted rounded-md flex items-center">
+                      <Mail className="h-4 w-4 mr-2 text-muted-foreground" />
+                      {user.email}
+                    </div>
+                    <p className="text-sm text-muted-foreground mt-1">
+                      Change your email in the Security tab
+                    </p>
                   </div>
-                </div>
-              )}
-            </CardContent>
-          </Card>
-        </div>
+
+                  <div>
+                    <Label htmlFor="username">Username</Label>
+                    <div className="mt-1 p-2 bg-muted rounded-md flex items-center">
+                      <User className="h-4 w-4 mr-2 text-muted-foreground" />
+                      {user.username}
+                    </div>
+                    <p className="text-sm text-muted-foreground mt-1">
+                      Username cannot be changed
+                    </p>
+                  </div>
+
+                  <div>
+                    <Label htmlFor="bio">Bio</Label>
+                    {isEditing ? (
+                      <Textarea
+                        id="bio"
+                        name="bio"
+                        value={formData.bio}
+                        onChange={handleInputChange}
+                        placeholder="Tell us about yourself..."
+                        className="mt-1"
+                        rows={3}
+                      />
+                    ) : (
+                      <div className="mt-1 p-2 bg-muted rounded-md min-h-[80px]">
+                        {user.bio || 'No bio provided'}
+                      </div>
+                    )}
+                  </div>
+
+                  {user.createdAt && (
+                    <div>
+                      <Label>Member Since</Label>
+                      <div className="mt-1 p-2 bg-muted rounded-md flex items-center">
+                        <Calendar className="h-4 w-4 mr-2 text-muted-foreground" />
+                        {new Date(user.createdAt).toLocaleDateString('en-US', {
+                          year: 'numeric',
+                          month: 'long',
+                          day: 'numeric'
+                        })}
+                      </div>
+                    </div>
+                  )}
+                </CardContent>
+              </Card>
+            </div>
+          </TabsContent>
+
+          <TabsContent value="security" className="space-y-6">
+            <ChangeEmailCard />
+            <ChangePasswordCard />
+            <TwoFactorCard />
+            <SessionsCard />
+          </TabsContent>
+        </Tabs>
       </div>
     </div>
   );
@@ -0,0 +1,100 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { authAPI } from '../lib/api';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { PenTool, CheckCircle2, AlertCircle, Loader2 } from 'lucide-react';
+
+const VerifyEmail = () => {
+  const { token } = useParams();
+  const { isAuthenticated, markEmailVerified } = useAuth();
+  const [status, setStatus] = useState('verifying');
+  const [message, setMessage] = useState('');
+  // Tokens are single-use, so don't send the request twice (StrictMode re-runs effects)
+  const requested = useRef(false);
+
+  useEffect(() => {
+    if (requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const response = await authAPI.verifyEmail(token);
+        setMessage(response.data.message);
+        setStatus('verified');
+        markEmailVerified();
+      } catch (error) {
+        setMessage(error.response?.data?.message || 'Failed to verify email');
+        setStatus('failed');
+      }
+    };
+
+    verify();
+  }, [token, markEmailVerified]);
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-background to-muted/20 px-4">
+      <div className="w-full max-w-md">
+        {/* Logo */}
+        <div className="flex justify-center mb-8">
+          <Link to="/" className="flex items-center space-x-2">
+            <div className="flex h-10 w-10 items-center justify-center rounded-lg bg-primary text-primary-foreground">
+              <PenTool className="h-5 w-5" />
+            </div>
+            <span className="text-2xl font-bold">BlogHub</span>
+          </Link>
+        </div>
+
+        <Card className="shadow-lg">
+          <CardHeader className="space-y-1 text-center">
+            <div className="flex justify-center mb-2">
+              {status === 'verifying' && <Loader2 className="h-10 w-10 animate-spin text-muted-foreground" />}
+              {status === 'verified' && <CheckCircle2 className="h-10 w-10 text-green-600" />}
+              {status === 'failed' && <AlertCircle className="h-10 w-10 text-destructive" />}
+            </div>
+            <CardTitle className="text-2xl">
+              {status === 'verifying' && 'Verifying your email...'}
+              {status === 'verified' && 'Email verified'}
+              {status === 'failed' && 'Verification failed'}
+            </CardTitle>
+            {message && (
+              <CardDescription>
+                {status === 'verified'
+                  ? 'You can now publish articles and join the conversation.'
+                  : message}
+              </CardDescription>
+            )}
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {status === 'verified' && (
+              <Button asChild className="w-full">
+                <Link to={isAuthenticated ? '/dashboard' : '/login'}>
+                  {isAuthenticated ? 'Go to dashboard' : 'Sign in'}
+                </Link>
+              </Button>
+            )}
+            {status === 'failed' && (
+              <p className="text-sm text-center text-muted-foreground">
+                {isAuthenticated
+                  ? 'Use "Resend email" in the banner at the top of any page to get a new link.'
+                  : 'Sign in and use "Resend email" in the banner at the top of the page to get a new link.'}
+              </p>
+            )}
+          </CardContent>
+        </Card>
+
+        <div className="mt-8 text-center">
+          <Link
+            to="/"
+            className="text-sm text-muted-foreground hover:text-primary transition-colors"
+          >
+            ← Back to home
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;